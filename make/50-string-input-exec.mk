@@ -0,0 +1,18 @@
+#####
+# build dist/string-input-exec.js
+#####
+
+SDLC_STRING_INPUT_EXEC_JS:=$(DIST)/string-input-exec.js
+SDLC_STRING_INPUT_EXEC_JS_ENTRY=$(SRC)/cli/index.mjs
+BUILD_TARGETS+=$(SDLC_STRING_INPUT_EXEC_JS)
+
+$(SDLC_STRING_INPUT_EXEC_JS): package.json $(SDLC_ALL_NON_TEST_JS_FILES_SRC)
+	JS_BUILD_TARGET=$(SDLC_STRING_INPUT_EXEC_JS_ENTRY) \
+	  JS_OUT=$@ \
+	  JS_OUT_PREAMBLE='#!/usr/bin/env node' \
+	  $(SDLC_ROLLUP) --config $(SDLC_ROLLUP_CONFIG)
+	chmod a+x $@
+
+#####
+# end dist/string-input-exec.js
+#####
@@ -1,9 +1,16 @@
 import { ArgumentInvalidError } from 'standard-error-set'
 import { floatRe } from 'regex-repo'
 
+import { applyDefault, usesDefault } from './lib/apply-default'
 import { checkValidateInput } from './lib/check-validate-input'
 import { checkValidateValue } from './lib/check-validate-value'
+import { describeConstraints } from './lib/describe'
+import { getSuggestions } from './lib/get-suggestions'
+import { makeAsync } from './lib/make-async'
+import { makeSafe } from './lib/make-safe'
+import { getMessage, getPhrase } from './lib/messages/get-message'
 import { possibleBooleanValues } from './lib/possible-boolean-values'
+import { isRedacting, redactErrors, usesRedaction } from './lib/redact-errors'
 import { sanitizeOptions } from './lib/sanitize-options'
 import { standardChecks } from './lib/standard-checks'
 
@@ -15,6 +22,22 @@ import { standardChecks } from './lib/standard-checks'
  * @param {string} options.name - The 'name' by which to refer to the input when generating error messages for the user.
  * @param {number} [options.status = 400] - The HTTP status to use when throwing `ArgumentInvalidError` errors. This
  *   can be used to mark arguments specified by in code or configurations without user input.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {*} [options.default = undefined] - The value to use when the input is empty. A string default is parsed
+ *   and validated just like the input, while any other default is checked against any `min`/`max` constraints and the
+ *   `validateValue` function. See [default values](#default-values).
+ * @param {string} [options.whitespace = 'trim'] - How to handle leading and trailing whitespace; 'trim' removes it,
+ *   'reject' rejects input containing it, and 'preserve' keeps it. See
+ *   [whitespace and normalization](#whitespace-and-normalization).
+ * @param {string} [options.normalize = undefined] - The Unicode normalization form applied to the input; 'NFC',
+ *   'NFD', 'NFKC', or 'NFKD'.
+ * @param {boolean} [options.collapseWhitespace = false] - If true, each run of whitespace within the input is
+ *   replaced by a single space.
+ * @param {boolean} [options.stripInvisible = false] - If true, zero-width and bidirectional control characters are
+ *   removed from the input.
+ * @param {boolean} [options.sensitive = false] - If true, the input is masked in any error messages and properties. See
+ *   [sensitive values](#sensitive-values).
  * @param {boolean} [options.required = false] - If true, then the empty string is rejected and `ArgumentMissingError`
  *   is thrown.
  * @param {boolean} [options.noAbbreviations = false] - Disallow t/f/y/n responses.
@@ -31,6 +54,13 @@ import { standardChecks } from './lib/standard-checks'
  * @returns {boolean} A primitive boolean.
  */
 const BooleanString = function (input, options = this || {}) {
+  if (usesRedaction(options)) {
+    return redactErrors(BooleanString, input, options)
+  }
+  if (usesDefault(input, options)) {
+    return applyDefault(BooleanString, options)
+  }
+
   const {
     name,
     noAbbreviations = false,
@@ -47,6 +77,7 @@ const BooleanString = function (input, options = this || {}) {
   }
 
   input = input.toLowerCase()
+  const possibleValues = possibleBooleanValues(options)
 
   if (
     noAbbreviations === true
@@ -55,8 +86,11 @@ const BooleanString = function (input, options = this || {}) {
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue         : 'is disallowed abbreviated value',
-      hint          : `Use ${possibleBooleanValues(options)}.`,
+      ...getMessage(
+        'BOOLEAN_ABBREVIATION_DISALLOWED',
+        { possibleValues },
+        options
+      ),
       ...options,
     })
   }
@@ -68,8 +102,7 @@ const BooleanString = function (input, options = this || {}) {
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue         : 'is disallowed yes/no value',
-      hint          : `Use ${possibleBooleanValues(options)}.`,
+      ...getMessage('BOOLEAN_YES_NO_DISALLOWED', { possibleValues }, options),
       ...options,
     })
   }
@@ -87,8 +120,11 @@ const BooleanString = function (input, options = this || {}) {
       throw new ArgumentInvalidError({
         argumentName  : name,
         argumentValue : input,
-        issue         : 'is disallowed numeric value',
-        hint          : `Use ${possibleBooleanValues(options)}.`,
+        ...getMessage(
+          'BOOLEAN_NUMERIC_DISALLOWED',
+          { possibleValues },
+          options
+        ),
         ...options,
       })
     }
@@ -100,8 +136,21 @@ const BooleanString = function (input, options = this || {}) {
       throw new ArgumentInvalidError({
         argumentName  : name,
         argumentValue : input,
-        issue         : 'could not be parsed as a boolean value',
-        hint          : `Use ${possibleBooleanValues(options)}.`,
+        ...getMessage(
+          'BOOLEAN_INVALID',
+          {
+            possibleValues,
+            suggestions : isRedacting(options)
+              ? []
+              : getSuggestions(
+                input,
+                noYesNo === true
+                  ? ['true', 'false']
+                  : ['true', 'false', 'yes', 'no']
+              ),
+          },
+          options
+        ),
         ...options,
       })
     }
@@ -118,8 +167,11 @@ const BooleanString = function (input, options = this || {}) {
       throw new ArgumentInvalidError({
         argumentName  : name,
         argumentValue : input,
-        issue         : 'is ambiguous negative numeric value',
-        hint          : `Use ${possibleBooleanValues(options)}.`,
+        ...getMessage(
+          'BOOLEAN_AMBIGUOUS_NEGATIVE',
+          { possibleValues },
+          options
+        ),
         ...options,
       })
     }
@@ -137,5 +189,15 @@ const BooleanString = function (input, options = this || {}) {
 
 BooleanString.description = 'Boolean string'
 BooleanString.toString = () => BooleanString.description
+BooleanString.safe = makeSafe(BooleanString)
+BooleanString.async = makeAsync(BooleanString)
+BooleanString.describe = (options = {}) =>
+  describeConstraints(BooleanString.description, [
+    getPhrase(
+      'DESCRIBE_BOOLEAN_VALUES',
+      { possibleValues : possibleBooleanValues(options) },
+      options
+    ),
+  ])
 
 export { BooleanString }
@@ -1,8 +1,15 @@
 import { ArgumentInvalidError } from 'standard-error-set'
 import luhn from 'luhn'
 
+import { applyDefault, usesDefault } from './lib/apply-default'
 import { checkValidateInput } from './lib/check-validate-input'
 import { checkValidateValue } from './lib/check-validate-value'
+import { describeConstraints, describeIf } from './lib/describe'
+import { makeAsync } from './lib/make-async'
+import { makeIssueCollector } from './lib/make-issue-collector'
+import { makeSafe } from './lib/make-safe'
+import { getMessage } from './lib/messages/get-message'
+import { redactErrors, usesRedaction } from './lib/redact-errors'
 import { sanitizeOptions } from './lib/sanitize-options'
 import { standardChecks } from './lib/standard-checks'
 
@@ -17,8 +24,26 @@ const rawNumberRe = new RegExp(seps, 'g')
  * @param {string} options.name - The 'name' by which to refer to the input when generating error messages for the user.
  * @param {number} [options.status = 400] - The HTTP status to use when throwing `ArgumentInvalidError` errors. This
  *   can be used to mark arguments specified by in code or configurations without user input.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {*} [options.default = undefined] - The value to use when the input is empty. A string default is parsed
+ *   and validated just like the input, while any other default is checked against any `min`/`max` constraints and the
+ *   `validateValue` function. See [default values](#default-values).
+ * @param {string} [options.whitespace = 'trim'] - How to handle leading and trailing whitespace; 'trim' removes it,
+ *   'reject' rejects input containing it, and 'preserve' keeps it. See
+ *   [whitespace and normalization](#whitespace-and-normalization).
+ * @param {string} [options.normalize = undefined] - The Unicode normalization form applied to the input; 'NFC',
+ *   'NFD', 'NFKC', or 'NFKD'.
+ * @param {boolean} [options.collapseWhitespace = false] - If true, each run of whitespace within the input is
+ *   replaced by a single space.
+ * @param {boolean} [options.stripInvisible = false] - If true, zero-width and bidirectional control characters are
+ *   removed from the input.
+ * @param {boolean} [options.sensitive = true] - If true, the input is masked in any error messages and properties. See
+ *   [sensitive values](#sensitive-values).
  * @param {boolean} [options.required = false] - If true, then the empty string is rejected and `ArgumentMissingError`
  *   is thrown.
+ * @param {boolean} [options.collectAllIssues = false] - If true, then all issues with the input are collected and
+ *   reported together rather than failing on the first issue. See [collecting all issues](#collecting-all-issues).
  * @param {string[]} [options.iins = undefined] - A list of acceptable Industry Identifier Numbers, or initial card
  *   numbers. E.g., iins : ['123']` would only accept cards with an account number starting with '123'. If left
  *   undefined, then all otherwise valid card numbers are treated as valid.
@@ -33,6 +58,13 @@ const rawNumberRe = new RegExp(seps, 'g')
  * @returns {string} A number-string with no delimiters. Note, there are valid card numbers beginning with 0.
  */
 const CardNumber = function (input, options = this || {}) {
+  if (usesRedaction(options, CardNumber.sensitive)) {
+    return redactErrors(CardNumber, input, options)
+  }
+  if (usesDefault(input, options)) {
+    return applyDefault(CardNumber, options)
+  }
+
   const { name, iins, lengths = [12, 13, 14, 15, 16, 17, 18, 19] } = options
 
   options = sanitizeOptions(options)
@@ -46,21 +78,23 @@ const CardNumber = function (input, options = this || {}) {
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue         : 'does not appear to be a card number',
-      hint          : "Expects a number with optional dashes ('-') or spaces (' ').",
+      ...getMessage('CARD_FORMAT_INVALID', {}, options),
       ...options,
     })
   }
 
+  const issues = makeIssueCollector({ ...options, input, name })
+
   const numberString = input.replaceAll(rawNumberRe, '')
   if (lengths !== undefined && !lengths.includes(numberString.length)) {
-    throw new ArgumentInvalidError({
-      argumentName  : name,
-      argumentValue : input,
-      issue         : 'is an invalid length',
-      hint          : `Card number must be ${lengths.join(', ')} digits long.`,
-      ...options,
-    })
+    issues.add(
+      new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        ...getMessage('CARD_LENGTH_INVALID', { lengths }, options),
+        ...options,
+      })
+    )
   }
 
   if (
@@ -71,10 +105,8 @@ const CardNumber = function (input, options = this || {}) {
           throw new ArgumentInvalidError({
             argumentName  : `${name}' constraint 'iins`,
             argumentValue : iin,
-            issue :
-              'is invalid; regular expression must be pinned to the start of string',
-            hint   : "Start regular expression with '^'.",
-            status : 500,
+            ...getMessage('CARD_IIN_RE_NOT_PINNED', {}, options),
+            status        : 500,
           })
         }
 
@@ -90,9 +122,8 @@ const CardNumber = function (input, options = this || {}) {
           throw new ArgumentInvalidError({
             argumentName  : `${name}' constraint 'iins`,
             argumentValue : iin,
-            issue :
-              'contains an invalid range; both the min and max must specify the same number of digits',
-            status : 500,
+            ...getMessage('CARD_IIN_RANGE_DIGITS_MISMATCH', {}, options),
+            status        : 500,
           })
         }
         const min = parseInt(range[0])
@@ -106,43 +137,65 @@ const CardNumber = function (input, options = this || {}) {
         throw new ArgumentInvalidError({
           argumentName  : `${name}' constraint 'iins`,
           argumentValue : iin,
-          issue         : 'contains an invalid range',
+          ...getMessage('CARD_IIN_RANGE_INVALID', {}, options),
           status        : 500,
         })
       }
     }) !== true
   ) {
-    throw new ArgumentInvalidError({
-      argumentName  : `${name}' constraint 'iins`,
-      argumentValue : iins,
-      issue         : 'contains a non-accepted Issuer Identifier Number (IIN)',
-      status        : 500,
-    })
+    issues.add(
+      new ArgumentInvalidError({
+        argumentName  : `${name}' constraint 'iins`,
+        argumentValue : iins,
+        ...getMessage('CARD_IIN_NOT_ACCEPTED', {}, options),
+        status        : 500,
+      })
+    )
   }
 
   const validationOptions = Object.assign(
     { input, name, type : 'string<card number>' },
     options
   )
-  checkValidateInput(input, validationOptions)
+  issues.check(() => checkValidateInput(input, validationOptions))
 
   if (luhn.validate(numberString) !== true) {
-    throw new ArgumentInvalidError({
-      argumentName  : name,
-      argumentValue : input,
-      issue         : 'failed the check-digit validation',
-      hint          : 'Check input for typos.',
-      ...options,
-    })
+    issues.add(
+      new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        ...getMessage('CARD_LUHN_FAILED', {}, options),
+        ...options,
+      })
+    )
   }
 
-  checkValidateValue(numberString, validationOptions)
+  issues.check(() => checkValidateValue(numberString, validationOptions))
+  issues.throwIfAny()
 
   return numberString
 }
 
 CardNumber.description = 'Card number'
 CardNumber.toString = () => CardNumber.description
+CardNumber.sensitive = true
+CardNumber.safe = makeSafe(CardNumber)
+CardNumber.async = makeAsync(CardNumber)
+CardNumber.describe = (options = {}) =>
+  describeConstraints(CardNumber.description, [
+    describeIf(
+      options.lengths !== undefined,
+      'DESCRIBE_CARD_LENGTHS',
+      options,
+      options
+    ),
+    describeIf(
+      options.iins !== undefined,
+      'DESCRIBE_CARD_IINS',
+      options,
+      options
+    ),
+  ])
 
 export { CardNumber }
 
@@ -0,0 +1,136 @@
+import { ArgumentTypeError, CommonError } from 'standard-error-set'
+
+import { describeType } from './lib/describe'
+
+/**
+ * Creates a [commander](https://github.com/tj/commander.js#readme) `argParser` function (the custom processing
+ * function passed to `option()` and `argument()`) which parses and validates the value with the type function and
+ * options. User errors (those with a `status` below 500) are converted to the error commander expects from an
+ * invalid argument (equivalent to commander's `InvalidArgumentError`), so commander reports the problem as a usage
+ * error. The original error is available as the `cause`. Other errors are thrown as is.
+ * @param {Function} type - The type function.
+ * @param {object} [options = {}] - The type options.
+ * @returns {Function} The argument parser.
+ * @example
+ * program.option('-p, --port <port>', 'The port.', toCommanderArgParser(Integer, { name : 'port', min : 1 }))
+ * // bad input: "error: option '-p, --port <port>' argument '0' is invalid. Command argument 'port' ..."
+ * @category CLI
+ */
+const toCommanderArgParser = (type, options = {}) => {
+  checkType(type)
+
+  return (value) => {
+    try {
+      return type(value, options)
+    }
+    catch (error) {
+      if (!(error instanceof CommonError) || error.status >= 500) {
+        throw error
+      }
+
+      // commander recognizes 'InvalidArgumentError' by the code
+      const invalidArgumentError = new Error(error.message, { cause : error })
+      invalidArgumentError.name = 'InvalidArgumentError'
+      invalidArgumentError.code = 'commander.invalidArgument'
+      invalidArgumentError.exitCode = 1
+
+      throw invalidArgumentError
+    }
+  }
+}
+
+/**
+ * Creates the [commander](https://github.com/tj/commander.js#readme) `option()` arguments for an option which parses
+ * and validates the value with the type function and options. The result is the `flags`, the description, and the
+ * argument parser (see [toCommanderArgParser](#toCommanderArgParser)), to be spread into `option()` or
+ * `requiredOption()`. The description defaults to the [type description](#describing-constraints) so the help output
+ * shows the constraints in force. Unless set in the options, the `name` is taken from the flags.
+ * @param {string} flags - The option flags; e.g., '-p, --port <port>'.
+ * @param {Function} type - The type function.
+ * @param {object} [options = {}] - The type options plus the following.
+ * @param {string} [options.description = undefined] - The option description. Defaults to the type description.
+ * @returns {Array} The `option()` arguments.
+ * @example
+ * program.option(...toCommanderOption('-p, --port <port>', Integer, { min : 1, max : 65535 }))
+ * // help: '-p, --port <port>  Integer between 1 and 65535'
+ * @category CLI
+ */
+const toCommanderOption = (flags, type, { description, ...options } = {}) => {
+  if (typeof flags !== 'string') {
+    throw new ArgumentTypeError({
+      argumentName : 'flags',
+      argumentType : 'string',
+      receivedType : typeof flags,
+      status       : 500,
+    })
+  }
+  checkType(type)
+
+  // prefer the long flag name; e.g., 'port' from '-p, --port <port>'
+  const [, flagName] = flags.match(/--([\w-]+)/) || flags.match(/-(\w)/) || []
+  options.name = options.name ?? flagName
+
+  return [
+    flags,
+    description ?? describeType(type, options),
+    toCommanderArgParser(type, options),
+  ]
+}
+
+/**
+ * Creates a [yargs](https://yargs.js.org/) `coerce` function which parses and validates the option value with the
+ * type function and options. Errors thrown by the type function are reported by yargs as usage errors, with the error
+ * message shown along with the usage.
+ * @param {Function} type - The type function.
+ * @param {object} [options = {}] - The type options.
+ * @returns {Function} The coerce function.
+ * @example
+ * yargs(hideBin(process.argv)).coerce('port', toYargsCoerce(Integer, { name : 'port', min : 1, max : 65535 }))
+ * @category CLI
+ */
+const toYargsCoerce = (type, options = {}) => {
+  checkType(type)
+
+  return (value) => type(String(value), options)
+}
+
+/**
+ * Creates a [yargs](https://yargs.js.org/) option definition which parses and validates the option value with the
+ * type function and options. The option `type` is 'string', so yargs passes the value as given (e.g., '007' is not
+ * converted to the number 7), the `coerce` function is created with [toYargsCoerce](#toYargsCoerce), and `describe` is
+ * the [type description](#describing-constraints) so the help output shows the constraints in force. If the `required`
+ * option is true, then `demandOption` is set since yargs doesn't coerce missing options.
+ * @param {Function} type - The type function.
+ * @param {object} [options = {}] - The type options plus the following.
+ * @param {string} [options.describe = undefined] - The option description. Defaults to the type description.
+ * @returns {object} The yargs option definition.
+ * @example
+ * yargs(hideBin(process.argv)).option('port', toYargsOption(Integer, { name : 'port', min : 1, max : 65535 }))
+ * // help: '--port  Integer between 1 and 65535  [string]'
+ * @category CLI
+ */
+const toYargsOption = (type, { describe, ...options } = {}) => {
+  const option = {
+    type     : 'string',
+    describe : describe ?? describeType(type, options),
+    coerce   : toYargsCoerce(type, options),
+  }
+  if (options.required === true) {
+    option.demandOption = true
+  }
+
+  return option
+}
+
+const checkType = (type) => {
+  if (typeof type !== 'function') {
+    throw new ArgumentTypeError({
+      argumentName : 'type',
+      argumentType : 'function',
+      receivedType : typeof type,
+      status       : 500,
+    })
+  }
+}
+
+export { toCommanderArgParser, toCommanderOption, toYargsCoerce, toYargsOption }
@@ -0,0 +1,93 @@
+import { createReadStream } from 'node:fs'
+import { readFile } from 'node:fs/promises'
+
+import {
+  ArgumentInvalidError,
+  ArgumentMissingError,
+  CommonError
+} from 'standard-error-set'
+
+import { csvValidator } from '../csv-validator'
+import { Integer } from '../integer'
+import { getMessage } from '../lib/messages/get-message'
+import { parseArgs } from './lib/parse-args'
+import { resolveTypeNames, toOutputValue } from './lib/types'
+
+// Implements 'string-input check-csv --spec <spec.json> [--delimiter <char>] [--max-errors <n>] [--no-header]
+// <file>'. Each valid row is printed as a line of JSON to stdout while the errors and a summary are printed to stderr.
+// The file '-' reads from stdin. Returns 1 if any row is invalid and 0 otherwise.
+const checkCSV = async (args, { stderr, stdin, stdout }) => {
+  const { options, positionals } = parseArgs(args, [
+    { name : 'delimiter' },
+    { name : 'max-errors' },
+    { name : 'no-header', boolean : true },
+    { name : 'spec' },
+  ])
+  if (options.spec === undefined) {
+    throw new ArgumentMissingError({ argumentName : '--spec' })
+  }
+  else if (positionals.length !== 1) {
+    throw new ArgumentMissingError({ argumentName : 'file' })
+  }
+
+  const [path] = positionals
+  const validator = csvValidator(await readSpec(options.spec), {
+    delimiter : options.delimiter,
+    header    : options['no-header'] !== true,
+    maxErrors :
+      Integer(options['max-errors'] ?? '', { name : '--max-errors', min : 1 })
+      ?? Infinity,
+    name : path,
+  })
+  const input = path === '-' ? stdin : createReadStream(path)
+  input.on('error', (error) => validator.destroy(error))
+  input.pipe(validator)
+
+  try {
+    for await (const row of validator) {
+      const output = {}
+      for (const [field, value] of Object.entries(row)) {
+        output[field] = toOutputValue(value)
+      }
+      stdout.write(JSON.stringify(output) + '\n')
+    }
+  }
+  catch (error) {
+    if (!(error instanceof CommonError)) {
+      throw error
+    }
+    stderr.write(error.message + '\n')
+
+    return 1
+  }
+
+  const { errors, invalidRows, rows, validRows } = validator.report
+  for (const error of errors) {
+    stderr.write(error.message + '\n')
+  }
+  stderr.write(
+    `${path}: ${rows} rows, ${validRows} valid, ${invalidRows} invalid\n`
+  )
+
+  return invalidRows > 0 ? 1 : 0
+}
+
+const readSpec = async (specPath) => {
+  const content = await readFile(specPath, { encoding : 'utf8' })
+  try {
+    return resolveTypeNames(JSON.parse(content))
+  }
+  catch (error) {
+    if (!(error instanceof SyntaxError)) {
+      throw error
+    }
+
+    throw new ArgumentInvalidError({
+      argumentName  : '--spec',
+      argumentValue : specPath,
+      ...getMessage('CLI_SPEC_INVALID_JSON', { reason : error.message }),
+    })
+  }
+}
+
+export { checkCSV }
@@ -0,0 +1,49 @@
+import { ArgumentMissingError, CommonError } from 'standard-error-set'
+
+import { parseArgs } from './lib/parse-args'
+import { getType, parseTypeOptions, toOutputValue } from './lib/types'
+
+// Implements 'string-input check --type <type> [--name <name>] [--option <key=value>...] <value...>'. Each valid value
+// is printed (normalized) to stdout and each error to stderr. Returns 1 if any value is invalid and 0 otherwise.
+const check = (args, { stderr, stdout }) => {
+  const { options, positionals } = parseArgs(args, [
+    { name : 'name' },
+    { name : 'option', multiple : true },
+    { name : 'type' },
+  ])
+  if (options.type === undefined) {
+    throw new ArgumentMissingError({ argumentName : '--type' })
+  }
+  else if (positionals.length === 0) {
+    throw new ArgumentMissingError({ argumentName : 'value' })
+  }
+
+  const type = getType(options.type)
+  const typeOptions = {
+    ...parseTypeOptions(options.option || []),
+    name : options.name ?? 'value',
+  }
+
+  let exitCode = 0
+  for (const input of positionals) {
+    try {
+      const value = toOutputValue(type(input, typeOptions))
+      stdout.write(
+        (typeof value === 'string' ? value : (JSON.stringify(value) ?? ''))
+          + '\n'
+      )
+    }
+    catch (error) {
+      // errors with the options are usage errors, not invalid values
+      if (!(error instanceof CommonError) || error.status >= 500) {
+        throw error
+      }
+      stderr.write(error.message + '\n')
+      exitCode = 1
+    }
+  }
+
+  return exitCode
+}
+
+export { check }
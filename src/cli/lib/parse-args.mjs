@@ -0,0 +1,67 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { BooleanString } from '../../boolean-string'
+import { getMessage } from '../../lib/messages/get-message'
+
+// Parses the command line arguments according to the option definitions; an array of '{ name, boolean, multiple }'
+// (like a command-line-args option spec) where 'name' is the long option name without the leading '--'. Options may be
+// given as '--name value' or '--name=value' and '--' ends the options. Boolean options take no value unless given with
+// '=' (e.g., '--header=false'). Returns '{ options, positionals }'.
+const parseArgs = (args, definitions) => {
+  const options = {}
+  const positionals = []
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i]
+    if (arg === '--') {
+      positionals.push(...args.slice(i + 1))
+      break
+    }
+    else if (!arg.startsWith('--')) {
+      positionals.push(arg)
+      continue
+    }
+
+    const separatorIndex = arg.indexOf('=')
+    const name = arg.slice(
+      2,
+      separatorIndex === -1 ? undefined : separatorIndex
+    )
+    let value =
+      separatorIndex === -1 ? undefined : arg.slice(separatorIndex + 1)
+    const definition = definitions.find((candidate) => candidate.name === name)
+    if (definition === undefined) {
+      throw new ArgumentInvalidError({
+        argumentName : '--' + name,
+        ...getMessage('CLI_UNKNOWN_OPTION', {
+          options : definitions.map((candidate) => '--' + candidate.name),
+        }),
+      })
+    }
+
+    if (definition.boolean === true) {
+      value =
+        value === undefined ? true : BooleanString(value, { name : '--' + name })
+    }
+    else if (value === undefined) {
+      i += 1
+      if (i >= args.length) {
+        throw new ArgumentInvalidError({
+          argumentName : '--' + name,
+          ...getMessage('CLI_OPTION_VALUE_MISSING'),
+        })
+      }
+      value = args[i]
+    }
+
+    if (definition.multiple === true) {
+      options[name] = [...(options[name] || []), value]
+    }
+    else {
+      options[name] = value
+    }
+  }
+
+  return { options, positionals }
+}
+
+export { parseArgs }
@@ -0,0 +1,120 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { Day } from '../../../day'
+import { Email } from '../../../email'
+import { Integer } from '../../../integer'
+import { KeyValueMap } from '../../../key-value-map'
+import { List } from '../../../list'
+import { Union } from '../../../union'
+import { ValidatedString } from '../../../validated-string'
+import {
+  getType,
+  parseTypeOptions,
+  resolveTypeNames,
+  toOutputValue
+} from '../types'
+
+describe('getType', () => {
+  test('maps type names to type functions', () =>
+    expect(getType('Email')).toBe(Email))
+
+  test.each([['validateRecord'], ['defineType'], ['email']])(
+    "'%s' is not a type",
+    (name) => expect(() => getType(name)).toThrow(ArgumentInvalidError)
+  )
+})
+
+describe('resolveTypeNames', () => {
+  test('resolves type names in spec objects', () =>
+    expect(
+      resolveTypeNames({
+        email : 'Email',
+        ids   : { type : 'List', elementType : 'Integer', maxItems : 3 },
+        size  : {
+          type  : 'Union',
+          types : ['Integer', { type : 'ValidatedString', oneOf : ['auto'] }],
+        },
+        tags : {
+          type         : 'KeyValueMap',
+          valueType    : 'List',
+          valueOptions : { elementType : 'Integer' },
+        },
+      })
+    ).toEqual({
+      email : Email,
+      ids   : { type : List, elementType : Integer, maxItems : 3 },
+      size  : {
+        type  : Union,
+        types : [Integer, { type : ValidatedString, oneOf : ['auto'] }],
+      },
+      tags : {
+        type         : KeyValueMap,
+        valueType    : List,
+        valueOptions : { elementType : Integer },
+      },
+    }))
+
+  test('resolves type names in spec arrays', () =>
+    expect(resolveTypeNames([{ name : 'day', type : 'Day' }])).toEqual([
+      { name : 'day', type : Day },
+    ]))
+
+  test('names the spec field in errors', () =>
+    expect(() => resolveTypeNames([{ name : 'day', type : 'Dy' }])).toThrow(
+      /'spec\[0\].type' with value 'Dy'/
+    ))
+})
+
+describe('parseTypeOptions', () => {
+  test('converts integer and boolean values', () =>
+    expect(
+      parseTypeOptions([
+        'min=1',
+        'required=true',
+        'oneOf=a,b',
+        'matchRe=x=y',
+        'flag=yes',
+      ])
+    ).toEqual({
+      min      : 1,
+      required : true,
+      oneOf    : 'a,b',
+      matchRe  : 'x=y',
+      flag     : 'yes',
+    }))
+
+  test.each([
+    [['oneOf=1'], { oneOf : '1' }],
+    [['matchRe=12'], { matchRe : '12' }],
+    [['startsWith=true', 'endsWith=0'], { startsWith : 'true', endsWith : '0' }],
+    [['separator=1', 'values=false'], { separator : '1', values : 'false' }],
+    [['maxLength=8', 'unique=false'], { maxLength : 8, unique : false }],
+    [['max=2024-01-01'], { max : '2024-01-01' }],
+  ])('keeps string options as strings; %p -> %p', (optionArgs, expected) =>
+    expect(parseTypeOptions(optionArgs)).toEqual(expected))
+
+  test.each([['foo'], ['=1']])("rejects '%s'", (option) =>
+    expect(() => parseTypeOptions([option])).toThrow(
+      /is not a 'key=value' pair/
+    ))
+})
+
+describe('toOutputValue', () => {
+  test.each([
+    [new Date(Date.UTC(2024, 0, 5)), '2024-01-05T00:00:00.000Z'],
+    [Day('2024-01-05'), '2024-01-05'],
+    [12, 12],
+    [
+      [1, 2],
+      [1, 2],
+    ],
+    [{ a : 1 }, { a : 1 }],
+    [
+      { address : 'john@foo.com', domain : 'foo.com', username : 'john' },
+      'john@foo.com',
+    ],
+    [[Day('2024-01-05')], ['2024-01-05']],
+    [undefined, undefined],
+  ])('%p -> %p', (value, expected) =>
+    expect(toOutputValue(value)).toEqual(expected))
+})
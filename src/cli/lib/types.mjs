@@ -0,0 +1,196 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { BooleanString } from '../../boolean-string'
+import * as exported from '../../index'
+import { Integer } from '../../integer'
+import { getSuggestions } from '../../lib/get-suggestions'
+import { getMessage } from '../../lib/messages/get-message'
+
+// maps the type names to the exported type functions; everything with a 'description' is a type
+const types = {}
+for (const [name, value] of Object.entries(exported)) {
+  if (typeof value === 'function' && typeof value.description === 'string') {
+    types[name] = value
+  }
+}
+
+// the type options which hold type names and nested type options
+const typeFields = ['elementType', 'keyType', 'type', 'valueType']
+const optionsFields = ['elementOptions', 'keyOptions', 'valueOptions']
+
+const getType = (typeName, { name = '--type' } = {}) => {
+  const type = types[typeName]
+  if (type === undefined) {
+    throw new ArgumentInvalidError({
+      argumentName  : name,
+      argumentValue : typeName,
+      ...getMessage('CLI_UNKNOWN_TYPE', {
+        suggestions : getSuggestions(typeName, Object.keys(types)),
+        types       : Object.keys(types),
+      }),
+    })
+  }
+
+  return type
+}
+
+// Replaces the type names in a JSON spec (including any nested list, map, and union types) with the type functions.
+const resolveTypeNames = (spec) => {
+  if (Array.isArray(spec)) {
+    return spec.map((fieldSpec, index) =>
+      resolveFieldSpec(fieldSpec, `spec[${index}]`))
+  }
+  else if (spec === null || typeof spec !== 'object') {
+    return spec // 'getFields()' will complain
+  }
+  // else
+
+  const result = {}
+  for (const [field, fieldSpec] of Object.entries(spec)) {
+    result[field] = resolveFieldSpec(fieldSpec, `spec.${field}`)
+  }
+
+  return result
+}
+
+const resolveFieldSpec = (fieldSpec, name) => {
+  if (typeof fieldSpec === 'string') {
+    return getType(fieldSpec, { name })
+  }
+  else if (fieldSpec === null || typeof fieldSpec !== 'object') {
+    return fieldSpec
+  }
+  // else
+
+  const result = { ...fieldSpec }
+  for (const field of typeFields) {
+    if (typeof result[field] === 'string') {
+      result[field] = getType(result[field], { name : `${name}.${field}` })
+    }
+  }
+  for (const field of optionsFields) {
+    if (result[field] !== undefined) {
+      result[field] = resolveFieldSpec(result[field], `${name}.${field}`)
+    }
+  }
+  if (Array.isArray(result.types)) {
+    result.types = result.types.map((typeSpec, index) =>
+      resolveFieldSpec(typeSpec, `${name}.types[${index}]`))
+  }
+
+  return result
+}
+
+const booleanOptions = { noAbbreviations : true, noNumeric : true, noYesNo : true }
+
+// the type options read as numbers and booleans; any other option value (like 'oneOf' or 'matchRe') is a string
+const numberOptionNames = [
+  'divisibleBy',
+  'max',
+  'maxItems',
+  'maxLength',
+  'min',
+  'minItems',
+  'minLength',
+]
+const booleanOptionNames = [
+  'allowAnyDomainLiteral',
+  'allowComments',
+  'allowIPV4',
+  'allowIPV6',
+  'allowLeadingZeros',
+  'allowLocalhost',
+  'allowQuotedLocalPart',
+  'arbitraryTLDs',
+  'caseSensitive',
+  'collapseWhitespace',
+  'collectAllIssues',
+  'excludeChars',
+  'noAbbreviations',
+  'noDomainSpecificValidation',
+  'noEod',
+  'noLengthCheck',
+  'noNonASCIILocalPart',
+  'noNumeric',
+  'noPlusEmails',
+  'noTLDOnly',
+  'noYesNo',
+  'required',
+  'sensitive',
+  'stripInvisible',
+  'treatNegativeValuesAsFalse',
+  'unique',
+]
+
+// Parses 'key=value' option arguments into type options. Type names (for 'elementType' and the like) are converted to
+// the type functions, integer values of the number options (like 'min' and 'maxLength') are converted to integers,
+// and 'true'/'false' values of the boolean options (like 'required') are converted to booleans. Any other value,
+// including the string options like 'oneOf' and 'matchRe', is used as is.
+const parseTypeOptions = (optionArgs) => {
+  const options = {}
+  for (const optionArg of optionArgs) {
+    const separatorIndex = optionArg.indexOf('=')
+    if (separatorIndex < 1) {
+      throw new ArgumentInvalidError({
+        argumentName  : '--option',
+        argumentValue : optionArg,
+        ...getMessage('CLI_OPTION_INVALID'),
+      })
+    }
+
+    const key = optionArg.slice(0, separatorIndex)
+    const value = optionArg.slice(separatorIndex + 1)
+    if (typeFields.includes(key)) {
+      options[key] = getType(value, { name : '--option' })
+      continue
+    }
+
+    let converted
+    if (numberOptionNames.includes(key)) {
+      converted = Integer.safe(value, { name : key })
+    }
+    else if (booleanOptionNames.includes(key)) {
+      converted = BooleanString.safe(value, { name : key, ...booleanOptions })
+    }
+    options[key] =
+      converted?.ok === true && converted.value !== undefined
+        ? converted.value
+        : value
+  }
+
+  return options
+}
+
+// converts type values to JSON friendly values; e.g., a 'Day' becomes its 'YYYY-MM-DD' string and an 'Email' result
+// becomes the normalized address
+const toOutputValue = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString()
+  }
+  else if (Array.isArray(value)) {
+    return value.map(toOutputValue)
+  }
+  else if (isEmailResult(value)) {
+    return value.address
+  }
+  else if (
+    value !== null
+    && typeof value === 'object'
+    && value.toString !== Object.prototype.toString
+  ) {
+    return String(value)
+  }
+  // else
+
+  return value
+}
+
+// 'Email' results are plain objects with (at least) the 'address', 'username', and 'domain' strings
+const isEmailResult = (value) =>
+  value !== null
+  && typeof value === 'object'
+  && ['address', 'domain', 'username'].every(
+    (field) => typeof value[field] === 'string'
+  )
+
+export { getType, parseTypeOptions, resolveTypeNames, toOutputValue }
@@ -0,0 +1,72 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { getSuggestions } from '../lib/get-suggestions'
+import { getMessage } from '../lib/messages/get-message'
+import { check } from './check'
+import { checkCSV } from './check-csv'
+
+const commands = ['check', 'check-csv', 'help']
+
+const usage = `Usage:
+  string-input check --type <type> [--name <name>] [--option <key=value>...] <value...>
+  string-input check-csv --spec <spec.json> [--delimiter <char>] [--max-errors <n>] [--no-header] <file>
+  string-input help
+
+'check' validates each value with the named type function (e.g., 'Email' or 'Integer') and prints the normalized
+value. Type options are given as 'key=value' pairs; integer values of number options (like 'min') and 'true'/'false'
+values of boolean options (like 'required') are converted while string options (like 'oneOf') are used as is. The
+'--name' used in error messages defaults to 'value'.
+
+'check-csv' validates each row of a CSV file (or stdin, if the file is '-') according to a JSON spec like
+'{ "email": { "type": "Email", "required": true }, "age": "Integer" }' and prints each valid row as JSON.
+
+Errors are printed to stderr. The exit code is 1 if any value is invalid and 2 for usage errors.
+`
+
+// Runs the 'string-input' command with the arguments (excluding the node and script paths) and returns the exit code.
+const main = async (
+  args,
+  {
+    stderr = process.stderr,
+    stdin = process.stdin,
+    stdout = process.stdout,
+  } = {}
+) => {
+  const [command, ...commandArgs] = args
+  const streams = { stderr, stdin, stdout }
+  try {
+    if (command === 'check') {
+      return check(commandArgs, streams)
+    }
+    else if (command === 'check-csv') {
+      return await checkCSV(commandArgs, streams)
+    }
+    else if (command === 'help' || command === '--help') {
+      stdout.write(usage)
+
+      return 0
+    }
+    else if (command === undefined) {
+      stderr.write(usage)
+
+      return 2
+    }
+    // else
+
+    throw new ArgumentInvalidError({
+      argumentName  : 'command',
+      argumentValue : command,
+      ...getMessage('STRING_ONE_OF', {
+        oneOf       : commands,
+        suggestions : getSuggestions(command, commands),
+      }),
+    })
+  }
+  catch (error) {
+    stderr.write(`string-input: ${error.message}\n`)
+
+    return 2
+  }
+}
+
+export { main }
@@ -0,0 +1,289 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { PassThrough, Readable } from 'node:stream'
+
+import { main } from '../main'
+
+const run = async (args, { stdin } = {}) => {
+  const makeOutput = () => {
+    const output = new PassThrough()
+    output.text = ''
+    output.on('data', (chunk) => {
+      output.text += chunk.toString()
+    })
+
+    return output
+  }
+  const stdout = makeOutput()
+  const stderr = makeOutput()
+  const exitCode = await main(args, { stderr, stdin, stdout })
+
+  return { exitCode, stderr : stderr.text, stdout : stdout.text }
+}
+
+describe('string-input', () => {
+  test("'help' prints the usage", async () => {
+    const { exitCode, stdout } = await run(['help'])
+    expect(exitCode).toBe(0)
+    expect(stdout).toMatch(/^Usage:/)
+  })
+
+  test('no command prints the usage to stderr and exits 2', async () => {
+    const { exitCode, stderr } = await run([])
+    expect(exitCode).toBe(2)
+    expect(stderr).toMatch(/^Usage:/)
+  })
+
+  test('suggests the closest command', async () =>
+    expect((await run(['chek'])).stderr).toMatch(/Did you mean 'check'\?/))
+
+  test('rejects unknown commands', async () =>
+    expect(await run(['foo'])).toEqual({
+      exitCode : 2,
+      stderr :
+        "string-input: Command argument 'command' with value 'foo' must be one of 'check', 'check-csv', 'help'.\n",
+      stdout : '',
+    }))
+
+  describe('check', () => {
+    test('prints the normalized values', async () =>
+      expect(
+        await run([
+          'check',
+          '--type',
+          'Integer',
+          '--option',
+          'max=10',
+          '7',
+          '10',
+        ])
+      ).toEqual({ exitCode : 0, stderr : '', stdout : '7\n10\n' }))
+
+    test('resolves type names in the options', async () =>
+      expect(
+        await run([
+          'check',
+          '--type',
+          'List',
+          '--option',
+          'elementType=Integer',
+          '1, 2',
+        ])
+      ).toMatchObject({ exitCode : 0, stdout : '[1,2]\n' }))
+
+    test.each([
+      ['Day', '2024-01-05', '2024-01-05'],
+      ['BooleanString', 'yes', 'true'],
+      ['Email', 'John@Foo.com', 'John@foo.com\n'],
+    ])('type %s value %p prints %p', async (type, value, expected) => {
+      const { stdout } = await run(['check', '--type=' + type, value])
+      expect(stdout).toMatch(expected)
+    })
+
+    test('prints errors and exits 1 for invalid values', async () => {
+      const { exitCode, stderr, stdout } = await run([
+        'check',
+        '--type',
+        'Email',
+        '--option',
+        'noPlusEmails=true',
+        '--name',
+        'email',
+        'a+b@foo.com',
+        'a@foo.com',
+      ])
+      expect(exitCode).toBe(1)
+      expect(stdout).toBe('a@foo.com\n')
+      expect(stderr).toBe(
+        "Command argument 'email' with value 'a+b@foo.com' contains excluded character '+' in username.\n"
+      )
+    })
+
+    test("names the value 'value' by default", async () =>
+      expect(
+        await run(['check', '--type', 'Integer', '--option', 'max=5', '7'])
+      ).toMatchObject({
+        exitCode : 1,
+        stderr   : expect.stringMatching(/^Command argument 'value' /),
+      }))
+
+    test.each([
+      [['oneOf=1'], '1', '1\n'],
+      [['matchRe=12'], 'a12', 'a12\n'],
+      [['startsWith=1'], '12', '12\n'],
+    ])(
+      'keeps string options %p as strings',
+      async (optionArgs, value, expected) => {
+        const args = optionArgs.flatMap((option) => ['--option', option])
+        expect(
+          await run(['check', '--type', 'ValidatedString', ...args, value])
+        ).toMatchObject({ exitCode : 0, stdout : expected })
+      }
+    )
+
+    test.each([
+      [['oneOf=1'], 'x', /with value 'x' must be '1'/],
+      [['matchRe=12'], 'x', /with value 'x' must match/],
+    ])(
+      '%p with value %p is an input error',
+      async (optionArgs, value, expected) => {
+        const args = optionArgs.flatMap((option) => ['--option', option])
+        const { exitCode, stderr } = await run([
+          'check',
+          '--type',
+          'ValidatedString',
+          ...args,
+          value,
+        ])
+        expect(exitCode).toBe(1)
+        expect(stderr).toMatch(expected)
+      }
+    )
+
+    test.each([
+      [['check', 'x'], /'--type' is missing or empty/],
+      [['check', '--type', 'Integer'], /'value' is missing or empty/],
+      [
+        ['check', '--type', 'Foo', 'x'],
+        /'Foo' is not a known type. The types are BooleanString, /,
+      ],
+      [['check', '--foo', 'x'], /'--foo' is not a recognized option/],
+      [['check', '--type'], /'--type' requires a value/],
+      [
+        ['check', '--type', 'Integer', '--option', 'min', '1'],
+        /'min' is not a 'key=value' pair/,
+      ],
+      [['check', '--type', 'Union', '1'], /must define at least one type/],
+    ])('%p is a usage error', async (args, expected) => {
+      const { exitCode, stderr } = await run(args)
+      expect(exitCode).toBe(2)
+      expect(stderr).toMatch(expected)
+    })
+  })
+
+  describe('check-csv', () => {
+    let dir
+    let specPath
+
+    beforeAll(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'string-input-'))
+      specPath = join(dir, 'spec.json')
+      await writeFile(
+        specPath,
+        JSON.stringify({
+          email : { type : 'Email', required : true },
+          day   : 'Day',
+          ids   : { type : 'List', elementType : 'Integer' },
+        })
+      )
+    })
+
+    afterAll(async () => await rm(dir, { recursive : true }))
+
+    test('prints the valid rows as JSON and exits 0', async () => {
+      const csvPath = join(dir, 'valid.csv')
+      await writeFile(csvPath, 'email,day,ids\njohn@foo.com,2024-01-05,"1,2"\n')
+      const { exitCode, stderr, stdout } = await run([
+        'check-csv',
+        '--spec',
+        specPath,
+        csvPath,
+      ])
+      expect(exitCode).toBe(0)
+      expect(JSON.parse(stdout)).toEqual({
+        email : 'john@foo.com',
+        day   : '2024-01-05',
+        ids   : [1, 2],
+      })
+      expect(stderr).toBe(`${csvPath}: 1 rows, 1 valid, 0 invalid\n`)
+    })
+
+    test('reports every error and exits 1', async () => {
+      const { exitCode, stderr, stdout } = await run(
+        ['check-csv', '--spec', specPath, '--delimiter', '\t', '-'],
+        {
+          stdin : Readable.from([
+            'email\tday\tids\nfoo\tbar\t\njohn@foo.com\t\t\n',
+          ]),
+        }
+      )
+      expect(exitCode).toBe(1)
+      expect(stdout).toMatch(/john@foo.com/)
+      expect(stderr).toMatch(
+        /^Row 2, column 'email': .*?\nRow 2, column 'day': .*?\n-: 2 rows, 1 valid, 1 invalid\n$/
+      )
+    })
+
+    test("stops after '--max-errors' errors", async () => {
+      const { exitCode, stderr, stdout } = await run(
+        ['check-csv', '--spec', specPath, '--max-errors', '1', '-'],
+        {
+          stdin : Readable.from([
+            'email,day,ids\nfoo,,\nbar,,\njohn@foo.com,,\n',
+          ]),
+        }
+      )
+      expect(exitCode).toBe(1)
+      expect(stdout).toBe('')
+      expect(stderr).toMatch(/^Row 2, column 'email': [^\n]*?\n$/)
+    })
+
+    test("reads headerless files with '--no-header'", async () => {
+      const indexSpecPath = join(dir, 'index-spec.json')
+      await writeFile(
+        indexSpecPath,
+        '[{ "name": "count", "type": "Integer", "column": 1 }]'
+      )
+      const { exitCode, stdout } = await run(
+        ['check-csv', '--spec', indexSpecPath, '--no-header', '-'],
+        { stdin : Readable.from(['foo,12\n']) }
+      )
+      expect(exitCode).toBe(0)
+      expect(stdout).toBe('{"count":12}\n')
+    })
+
+    test.each([
+      [['check-csv', 'foo.csv'], /'--spec' is missing or empty/],
+      [['check-csv', '--spec', 'spec.json'], /'file' is missing or empty/],
+      [['check-csv', '--spec', 'no-such-spec.json', 'x.csv'], /ENOENT/],
+    ])('%p is a usage error', async (args, expected) => {
+      const { exitCode, stderr } = await run(args)
+      expect(exitCode).toBe(2)
+      expect(stderr).toMatch(expected)
+    })
+
+    test('rejects invalid JSON specs', async () => {
+      const badSpecPath = join(dir, 'bad.json')
+      await writeFile(badSpecPath, '{ email: ')
+      const { exitCode, stderr } = await run([
+        'check-csv',
+        '--spec',
+        badSpecPath,
+        '-',
+      ])
+      expect(exitCode).toBe(2)
+      expect(stderr).toMatch(
+        /'--spec' with value '.*?bad.json' is not valid JSON/
+      )
+    })
+
+    test('rejects unknown types in the spec', async () => {
+      const badSpecPath = join(dir, 'bad-type.json')
+      await writeFile(
+        badSpecPath,
+        '{ "ids": { "type": "List", "elementType": "Int" } }'
+      )
+      const { exitCode, stderr } = await run([
+        'check-csv',
+        '--spec',
+        badSpecPath,
+        '-',
+      ])
+      expect(exitCode).toBe(2)
+      expect(stderr).toMatch(
+        /'spec.ids.elementType' with value 'Int' is not a known type/
+      )
+    })
+  })
+})
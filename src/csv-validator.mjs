@@ -0,0 +1,237 @@
+import { StringDecoder } from 'node:string_decoder'
+import { Transform } from 'node:stream'
+
+import { ArgumentInvalidError, CommonError } from 'standard-error-set'
+
+import { makeFieldRefResolver } from './lib/field-refs'
+import { getFields } from './lib/get-fields'
+import { makeCSVParser } from './lib/make-csv-parser'
+import { makeIssueCollector } from './lib/make-issue-collector'
+import { getMessage, getPhrase } from './lib/messages/get-message'
+
+/**
+ * Creates a stream which parses and validates delimited text (like CSV or TSV) according to a
+ * [validateRecord](#validateRecord) style spec. Text is written to the stream (e.g., by piping a file stream into it)
+ * and the converted rows are read from it as objects mapping field names to their values. Fields which are empty are
+ * not included.
+ *
+ * The text is parsed per [RFC 4180](https://www.rfc-editor.org/rfc/rfc4180): fields may be quoted, quoted fields may
+ * contain delimiters, newlines, and doubled quotes (e.g., '"Say ""hi"""'), and records may end with CRLF or LF. Blank
+ * lines are skipped. Each field spec may define a `column` option naming the header column or giving the zero-based
+ * column index to read the field from. The `column` defaults to the field name, so when there is no header, either
+ * set `column` or use the column indexes as the spec field names.
+ *
+ * Each invalid field is reported with an error which defines the `row` (the 1-based record number, counting the
+ * header) and `column` properties and whose message is prefixed with the location; e.g., "Row 3, column 'email': ".
+ * Invalid rows are skipped. Once `maxErrors` errors are found, the stream fails with the error or, if `maxErrors` is
+ * greater than 1, an `ArgumentInvalidError` listing each error and holding them in the `errors` property (see
+ * [collecting all issues](#collecting-all-issues)). Set `maxErrors` to `Infinity` to check every row. Malformed
+ * quoting and header rows missing a spec column always fail the stream.
+ *
+ * The stream's `report` property summarizes the results with the number of `rows` (excluding the header),
+ * `validRows`, and `invalidRows` plus the list of `errors`. The report is complete when the stream ends.
+ * @param {object|Array.<object>} spec - The field specification.
+ * @param {object} [options = {}] - The validator options.
+ * @param {string} [options.delimiter = ','] - The field delimiter; use '\t' for TSV.
+ * @param {boolean} [options.header = true] - Whether the first row names the columns.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {number} [options.maxErrors = 1] - The number of errors after which the stream fails.
+ * @param {string} [options.name = 'CSV'] - The name of the input used in error messages (e.g., the file path).
+ * @param {string} [options.quote = '"'] - The quote character.
+ * @returns {Transform} The validator stream; readable in object mode.
+ * @example
+ * const validator = csvValidator(
+ *   { email : { type : Email, required : true }, birthday : { type : Day, column : 'Date of birth' } },
+ *   { maxErrors : Infinity }
+ * )
+ * createReadStream('users.csv').pipe(validator)
+ * for await (const { email, birthday } of validator) {
+ *   // ...
+ * }
+ * validator.report // { rows : 10, validRows : 9, invalidRows : 1, errors : [...] }
+ * @category Records
+ */
+const csvValidator = (
+  spec,
+  {
+    delimiter = ',',
+    header = true,
+    locale,
+    maxErrors = 1,
+    name = 'CSV',
+    quote = '"',
+  } = {}
+) => {
+  checkCharacterOption({ locale, name : 'delimiter', value : delimiter })
+  checkCharacterOption({ locale, name : 'quote', value : quote })
+
+  const specFields = getFields(spec)
+  const resolveFieldRefs = makeFieldRefResolver(specFields)
+  const fields = specFields.map(
+    ([field, type, { column = field, ...options }]) => ({
+      column,
+      field,
+      options : { locale, ...options },
+      type,
+    })
+  )
+  if (header !== true) {
+    for (const fieldSpec of fields) {
+      fieldSpec.index = getColumnIndex(fieldSpec, { locale })
+    }
+  }
+
+  const decoder = new StringDecoder('utf8')
+  const parser = makeCSVParser({ delimiter, locale, name, quote })
+  const issues = makeIssueCollector({ collectAllIssues : true, locale, name })
+  const report = { rows : 0, validRows : 0, invalidRows : 0, errors : [] }
+  let headerPending = header === true
+  let started = false
+
+  const processRecords = (records, stream) => {
+    for (const { fields: values, row } of records) {
+      if (headerPending === true) {
+        mapHeader(values, { fields, locale, name })
+        headerPending = false
+        continue
+      }
+
+      report.rows += 1
+      const result = {}
+      let valid = true
+      for (const { column, field, index, options, type } of fields) {
+        try {
+          const input = values[index] ?? ''
+          const { options: typeOptions, check } = resolveFieldRefs(
+            options,
+            result
+          )
+          const value = type(input, typeOptions)
+          check(value, input)
+          if (value !== undefined) {
+            result[field] = value
+          }
+        }
+        catch (error) {
+          if (!(error instanceof CommonError)) {
+            throw error
+          }
+          valid = false
+          addLocation(error, { column, locale, row })
+          report.errors.push(error)
+          issues.add(error)
+          if (report.errors.length >= maxErrors) {
+            issues.throwIfAny()
+          }
+        }
+      }
+
+      if (valid === true) {
+        report.validRows += 1
+        stream.push(result)
+      }
+      else {
+        report.invalidRows += 1
+      }
+    }
+  }
+
+  const validator = new Transform({
+    readableObjectMode : true,
+    transform(chunk, encoding, callback) {
+      try {
+        let text = decoder.write(chunk)
+        if (started === false && text.length > 0) {
+          started = true
+          text = text.replace(/^\uFEFF/, '') // ignore any byte order mark
+        }
+        processRecords(parser.write(text), this)
+        callback()
+      }
+      catch (error) {
+        callback(error)
+      }
+    },
+    flush(callback) {
+      try {
+        processRecords(parser.write(decoder.end()), this)
+        processRecords(parser.end(), this)
+        callback()
+      }
+      catch (error) {
+        callback(error)
+      }
+    },
+  })
+  validator.report = report
+
+  return validator
+}
+
+const addLocation = (error, { column, locale, row }) => {
+  error.row = row
+  error.column = column
+  error.message =
+    getPhrase('CSV_LOCATION', { column, row }, { locale }) + error.message
+}
+
+const checkCharacterOption = ({ locale, name, value }) => {
+  if (
+    typeof value !== 'string'
+    || value.length !== 1
+    || value === '\n'
+    || value === '\r'
+  ) {
+    throw new ArgumentInvalidError({
+      argumentName  : name,
+      argumentValue : value,
+      ...getMessage('CSV_INVALID_CHARACTER', {}, { locale }),
+      status        : 500,
+    })
+  }
+}
+
+const getColumnIndex = ({ column, field }, { locale }) => {
+  if (Number.isInteger(column) && column >= 0) {
+    return column
+  }
+  else if (typeof column === 'string' && /^\d+$/.test(column)) {
+    return parseInt(column)
+  }
+  // else
+
+  throw new ArgumentInvalidError({
+    argumentName  : `${field}' option 'column`,
+    argumentValue : column,
+    ...getMessage('CSV_COLUMN_NOT_INDEX', {}, { locale }),
+    status        : 500,
+  })
+}
+
+const mapHeader = (headerValues, { fields, locale, name }) => {
+  const headers = headerValues.map((value) => value.trim())
+  const missing = []
+  for (const fieldSpec of fields) {
+    fieldSpec.index =
+      typeof fieldSpec.column === 'number'
+        ? fieldSpec.column
+        : headers.indexOf(fieldSpec.column)
+    if (fieldSpec.index === -1) {
+      missing.push(fieldSpec.column)
+    }
+  }
+
+  if (missing.length > 0) {
+    const error = new ArgumentInvalidError({
+      argumentName : name,
+      ...getMessage('CSV_MISSING_COLUMNS', { columns : missing }, { locale }),
+    })
+    error.row = 1
+    error.message = getPhrase('CSV_ROW', { row : 1 }, { locale }) + error.message
+
+    throw error
+  }
+}
+
+export { csvValidator }
@@ -1,6 +1,7 @@
 import { ArgumentInvalidError, ArgumentTypeError } from 'standard-error-set'
 import { iso8601DateTimeRe, rfc2822DateRe } from 'regex-repo'
 
+import { applyDefault, usesDefault } from './lib/apply-default'
 import { checkMaxMin } from './lib/check-max-min'
 import { checkValidateInput } from './lib/check-validate-input'
 import { checkValidateValue } from './lib/check-validate-value'
@@ -9,6 +10,11 @@ import { makeDateTimeString } from './lib/date-time/make-date-time-string'
 import { processIdiomaticDateTime } from './lib/date-time/process-idiomatic-date-time'
 import { processISO8601DateTime } from './lib/date-time/process-iso-8601-date-time'
 import { processRFC2822DateTime } from './lib/date-time/process-rfc-2822-date-time'
+import { describeConstraints, describeIf, describeRange } from './lib/describe'
+import { makeAsync } from './lib/make-async'
+import { makeSafe } from './lib/make-safe'
+import { getMessage } from './lib/messages/get-message'
+import { redactErrors, usesRedaction } from './lib/redact-errors'
 import { sanitizeOptions } from './lib/sanitize-options'
 import { standardChecks } from './lib/standard-checks'
 
@@ -43,6 +49,22 @@ import { standardChecks } from './lib/standard-checks'
  * @param {string} options.name - The 'name' by which to refer to the input when generating error messages for the user.
  * @param {number} [options.status = 400] - The HTTP status to use when throwing `ArgumentInvalidError` errors. This
  *   can be used to mark arguments specified by in code or configurations without user input.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {*} [options.default = undefined] - The value to use when the input is empty. A string default is parsed
+ *   and validated just like the input, while any other default is checked against any `min`/`max` constraints and the
+ *   `validateValue` function. See [default values](#default-values).
+ * @param {string} [options.whitespace = 'trim'] - How to handle leading and trailing whitespace; 'trim' removes it,
+ *   'reject' rejects input containing it, and 'preserve' keeps it. See
+ *   [whitespace and normalization](#whitespace-and-normalization).
+ * @param {string} [options.normalize = undefined] - The Unicode normalization form applied to the input; 'NFC',
+ *   'NFD', 'NFKC', or 'NFKD'.
+ * @param {boolean} [options.collapseWhitespace = false] - If true, each run of whitespace within the input is
+ *   replaced by a single space.
+ * @param {boolean} [options.stripInvisible = false] - If true, zero-width and bidirectional control characters are
+ *   removed from the input.
+ * @param {boolean} [options.sensitive = false] - If true, the input is masked in any error messages and properties. See
+ *   [sensitive values](#sensitive-values).
  * @param {boolean} [options.required = false] - If true, then the empty string is rejected and `ArgumentMissingError`
  *   is thrown.
  * @param {string} [options.localTimezone = undefined] - For otherwise valid date time input with no time zone
@@ -63,6 +85,13 @@ import { standardChecks } from './lib/standard-checks'
  * @returns {DateTimeData} The date-time data.
  */
 const DateTime = function (input, options = this || {}) {
+  if (usesRedaction(options)) {
+    return redactErrors(DateTime, input, options)
+  }
+  if (usesDefault(input, options)) {
+    return applyDefault(DateTime, options)
+  }
+
   // we deconstruct options here instead of in the function call because we use the options later to create the
   // 'validationOptions'
   const { name, localTimezone, noEod } = options
@@ -99,7 +128,7 @@ const DateTime = function (input, options = this || {}) {
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue         : "uses disallowed special EOD time '24:00'",
+      ...getMessage('DATE_TIME_EOD_DISALLOWED', {}, options),
       ...options,
     })
   }
@@ -152,8 +181,7 @@ const DateTime = function (input, options = this || {}) {
     throw new ArgumentTypeError({
       argumentName  : `${name}' constraint 'max`,
       argumentValue : max,
-      issue         : 'is nonconvertible type',
-      hint          : "Use 'string', 'number', Date', or 'DateTime'.",
+      ...getMessage('DATE_TIME_CONSTRAINT_TYPE_INVALID', {}, options),
       status        : 500,
     })
   }
@@ -198,8 +226,7 @@ const DateTime = function (input, options = this || {}) {
     throw new ArgumentTypeError({
       argumentName  : `${name}' constraint 'min`,
       argumentValue : min,
-      issue         : 'is nonconvertible type',
-      hint          : "Use 'string', 'number', Date', or 'DateTime'.",
+      ...getMessage('DATE_TIME_CONSTRAINT_TYPE_INVALID', {}, options),
       status        : 500,
     })
   }
@@ -212,6 +239,16 @@ const DateTime = function (input, options = this || {}) {
 
 DateTime.description = 'Date-time'
 DateTime.toString = () => DateTime.description
+DateTime.safe = makeSafe(DateTime)
+DateTime.async = makeAsync(DateTime)
+DateTime.describe = (options = {}) =>
+  describeConstraints(DateTime.description, [
+    describeRange(options, {
+      maxKey : 'DESCRIBE_ON_OR_BEFORE',
+      minKey : 'DESCRIBE_ON_OR_AFTER',
+    }),
+    describeIf(options.noEod === true, 'DESCRIBE_NO_EOD', {}, options),
+  ])
 
 const createValue = ([
   year,
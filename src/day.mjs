@@ -1,10 +1,17 @@
 import { ArgumentInvalidError, ArgumentTypeError } from 'standard-error-set'
 import { intlDateRe, rfc2822DayReString, usDateRe } from 'regex-repo'
 
+import { applyDefault, usesDefault } from './lib/apply-default'
 import { checkMaxMin } from './lib/check-max-min'
 import { checkValidateInput } from './lib/check-validate-input'
 import { checkValidateValue } from './lib/check-validate-value'
 import { convertMonthName } from './lib/date-time/convert-month-name'
+import { suggestMonthName } from './lib/date-time/suggest-month-name'
+import { describeConstraints, describeRange } from './lib/describe'
+import { makeAsync } from './lib/make-async'
+import { makeSafe } from './lib/make-safe'
+import { getMessage } from './lib/messages/get-message'
+import { isRedacting, redactErrors, usesRedaction } from './lib/redact-errors'
 import { sanitizeOptions } from './lib/sanitize-options'
 import { standardChecks } from './lib/standard-checks'
 
@@ -29,6 +36,22 @@ import { standardChecks } from './lib/standard-checks'
  * @param {string} options.name - The 'name' by which to refer to the input when generating error messages for the user.
  * @param {number} [options.status = 400] - The HTTP status to use when throwing `ArgumentInvalidError` errors. This
  *   can be used to mark arguments specified by in code or configurations without user input.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {*} [options.default = undefined] - The value to use when the input is empty. A string default is parsed
+ *   and validated just like the input, while any other default is checked against any `min`/`max` constraints and the
+ *   `validateValue` function. See [default values](#default-values).
+ * @param {string} [options.whitespace = 'trim'] - How to handle leading and trailing whitespace; 'trim' removes it,
+ *   'reject' rejects input containing it, and 'preserve' keeps it. See
+ *   [whitespace and normalization](#whitespace-and-normalization).
+ * @param {string} [options.normalize = undefined] - The Unicode normalization form applied to the input; 'NFC',
+ *   'NFD', 'NFKC', or 'NFKD'.
+ * @param {boolean} [options.collapseWhitespace = false] - If true, each run of whitespace within the input is
+ *   replaced by a single space.
+ * @param {boolean} [options.stripInvisible = false] - If true, zero-width and bidirectional control characters are
+ *   removed from the input.
+ * @param {boolean} [options.sensitive = false] - If true, the input is masked in any error messages and properties. See
+ *   [sensitive values](#sensitive-values).
  * @param {boolean} [options.required = false] - If true, then the empty string is rejected and `ArgumentMissingError`
  *   is thrown.
  * @param {string|number|Date} [options.max = undefined] - The latest day to be considered valid.
@@ -42,6 +65,13 @@ import { standardChecks } from './lib/standard-checks'
  * @returns {DayData} The day/date data.
  */
 const Day = function (input, options = this || {}) {
+  if (usesRedaction(options)) {
+    return redactErrors(Day, input, options)
+  }
+  if (usesDefault(input, options)) {
+    return applyDefault(Day, options)
+  }
+
   const { name } = options
   let { max, min } = options
 
@@ -65,8 +95,7 @@ const Day = function (input, options = this || {}) {
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue         : 'is ambiguous',
-      hint          : 'Try specifying four digit year (with leading zeros if necessary) to disambiguate US (MM/DD/YYYY) vs international (YYYY/MM/DD) formats.',
+      ...getMessage('DAY_AMBIGUOUS', {}, options),
       ...options,
     })
   }
@@ -74,9 +103,13 @@ const Day = function (input, options = this || {}) {
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue :
-        'is not recognized as either US, international, or a RFC 2822 style date',
-      hint : "Try something like '1/15/2024', '2024-1-15', or '15 Jan 2024'.",
+      ...getMessage(
+        'DAY_UNRECOGNIZED',
+        {
+          suggestions : isRedacting(options) ? [] : suggestMonthName(input),
+        },
+        options
+      ),
       ...options,
     })
   }
@@ -118,8 +151,7 @@ const Day = function (input, options = this || {}) {
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue :
-        'looks syntactically valid, but specifies an invalid day for the given month/year.',
+      ...getMessage('DAY_INVALID_FOR_MONTH', {}, options),
       ...options,
     })
   }
@@ -133,6 +165,15 @@ const Day = function (input, options = this || {}) {
 
 Day.description = 'Day'
 Day.toString = () => Day.description
+Day.safe = makeSafe(Day)
+Day.async = makeAsync(Day)
+Day.describe = (options = {}) =>
+  describeConstraints(Day.description, [
+    describeRange(options, {
+      maxKey : 'DESCRIBE_ON_OR_BEFORE',
+      minKey : 'DESCRIBE_ON_OR_AFTER',
+    }),
+  ])
 
 const convertToDay = (value, name, constraint, options) => {
   if (typeof value === 'string') {
@@ -154,7 +195,7 @@ const convertToDay = (value, name, constraint, options) => {
     throw new ArgumentTypeError({
       argumentName : `${name}' constraint '${constraint}`,
       arguemntType : "string'/'number'/'Date",
-      issue        : 'has nonconvertible type',
+      ...getMessage('DAY_CONSTRAINT_TYPE_INVALID', {}, options),
       ...options,
     })
   } // else
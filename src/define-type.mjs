@@ -0,0 +1,123 @@
+import { ArgumentTypeError } from 'standard-error-set'
+
+import { applyDefault, usesDefault } from './lib/apply-default'
+import { checkValidateInput } from './lib/check-validate-input'
+import { checkValidateValue } from './lib/check-validate-value'
+import { makeAsync } from './lib/make-async'
+import { makeSafe } from './lib/make-safe'
+import { isSensitiveType, redactErrors } from './lib/redact-errors'
+import { sanitizeOptions } from './lib/sanitize-options'
+import { standardChecks } from './lib/standard-checks'
+
+/**
+ * Creates a custom type function. The resulting type function follows the same lifecycle as the built-in types: the
+ * options are taken from the second argument or the `this` context, the input is type checked and trimmed (or
+ * otherwise cleaned per the [whitespace and normalization](#whitespace-and-normalization) options), the empty string
+ * results in the `default` (see [default values](#default-values)), is rejected if `required`, or otherwise results in
+ * `undefined`, and finally the input is converted and checked against the `validateInput` and `validateValue`
+ * [custom validation functions](#custom-validation-functions). The type function defines `description`, `toString()`,
+ * `safe()`, `async()`, and `describe()` just like the built-in types.
+ *
+ * The `convert` function is passed the (non-empty, cleaned) input string and the options, including `name`. It should
+ * return the converted value or throw an error (generally an `ArgumentInvalidError`) if the input is invalid. The
+ * `validateInput` function is called after `convert`, so it only sees syntactically valid input.
+ * @param {object} definition - The type definition.
+ * @param {Function} definition.convert - The function which validates and converts the input string.
+ * @param {string} definition.description - The description of the type, e.g. 'Account ID'.
+ * @param {Function} [definition.describe = undefined] - A function which is passed the type options and returns a
+ *   description of the type and constraints in force (see [describing constraints](#describing-constraints)). By
+ *   default, `describe()` returns the `description`.
+ * @param {object|Function} [definition.jsonSchema = undefined] - The [JSON Schema](#toJSONSchema) describing the type
+ *   values. May be a function which is passed the type options and returns the schema.
+ * @param {boolean} [definition.sensitive = false] - If true, the type is [sensitive](#sensitive-values) by default;
+ *   i.e., the `sensitive` option defaults to true.
+ * @param {string} [definition.typeLabel = 'string'] - The type label passed to the custom validation functions and
+ *   included in custom validation errors, e.g., 'string<account ID>'.
+ * @returns {Function} The type function.
+ * @example
+ * const AccountID = defineType({
+ *   description : 'Account ID',
+ *   typeLabel   : 'string<account ID>',
+ *   convert     : (input, { name, ...options }) => {
+ *     if (/^AC-\d{6}$/.test(input) === false) {
+ *       throw new ArgumentInvalidError({
+ *         argumentName  : name,
+ *         argumentValue : input,
+ *         issue         : 'is not a valid account ID',
+ *         ...options,
+ *       })
+ *     }
+ *
+ *     return input.toUpperCase()
+ *   },
+ * })
+ *
+ * AccountID('ac-123456', { name : 'account' }) // 'AC-123456'
+ * @category Custom types
+ */
+const defineType = ({
+  convert,
+  describe,
+  description,
+  jsonSchema,
+  sensitive = false,
+  typeLabel = 'string',
+} = {}) => {
+  if (typeof convert !== 'function') {
+    throw new ArgumentTypeError({
+      argumentName : 'convert',
+      argumentType : 'function',
+      receivedType : typeof convert,
+      status       : 500,
+    })
+  }
+  if (typeof description !== 'string') {
+    throw new ArgumentTypeError({
+      argumentName : 'description',
+      argumentType : 'string',
+      receivedType : typeof description,
+      status       : 500,
+    })
+  }
+
+  const type = function (input, options = this || {}) {
+    if (isSensitiveType(type, options)) {
+      return redactErrors(type, input, options)
+    }
+    if (usesDefault(input, options)) {
+      return applyDefault(type, options)
+    }
+
+    const { name } = options
+
+    options = sanitizeOptions(options)
+
+    input = standardChecks({ ...options, input, name })
+    if (input === '') {
+      return undefined
+    }
+
+    const value = convert(input, { ...options, name })
+
+    const validationOptions = Object.assign(
+      { input, name, type : typeLabel },
+      options
+    )
+    checkValidateInput(input, validationOptions)
+    checkValidateValue(value, validationOptions)
+
+    return value
+  }
+
+  type.description = description
+  type.jsonSchema = jsonSchema
+  type.sensitive = sensitive === true
+  type.toString = () => type.description
+  type.safe = makeSafe(type)
+  type.async = makeAsync(type)
+  type.describe = describe || (() => type.description)
+
+  return type
+}
+
+export { defineType }
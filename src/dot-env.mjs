@@ -0,0 +1,195 @@
+import { readFile } from 'node:fs/promises'
+
+import { ArgumentInvalidError, ArgumentTypeError } from 'standard-error-set'
+
+import { loadVariables } from './lib/load-variables'
+import { getMessage } from './lib/messages/get-message'
+
+const assignmentRe = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=[ \t]*/
+const doubleQuoteEscapes = { n : '\n', r : '\r', t : '\t' }
+const quotes = ['"', "'", '`']
+
+/**
+ * Parses and validates the contents of a [dotenv](https://github.com/motdotla/dotenv#readme) style '.env' file. Each
+ * variable named in the spec is parsed and validated just like with [loadEnv](#loadEnv), including support for the
+ * `default` field spec option and the `prefix` option. Variables not named in the spec are ignored.
+ *
+ * The following syntax is supported:
+ * - blank lines and comment lines beginning with '#' are ignored,
+ * - each assignment has the form 'NAME=value' and may be prefixed with 'export',
+ * - unquoted values are trimmed and may be followed by a comment (e.g., 'PORT=8080 # the port'),
+ * - values may be quoted with double quotes, single quotes, or backticks and may span multiple lines, and
+ * - within double quotes, '\n', '\r', and '\t' are converted to newline, carriage return, and tab characters while
+ *   any other escaped character (like '\"') is taken literally.
+ *
+ * Syntax errors are thrown immediately, while validation errors are collected and reported all at once (see
+ * [loadEnv](#loadEnv)). Each error message is prefixed with the location of the problem, like '.env:3:6: ', and the
+ * error defines the `path`, `line`, and `column` properties. Variables missing from the file have no line or column.
+ * @param {string} content - The contents of the '.env' file.
+ * @param {object|Array.<object>} spec - The field specification.
+ * @param {object} [options = {}] - The parser options.
+ * @param {string} [options.path = '.env'] - The path of the file, used in error messages.
+ * @param {string} [options.prefix = ''] - The prefix of each variable name.
+ * @returns {object} A frozen object mapping field names to their converted values.
+ * @example
+ * const config = parseDotEnv('PORT=8080\nDEBUG=yes # enable debugging\n', {
+ *   PORT  : { type : Integer, max : 65535 },
+ *   DEBUG : BooleanString,
+ * })
+ * @category Records
+ */
+const parseDotEnv = (content, spec, { path = '.env', prefix = '' } = {}) => {
+  if (typeof content !== 'string') {
+    throw new ArgumentTypeError({
+      argumentName : 'content',
+      argumentType : 'string',
+      receivedType : typeof content,
+      status       : 500,
+    })
+  }
+
+  const locations = {}
+  const variables = {}
+  for (const { column, line, name, value } of parseAssignments(content, {
+    path,
+  })) {
+    variables[name] = value
+    locations[name] = { column, line }
+  }
+
+  return loadVariables({
+    locate : (error, variable) =>
+      addLocation(error, { path, ...locations[variable] }),
+    name   : path,
+    prefix,
+    spec,
+    status : 500,
+    variables,
+  })
+}
+
+/**
+ * Reads, parses, and validates a [dotenv](https://github.com/motdotla/dotenv#readme) style '.env' file. See
+ * [parseDotEnv](#parseDotEnv) for details.
+ * @param {string} path - The path of the file.
+ * @param {object|Array.<object>} spec - The field specification.
+ * @param {object} [options = {}] - The parser options.
+ * @param {string} [options.prefix = ''] - The prefix of each variable name.
+ * @returns {Promise<object>} A Promise resolving to a frozen object mapping field names to their converted values.
+ * @category Records
+ */
+const loadDotEnv = async (path, spec, { prefix = '' } = {}) => {
+  const content = await readFile(path, { encoding : 'utf8' })
+
+  return parseDotEnv(content, spec, { path, prefix })
+}
+
+const addLocation = (error, { column, line, path }) => {
+  error.path = path
+  error.line = line
+  error.column = column
+  error.message =
+    (line === undefined ? path : `${path}:${line}:${column}`)
+    + ': '
+    + error.message
+}
+
+const parseAssignments = (content, { path }) => {
+  content = content.replace(/\r\n?/g, '\n')
+  const assignments = []
+  let line = 1
+  let pos = 0
+  while (pos < content.length) {
+    let lineEnd = content.indexOf('\n', pos)
+    lineEnd = lineEnd === -1 ? content.length : lineEnd
+    const text = content.slice(pos, lineEnd)
+    if (text.trim() === '' || text.trim().startsWith('#')) {
+      pos = lineEnd + 1
+      line += 1
+      continue
+    }
+
+    const match = text.match(assignmentRe)
+    if (match === null) {
+      throwSyntaxError('DOTENV_INVALID_LINE', {
+        column        : text.search(/\S/) + 1,
+        line,
+        path,
+        argumentValue : text.trim(),
+      })
+    }
+
+    const name = match[1]
+    const column = match[0].length + 1
+    const quote = text.charAt(match[0].length)
+    if (quotes.includes(quote) === false) {
+      const value = text
+        .slice(match[0].length)
+        .replace(/(^|\s)#.*$/, '')
+        .trim()
+      assignments.push({ column, line, name, value })
+      pos = lineEnd + 1
+      line += 1
+      continue
+    }
+
+    let value = ''
+    let i = pos + match[0].length + 1
+    while (i < content.length && content.charAt(i) !== quote) {
+      const char = content.charAt(i)
+      if (char === '\\' && quote === '"' && i + 1 < content.length) {
+        const escaped = content.charAt(i + 1)
+        value += doubleQuoteEscapes[escaped] ?? escaped
+        i += 2
+      }
+      else {
+        value += char
+        i += 1
+      }
+    }
+    if (i >= content.length) {
+      throwSyntaxError('DOTENV_UNTERMINATED_QUOTE', {
+        argumentName : name,
+        column,
+        line,
+        path,
+        quote,
+      })
+    }
+
+    lineEnd = content.indexOf('\n', i)
+    lineEnd = lineEnd === -1 ? content.length : lineEnd
+    const trailing = content.slice(i + 1, lineEnd).trim()
+    if (trailing !== '' && !trailing.startsWith('#')) {
+      throwSyntaxError('DOTENV_TRAILING_CHARACTERS', {
+        argumentName : name,
+        column,
+        line,
+        path,
+      })
+    }
+
+    assignments.push({ column, line, name, value })
+    line += content.slice(pos, lineEnd).split('\n').length
+    pos = lineEnd + 1
+  }
+
+  return assignments
+}
+
+const throwSyntaxError = (
+  key,
+  { argumentName, argumentValue, column, line, path, quote }
+) => {
+  const error = new ArgumentInvalidError({
+    argumentName : argumentName ?? path,
+    argumentValue,
+    ...getMessage(key, { quote }),
+    status       : 500,
+  })
+  addLocation(error, { column, line, path })
+
+  throw error
+}
+
+export { loadDotEnv, parseDotEnv }
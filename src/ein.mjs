@@ -1,8 +1,13 @@
 import { einRe } from 'regex-repo'
 import { ArgumentInvalidError } from 'standard-error-set'
 
+import { applyDefault, usesDefault } from './lib/apply-default'
 import { checkValidateInput } from './lib/check-validate-input'
 import { checkValidateValue } from './lib/check-validate-value'
+import { makeAsync } from './lib/make-async'
+import { makeSafe } from './lib/make-safe'
+import { getMessage } from './lib/messages/get-message'
+import { redactErrors, usesRedaction } from './lib/redact-errors'
 import { sanitizeOptions } from './lib/sanitize-options'
 import { standardChecks } from './lib/standard-checks'
 
@@ -13,6 +18,22 @@ import { standardChecks } from './lib/standard-checks'
  * @param {string} options.name - The 'name' by which to refer to the input when generating error messages for the user.
  * @param {number} [options.status = 400] - The HTTP status to use when throwing `ArgumentInvalidError` errors.
  *   This can be used to mark arguments specified by in code or configurations without user input.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {*} [options.default = undefined] - The value to use when the input is empty. A string default is parsed
+ *   and validated just like the input, while any other default is checked against any `min`/`max` constraints and the
+ *   `validateValue` function. See [default values](#default-values).
+ * @param {string} [options.whitespace = 'trim'] - How to handle leading and trailing whitespace; 'trim' removes it,
+ *   'reject' rejects input containing it, and 'preserve' keeps it. See
+ *   [whitespace and normalization](#whitespace-and-normalization).
+ * @param {string} [options.normalize = undefined] - The Unicode normalization form applied to the input; 'NFC',
+ *   'NFD', 'NFKC', or 'NFKD'.
+ * @param {boolean} [options.collapseWhitespace = false] - If true, each run of whitespace within the input is
+ *   replaced by a single space.
+ * @param {boolean} [options.stripInvisible = false] - If true, zero-width and bidirectional control characters are
+ *   removed from the input.
+ * @param {boolean} [options.sensitive = true] - If true, the input is masked in any error messages and properties. See
+ *   [sensitive values](#sensitive-values).
  * @param {boolean} [options.required = false] - If true, then the empty string is rejected and `ArgumentMissingError`
  *   is thrown.
  * @param {Function} [options.validateInput = undefined] - A custom validation function which looks at the original
@@ -24,6 +45,13 @@ import { standardChecks } from './lib/standard-checks'
  * @returns {string} A canonically formatted EIN 'XX-XXXXXXX'.
  */
 const EIN = function (input, options = this || {}) {
+  if (usesRedaction(options, EIN.sensitive)) {
+    return redactErrors(EIN, input, options)
+  }
+  if (usesDefault(input, options)) {
+    return applyDefault(EIN, options)
+  }
+
   const { name } = options
 
   options = sanitizeOptions(options)
@@ -38,7 +66,7 @@ const EIN = function (input, options = this || {}) {
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue         : 'is not a valid EIN',
+      ...getMessage('EIN_INVALID', {}, options),
       ...options,
     })
   }
@@ -57,5 +85,9 @@ const EIN = function (input, options = this || {}) {
 
 EIN.description = 'EIN'
 EIN.toString = () => EIN.description
+EIN.sensitive = true
+EIN.safe = makeSafe(EIN)
+EIN.async = makeAsync(EIN)
+EIN.describe = () => EIN.description
 
 export { EIN }
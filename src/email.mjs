@@ -1,6 +1,11 @@
 import { getLatestTLDs, validateEmail } from 'true-email-validator'
 import { ArgumentInvalidError } from 'standard-error-set'
 
+import { applyDefault, usesDefault } from './lib/apply-default'
+import { makeAsync } from './lib/make-async'
+import { makeSafe } from './lib/make-safe'
+import { getMessage } from './lib/messages/get-message'
+import { redactErrors, usesRedaction } from './lib/redact-errors'
 import { sanitizeOptions } from './lib/sanitize-options'
 import { standardChecks } from './lib/standard-checks'
 
@@ -57,6 +62,22 @@ import { standardChecks } from './lib/standard-checks'
  * @param {string} options.name - The 'name' by which to refer to the input when generating error messages for the user.
  * @param {number} [options.status = 400] - The HTTP status to use when throwing `ArgumentInvalidError` errors.
  *   This can be used to mark arguments specified by in code or configurations without user input.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {*} [options.default = undefined] - The value to use when the input is empty. A string default is parsed
+ *   and validated just like the input, while any other default is checked against any `min`/`max` constraints and the
+ *   `validateValue` function. See [default values](#default-values).
+ * @param {string} [options.whitespace = 'trim'] - How to handle leading and trailing whitespace; 'trim' removes it,
+ *   'reject' rejects input containing it, and 'preserve' keeps it. See
+ *   [whitespace and normalization](#whitespace-and-normalization).
+ * @param {string} [options.normalize = undefined] - The Unicode normalization form applied to the input; 'NFC',
+ *   'NFD', 'NFKC', or 'NFKD'.
+ * @param {boolean} [options.collapseWhitespace = false] - If true, each run of whitespace within the input is
+ *   replaced by a single space.
+ * @param {boolean} [options.stripInvisible = false] - If true, zero-width and bidirectional control characters are
+ *   removed from the input.
+ * @param {boolean} [options.sensitive = false] - If true, the input is masked in any error messages and properties. See
+ *   [sensitive values](#sensitive-values).
  * @param {boolean} options.allowComments - If true, allows embedded comments in the address like '(comment)
  *   john@foo.com', which are disallowed by default. Note, the comments, if present, will be extracted regardless of
  *   this setting, the result `valid` field will just be set false and an issue will be reported.
@@ -110,6 +131,13 @@ import { standardChecks } from './lib/standard-checks'
  * @returns {EmailData} Email data object.
  */
 const Email = function (input, options = this || {}) {
+  if (usesRedaction(options)) {
+    return redactErrors(Email, input, options)
+  }
+  if (usesDefault(input, options)) {
+    return applyDefault(Email, options)
+  }
+
   const { name, ...errOptions } = options
 
   options = sanitizeOptions(options)
@@ -131,12 +159,12 @@ const Email = function (input, options = this || {}) {
   if (isValid === false) {
     if (issues.length === 0) {
       // shouldn't happen, but just in case
-      issues.push('has unspecified issues')
+      issues.push(getMessage('EMAIL_UNSPECIFIED_ISSUES', {}, options).issue)
     }
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue         : issues.join(', '),
+      ...getMessage('EMAIL_INVALID', { issues }, options),
       ...errOptions,
     })
   }
@@ -146,6 +174,9 @@ const Email = function (input, options = this || {}) {
 
 Email.description = 'Email'
 Email.toString = () => Email.description
+Email.safe = makeSafe(Email)
+Email.async = makeAsync(Email)
+Email.describe = () => Email.description
 
 export {
   Email,
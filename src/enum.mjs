@@ -0,0 +1,163 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { applyDefault, usesDefault } from './lib/apply-default'
+import { checkValidateInput } from './lib/check-validate-input'
+import { checkValidateValue } from './lib/check-validate-value'
+import { describeConstraints, describeIf } from './lib/describe'
+import { getEnumValues } from './lib/get-enum-values'
+import { getSuggestions } from './lib/get-suggestions'
+import { makeAsync } from './lib/make-async'
+import { makeSafe } from './lib/make-safe'
+import { getMessage } from './lib/messages/get-message'
+import { isRedacting, redactErrors, usesRedaction } from './lib/redact-errors'
+import { sanitizeOptions } from './lib/sanitize-options'
+import { standardChecks } from './lib/standard-checks'
+
+/**
+ * Parses the input as one of a fixed set of values and returns the canonical value. Unlike the `ValidatedString`
+ * `oneOf` option, the match ignores case (unless `caseSensitive` is set) and each value may define aliases. E.g.:
+ * ```javascript
+ * const values = {
+ *   production  : { aliases : ['prod', 'live'], description : 'the public site' },
+ *   staging     : { aliases : ['stage'] },
+ *   development : { aliases : ['dev'], description : 'a local build' },
+ * }
+ * Enum('PROD', { name : 'environment', values }) // 'production'
+ * Enum('Staging', { name : 'environment', values }) // 'staging'
+ * ```
+ *
+ * The `values` option is either a list of the canonical values (as an array or comma separated string) or an object
+ * mapping each canonical value to a spec with optional `aliases` (again, an array or comma separated string) and
+ * `description` fields. The aliases and descriptions are listed by `Enum.describe()` for use in help text.
+ *
+ * If the input matches no value or alias, then an `ArgumentInvalidError` with code 'STRING_ONE_OF' is thrown. The
+ * canonical values are listed in the error and the closest match (if any) is suggested in the `hint`. A missing
+ * `values` option or an input which would match more than one value (e.g., 'a' and 'A' when case-insensitive) results
+ * in an `ArgumentInvalidError` with status 500.
+ * @param {string} input - The input string.
+ * @param {object} options - The validation options.
+ * @param {string} options.name - The 'name' by which to refer to the input when generating error messages for the user.
+ * @param {number} [options.status = 400] - The HTTP status to use when throwing `ArgumentInvalidError` errors.
+ *   This can be used to mark arguments specified by in code or configurations without user input.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {*} [options.default = undefined] - The value to use when the input is empty. A string default is parsed
+ *   and validated just like the input, while any other default is checked against any `min`/`max` constraints and the
+ *   `validateValue` function. See [default values](#default-values).
+ * @param {string} [options.whitespace = 'trim'] - How to handle leading and trailing whitespace; 'trim' removes it,
+ *   'reject' rejects input containing it, and 'preserve' keeps it. See
+ *   [whitespace and normalization](#whitespace-and-normalization).
+ * @param {string} [options.normalize = undefined] - The Unicode normalization form applied to the input; 'NFC',
+ *   'NFD', 'NFKC', or 'NFKD'.
+ * @param {boolean} [options.collapseWhitespace = false] - If true, each run of whitespace within the input is
+ *   replaced by a single space.
+ * @param {boolean} [options.stripInvisible = false] - If true, zero-width and bidirectional control characters are
+ *   removed from the input.
+ * @param {boolean} [options.sensitive = false] - If true, the input is masked in any error messages and properties. See
+ *   [sensitive values](#sensitive-values).
+ * @param {boolean} [options.required = false] - If true, then the empty string is rejected and `ArgumentMissingError`
+ *   is thrown.
+ * @param {Array.<string>|string|object} options.values - The canonical values or an object mapping each canonical
+ *   value to a `{ aliases, description }` spec.
+ * @param {boolean} [options.caseSensitive = false] - If true, the input must match the case of a value or alias.
+ * @param {Function} [options.validateInput = undefined] - A custom validation function which looks at the original
+ *   input string. See the [custom validation functions](#custom-validation-functions) section for details on input and
+ *   return values.
+ * @param {Function} [options.validateValue = undefined] - A custom validation function which looks at the transformed
+ *   value. See the [custom validation functions](#custom-validation-functions) section for details on input and return
+ *   values.
+ * @returns {string} The canonical value.
+ */
+const Enum = function (input, options = this || {}) {
+  if (usesRedaction(options)) {
+    return redactErrors(Enum, input, options)
+  }
+  if (usesDefault(input, options)) {
+    return applyDefault(Enum, options)
+  }
+
+  const { caseSensitive = false, name } = options
+
+  options = sanitizeOptions(options)
+
+  input = standardChecks({ ...options, input, name })
+  if (input === '') {
+    return undefined
+  }
+
+  const fold = (value) => (caseSensitive === true ? value : value.toLowerCase())
+  const enumValues = getEnumValues(options.values)
+  if (enumValues.length === 0) {
+    throw new ArgumentInvalidError({
+      argumentName : `${name}' option 'values`,
+      ...getMessage('ENUM_NO_VALUES', {}, options),
+      status       : 500,
+    })
+  }
+
+  // maps each (folded) value and alias to the canonical value
+  const canonicalValues = new Map()
+  for (const { aliases, value } of enumValues) {
+    for (const match of [value, ...aliases]) {
+      const canonicalValue = canonicalValues.get(fold(match))
+      if (canonicalValue !== undefined && canonicalValue !== value) {
+        throw new ArgumentInvalidError({
+          argumentName  : `${name}' option 'values`,
+          argumentValue : match,
+          ...getMessage(
+            'ENUM_VALUE_AMBIGUOUS',
+            { values : [canonicalValue, value] },
+            options
+          ),
+          status : 500,
+        })
+      }
+      canonicalValues.set(fold(match), value)
+    }
+  }
+
+  const value = canonicalValues.get(fold(input))
+  if (value === undefined) {
+    const suggestions = isRedacting(options)
+      ? []
+      : getSuggestions(input, [...canonicalValues.keys()])
+    throw new ArgumentInvalidError({
+      argumentName  : name,
+      argumentValue : input,
+      ...getMessage(
+        'STRING_ONE_OF',
+        {
+          oneOf       : enumValues.map(({ value }) => value),
+          suggestions : [
+            ...new Set(suggestions.map((match) => canonicalValues.get(match))),
+          ],
+        },
+        options
+      ),
+      ...options,
+    })
+  }
+
+  const validationOptions = Object.assign(
+    { input, name, type : 'enum' },
+    options
+  )
+  checkValidateInput(input, validationOptions)
+  checkValidateValue(value, validationOptions)
+
+  return value
+}
+
+Enum.description = 'Enum'
+Enum.toString = () => Enum.description
+Enum.safe = makeSafe(Enum)
+Enum.async = makeAsync(Enum)
+Enum.describe = (options = {}) => {
+  const values = getEnumValues(options.values)
+
+  return describeConstraints(Enum.description, [
+    describeIf(values.length > 0, 'DESCRIBE_ENUM_VALUES', { values }, options),
+  ])
+}
+
+export { Enum }
@@ -1,11 +1,25 @@
 export * from './boolean-string'
 export * from './card-number'
+export * from './cli-adapters'
+export * from './csv-validator'
 export * from './date-time'
 export * from './day'
+export * from './define-type'
+export * from './dot-env'
 export * from './ein'
 export * from './email'
+export * from './enum'
 export * from './integer'
+export * from './key-value-map'
+export * from './list'
+export * from './load-env'
+export * from './locale'
 export * from './numeric'
+export * from './prompt'
 export * from './ssn'
 export * from './time-of-day'
+export * from './to-json-schema'
+export * from './union'
 export * from './validated-string'
+export * from './validate-request'
+export * from './validate-record'
@@ -1,9 +1,16 @@
 import { integerRe } from 'regex-repo'
 import { ArgumentInvalidError } from 'standard-error-set'
 
+import { applyDefault, usesDefault } from './lib/apply-default'
 import { checkMaxMin } from './lib/check-max-min'
 import { checkValidateInput } from './lib/check-validate-input'
 import { checkValidateValue } from './lib/check-validate-value'
+import { describeConstraints, describeIf, describeRange } from './lib/describe'
+import { makeAsync } from './lib/make-async'
+import { makeIssueCollector } from './lib/make-issue-collector'
+import { makeSafe } from './lib/make-safe'
+import { getMessage } from './lib/messages/get-message'
+import { redactErrors, usesRedaction } from './lib/redact-errors'
 import { sanitizeOptions } from './lib/sanitize-options'
 import { standardChecks } from './lib/standard-checks'
 
@@ -16,6 +23,24 @@ const anyDigitsRe = /^-?\d+$/
  * @param {string} options.name - The 'name' by which to refer to the input when generating error messages for the user.
  * @param {number} [options.status = 400] - The HTTP status to use when throwing `ArgumentInvalidError` errors.
  *   This can be used to mark arguments specified by in code or configurations without user input.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {*} [options.default = undefined] - The value to use when the input is empty. A string default is parsed
+ *   and validated just like the input, while any other default is checked against any `min`/`max` constraints and the
+ *   `validateValue` function. See [default values](#default-values).
+ * @param {string} [options.whitespace = 'trim'] - How to handle leading and trailing whitespace; 'trim' removes it,
+ *   'reject' rejects input containing it, and 'preserve' keeps it. See
+ *   [whitespace and normalization](#whitespace-and-normalization).
+ * @param {string} [options.normalize = undefined] - The Unicode normalization form applied to the input; 'NFC',
+ *   'NFD', 'NFKC', or 'NFKD'.
+ * @param {boolean} [options.collapseWhitespace = false] - If true, each run of whitespace within the input is
+ *   replaced by a single space.
+ * @param {boolean} [options.stripInvisible = false] - If true, zero-width and bidirectional control characters are
+ *   removed from the input.
+ * @param {boolean} [options.sensitive = false] - If true, the input is masked in any error messages and properties. See
+ *   [sensitive values](#sensitive-values).
+ * @param {boolean} [options.collectAllIssues = false] - If true, then all issues with the input are collected and
+ *   reported together rather than failing on the first issue. See [collecting all issues](#collecting-all-issues).
  * @param {boolean} [options.allowLeadingZeros = false] - Overrides default behavior which rejects strings with leading
  *   zeros.
  * @param {number} options.divisibleBy - Requires the resulting integer value be divisible by the indicated number (
@@ -31,6 +56,13 @@ const anyDigitsRe = /^-?\d+$/
  * @returns {number} A primitive integer.
  */
 const Integer = function (input, options = this || {}) {
+  if (usesRedaction(options)) {
+    return redactErrors(Integer, input, options)
+  }
+  if (usesDefault(input, options)) {
+    return applyDefault(Integer, options)
+  }
+
   const { name, allowLeadingZeros = false, divisibleBy } = options
 
   options = sanitizeOptions(options)
@@ -40,14 +72,14 @@ const Integer = function (input, options = this || {}) {
     return undefined
   }
   if (allowLeadingZeros !== true && input.match(integerRe) === null) {
-    let issue = 'does not appear to be an integer'
-    if (input.match(anyDigitsRe)) {
-      issue += '; leading zeroes are not allowed.'
-    }
+    const messageKey =
+      input.match(anyDigitsRe) === null
+        ? 'INTEGER_INVALID'
+        : 'INTEGER_LEADING_ZEROS'
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue,
+      ...getMessage(messageKey, {}, options),
       ...options,
     })
   }
@@ -55,7 +87,7 @@ const Integer = function (input, options = this || {}) {
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue         : 'does not appear to be an integer (leading zeros allowed)',
+      ...getMessage('INTEGER_INVALID_LEADING_ZEROS_ALLOWED', {}, options),
       ...options,
     })
   }
@@ -64,23 +96,39 @@ const Integer = function (input, options = this || {}) {
     { input, name, type : 'string<integer>' },
     options
   )
-  checkValidateInput(input, validationOptions)
+  const issues = makeIssueCollector({ ...options, input, name })
+  issues.check(() => checkValidateInput(input, validationOptions))
   const value = parseInt(input)
-  checkMaxMin({ ...options, input, name, value })
+  issues.check(() => checkMaxMin({ ...options, input, name, value }))
   if (divisibleBy !== undefined && value % divisibleBy !== 0) {
-    throw new ArgumentInvalidError({
-      argumentName  : name,
-      argumentValue : input,
-      issue         : `must be divisible by '${divisibleBy}'`,
-      ...options,
-    })
+    issues.add(
+      new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        ...getMessage('DIVISIBLE_BY', { divisibleBy }, options),
+        ...options,
+      })
+    )
   }
-  checkValidateValue(value, validationOptions)
+  issues.check(() => checkValidateValue(value, validationOptions))
+  issues.throwIfAny()
 
   return value
 }
 
 Integer.description = 'Integer'
 Integer.toString = () => Integer.description
+Integer.safe = makeSafe(Integer)
+Integer.async = makeAsync(Integer)
+Integer.describe = (options = {}) =>
+  describeConstraints(Integer.description, [
+    describeRange(options),
+    describeIf(
+      options.divisibleBy !== undefined,
+      'DESCRIBE_DIVISIBLE_BY',
+      options,
+      options
+    ),
+  ])
 
 export { Integer }
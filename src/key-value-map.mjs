@@ -0,0 +1,268 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { applyDefault, usesDefault } from './lib/apply-default'
+import { checkValidateInput } from './lib/check-validate-input'
+import { checkValidateValue } from './lib/check-validate-value'
+import { describeConstraints, describeIf, describeType } from './lib/describe'
+import { makeAsync } from './lib/make-async'
+import { makeSafe } from './lib/make-safe'
+import { getMessage, getPhrase } from './lib/messages/get-message'
+import { isSensitiveType, redactErrors } from './lib/redact-errors'
+import { sanitizeOptions } from './lib/sanitize-options'
+import { checkSeparator, splitQuoted, unquote } from './lib/split-quoted'
+import { standardChecks } from './lib/standard-checks'
+import { ValidatedString } from './validated-string'
+
+const duplicateKeyPolicies = ['array', 'first', 'last', 'reject']
+
+/**
+ * Parses and validates a list of key/value pairs, like 'env=prod,team=core', into an object. Each key is parsed and
+ * validated by the `keyType` function and each value by the `valueType` function. Keys and values may be quoted (e.g.,
+ * 'title="Hello, world"') and individual characters may be escaped (e.g., 'a\=b=c') in order to include the
+ * separators. Empty items, like in 'a=1,,b=2', are ignored and empty keys are rejected. Empty values, like in 'a=', are
+ * left out of the result unless `valueOptions.required` is `true`, in which case they're rejected.
+ *
+ * When reporting errors, keys are named '&lt;name&gt; key' and values are named '&lt;name&gt;.&lt;key&gt;'. E.g., the
+ * value of the 'env' key of the `label` argument is named 'label.env'. Unless specified in `keyOptions` or
+ * `valueOptions`, the `endpointType`, `locale`, and `status` options are passed to the key and value types.
+ * @param {string} input - The input string.
+ * @param {object} options - The validation options.
+ * @param {string} options.name - The 'name' by which to refer to the input when generating error messages for the user.
+ * @param {number} [options.status = 400] - The HTTP status to use when throwing `ArgumentInvalidError` errors.
+ *   This can be used to mark arguments specified by in code or configurations without user input.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {*} [options.default = undefined] - The value to use when the input is empty. A string default is parsed
+ *   and validated just like the input, while any other default is checked against any `min`/`max` constraints and the
+ *   `validateValue` function. See [default values](#default-values).
+ * @param {string} [options.whitespace = 'trim'] - How to handle leading and trailing whitespace; 'trim' removes it,
+ *   'reject' rejects input containing it, and 'preserve' keeps it. See
+ *   [whitespace and normalization](#whitespace-and-normalization).
+ * @param {string} [options.normalize = undefined] - The Unicode normalization form applied to the input; 'NFC',
+ *   'NFD', 'NFKC', or 'NFKD'.
+ * @param {boolean} [options.collapseWhitespace = false] - If true, each run of whitespace within the input is
+ *   replaced by a single space.
+ * @param {boolean} [options.stripInvisible = false] - If true, zero-width and bidirectional control characters are
+ *   removed from the input.
+ * @param {boolean} [options.sensitive = false] - If true, the input is masked in any error messages and properties.
+ *   Defaults to true when the key or value type is sensitive. See [sensitive values](#sensitive-values).
+ * @param {boolean} [options.required = false] - If true, then the empty string is rejected and `ArgumentMissingError`
+ *   is thrown.
+ * @param {string} [options.duplicateKeys = 'reject'] - How to handle duplicate keys. May be 'reject', 'first' (the
+ *   first value is used), 'last' (the last value is used), or 'array' (each key maps to an array of all its values).
+ * @param {string} [options.escape = '\\'] - The escape character. Set to the empty string to disable escaping.
+ * @param {object} [options.keyOptions = {}] - The options passed to the `keyType` function.
+ * @param {Function} [options.keyType = ValidatedString] - The type function used to parse and validate each key.
+ * @param {string} [options.kvSeparator] - The string separating each key from its value. Defaults to '='.
+ * @param {string} [options.quote = '"'] - The quote character. Set to the empty string to disable quoting.
+ * @param {Array.<string>|string} [options.requiredKeys = undefined] - The keys which must be present. May be an array
+ *   or a comma separated string.
+ * @param {string} [options.separator = ','] - The string separating each key/value pair.
+ * @param {object} [options.valueOptions = {}] - The options passed to the `valueType` function.
+ * @param {Function} [options.valueType = ValidatedString] - The type function used to parse and validate each value.
+ * @param {Function} [options.validateInput = undefined] - A custom validation function which looks at the original
+ *   input string. See the [custom validation functions](#custom-validation-functions) section for details on input and
+ *   return values.
+ * @param {Function} [options.validateValue = undefined] - A custom validation function which looks at the transformed
+ *   value. See the [custom validation functions](#custom-validation-functions) section for details on input and return
+ *   values.
+ * @returns {object} An object mapping the parsed keys to the parsed values.
+ */
+const KeyValueMap = function (input, options = this || {}) {
+  if (isSensitiveType(KeyValueMap, options)) {
+    return redactErrors(KeyValueMap, input, options)
+  }
+  if (usesDefault(input, options)) {
+    return applyDefault(KeyValueMap, options)
+  }
+
+  const {
+    duplicateKeys = 'reject',
+    escape = '\\',
+    keyOptions = {},
+    keyType = ValidatedString,
+    kvSeparator = '=',
+    name,
+    quote = '"',
+    separator = ',',
+    valueOptions = {},
+    valueType = ValidatedString,
+  } = options
+  let { requiredKeys } = options
+
+  options = sanitizeOptions(options)
+
+  input = standardChecks({ ...options, input, name })
+  if (input === '') {
+    return undefined
+  }
+
+  if (!duplicateKeyPolicies.includes(duplicateKeys)) {
+    throw new ArgumentInvalidError({
+      argumentName  : `${name}' option 'duplicateKeys`,
+      argumentValue : duplicateKeys,
+      ...getMessage('STRING_ONE_OF', { oneOf : duplicateKeyPolicies }, options),
+      status        : 500,
+    })
+  }
+  for (const [optionName, optionValue] of [
+    ['separator', separator],
+    ['kvSeparator', kvSeparator],
+  ]) {
+    checkSeparator({
+      locale    : options.locale,
+      name      : `${name}' option '${optionName}`,
+      separator : optionValue,
+    })
+  }
+
+  const { endpointType, locale, redacting, status } = options
+  const value = {}
+  splitQuoted({ ...options, escape, input, name, quote, separator }).forEach(
+    (segment, index) => {
+      if (segment.trim() === '') {
+        return
+      }
+
+      const [rawKey, ...rawValue] = splitQuoted({
+        ...options,
+        escape,
+        input         : segment,
+        name,
+        quote,
+        separator     : kvSeparator,
+        separatorName : 'kvSeparator',
+      })
+      if (rawValue.length === 0) {
+        throw new ArgumentInvalidError({
+          argumentName  : name,
+          argumentValue : input,
+          ...getMessage(
+            'MAP_PAIR_INVALID',
+            { index, kvSeparator, separator },
+            options
+          ),
+          ...options,
+        })
+      }
+
+      const key = keyType(unquote({ escape, input : rawKey, quote }), {
+        endpointType,
+        locale,
+        redacting,
+        status,
+        ...keyOptions,
+        name     : `${name} key`,
+        required : true,
+      })
+      const itemValue = valueType(
+        unquote({ escape, input : rawValue.join(kvSeparator), quote }),
+        {
+          endpointType,
+          locale,
+          redacting,
+          status,
+          ...valueOptions,
+          name : `${name}.${key}`,
+        }
+      )
+      if (itemValue === undefined) {
+        return
+      }
+
+      if (!Object.hasOwn(value, key)) {
+        // define rather than assign so keys like '__proto__' become regular properties
+        Object.defineProperty(value, key, {
+          configurable : true,
+          enumerable   : true,
+          value        : duplicateKeys === 'array' ? [itemValue] : itemValue,
+          writable     : true,
+        })
+      }
+      else if (duplicateKeys === 'reject') {
+        throw new ArgumentInvalidError({
+          argumentName  : name,
+          argumentValue : input,
+          ...getMessage('MAP_DUPLICATE_KEY', { key }, options),
+          ...options,
+        })
+      }
+      else if (duplicateKeys === 'array') {
+        value[key].push(itemValue)
+      }
+      else if (duplicateKeys === 'last') {
+        value[key] = itemValue
+      }
+      // else duplicateKeys === 'first' and we keep the original value
+    }
+  )
+
+  if (requiredKeys !== undefined) {
+    if (typeof requiredKeys === 'string') {
+      requiredKeys = requiredKeys.split(/\s*,\s*/)
+    }
+    const missingKeys = requiredKeys.filter((key) => !Object.hasOwn(value, key))
+    if (missingKeys.length > 0) {
+      throw new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        ...getMessage('MAP_REQUIRED_KEYS', { missingKeys }, options),
+        ...options,
+      })
+    }
+  }
+
+  const validationOptions = Object.assign(
+    { input, name, type : 'object' },
+    options
+  )
+  checkValidateInput(input, validationOptions)
+  checkValidateValue(value, validationOptions)
+
+  return value
+}
+
+KeyValueMap.description = 'Key/value map'
+KeyValueMap.toString = () => KeyValueMap.description
+// sensitive by default when the key or value type is
+KeyValueMap.sensitive = ({
+  keyOptions,
+  keyType = ValidatedString,
+  valueOptions,
+  valueType = ValidatedString,
+} = {}) =>
+  isSensitiveType(keyType, keyOptions)
+  || isSensitiveType(valueType, valueOptions)
+KeyValueMap.safe = makeSafe(KeyValueMap)
+KeyValueMap.async = makeAsync(KeyValueMap)
+KeyValueMap.describe = (options = {}) => {
+  const {
+    keyOptions,
+    keyType = ValidatedString,
+    valueOptions,
+    valueType = ValidatedString,
+  } = options
+  let { requiredKeys } = options
+  if (typeof requiredKeys === 'string') {
+    requiredKeys = requiredKeys.split(/\s*,\s*/)
+  }
+
+  return describeConstraints(KeyValueMap.description, [
+    getPhrase(
+      'DESCRIBE_MAP_OF',
+      {
+        key   : `(${describeType(keyType, keyOptions)})`,
+        value : `(${describeType(valueType, valueOptions)})`,
+      },
+      options
+    ),
+    describeIf(
+      requiredKeys !== undefined,
+      'DESCRIBE_REQUIRED_KEYS',
+      { requiredKeys },
+      options
+    ),
+  ])
+}
+
+export { KeyValueMap }
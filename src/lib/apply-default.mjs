@@ -0,0 +1,45 @@
+import { checkMaxMin } from './check-max-min'
+import { checkValidateValue } from './check-validate-value'
+import { cleanInput } from './clean-input'
+import { sanitizeOptions } from './sanitize-options'
+
+// True if the (cleaned) input is empty and there's a 'default' to use instead.
+const usesDefault = (input, options = {}) =>
+  options.default !== undefined
+  && typeof input === 'string'
+  && cleanInput({ ...options, input }) === ''
+
+// Implements the 'default' option. A string default is parsed by the type function just like the input would be.
+// Other defaults are checked against the 'min' and 'max' options (string limits are converted by the type function)
+// and the 'validateValue' function. Either way, a bad default is an error in the code or configuration rather than
+// the user input, so any errors use status 500 and name the default (e.g., "argument 'port' option 'default' ...")
+// rather than the argument.
+const applyDefault = (type, { default: defaultValue, ...options }) => {
+  const { locale, name } = options
+  const defaultName = `${name}' option 'default`
+  options = { ...options, status : 500 }
+  if (typeof defaultValue === 'string') {
+    return type(defaultValue, { ...options, name : defaultName })
+  }
+
+  const convertLimit = (limit, limitName) =>
+    typeof limit === 'string'
+      ? type(limit, {
+        locale,
+        name   : `${name}' constraint '${limitName}`,
+        status : 500,
+      })
+      : limit
+  const validationOptions = sanitizeOptions({ ...options, name : defaultName })
+  checkMaxMin({
+    ...validationOptions,
+    max   : convertLimit(options.max, 'max'),
+    min   : convertLimit(options.min, 'min'),
+    value : defaultValue,
+  })
+  checkValidateValue(defaultValue, validationOptions)
+
+  return defaultValue
+}
+
+export { applyDefault, usesDefault }
@@ -1,12 +1,13 @@
 import { ArgumentOutOfRangeError } from 'standard-error-set'
 
+import { getMessage } from './messages/get-message'
+
 const checkMaxMin = ({ max, min, name, value, ...options }) => {
   if (max !== undefined && value > max) {
     throw new ArgumentOutOfRangeError({
       argumentName  : `${name}' constraint 'max`,
       argumentValue : max,
-      max,
-      min,
+      ...getMessage('RANGE_MAX', { max, min }, options),
       ...options,
     })
   }
@@ -14,8 +15,7 @@ const checkMaxMin = ({ max, min, name, value, ...options }) => {
     throw new ArgumentOutOfRangeError({
       argumentName  : `${name}' constraint 'min`,
       argumentValue : min,
-      max,
-      min,
+      ...getMessage('RANGE_MIN', { max, min }, options),
       ...options,
     })
   }
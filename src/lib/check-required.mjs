@@ -1,10 +1,12 @@
 import { ArgumentMissingError } from 'standard-error-set'
 
+import { getMessage } from './messages/get-message'
+
 const checkRequired = ({ input, name, required, ...options }) => {
   if (required === true && input === '') {
     throw new ArgumentMissingError({
       argumentName : name,
-      issue        : 'is required',
+      ...getMessage('REQUIRED', {}, options),
       ...options,
     })
   }
@@ -0,0 +1,78 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { getMessage } from './messages/get-message'
+
+const normalizationForms = ['NFC', 'NFD', 'NFKC', 'NFKD']
+const whitespacePolicies = ['preserve', 'reject', 'trim']
+
+// zero-width characters (ZWSP, ZWNJ, ZWJ, word joiner, and BOM) and the bidirectional control characters
+const invisibleRe =
+  /[\u061C\u200B-\u200F\u202A-\u202E\u2060\u2066-\u2069\uFEFF]/g
+
+// Applies the 'stripInvisible', 'normalize', 'whitespace', and 'collapseWhitespace' options (in that order) to the
+// input string. Input which is empty or only whitespace always results in the empty string, regardless of the
+// 'whitespace' policy.
+const cleanInput = ({
+  collapseWhitespace,
+  input,
+  name,
+  normalize,
+  stripInvisible,
+  whitespace = 'trim',
+  ...options
+}) => {
+  checkPolicyOption({
+    ...options,
+    name  : `${name}' option 'normalize`,
+    oneOf : normalizationForms,
+    value : normalize,
+  })
+  checkPolicyOption({
+    ...options,
+    name  : `${name}' option 'whitespace`,
+    oneOf : whitespacePolicies,
+    value : whitespace,
+  })
+
+  if (stripInvisible === true) {
+    input = input.replace(invisibleRe, '')
+  }
+  if (normalize !== undefined) {
+    input = input.normalize(normalize)
+  }
+
+  const trimmed = input.trim()
+  if (trimmed === '') {
+    return ''
+  }
+  else if (whitespace === 'trim') {
+    input = trimmed
+  }
+  else if (whitespace === 'reject' && trimmed !== input) {
+    throw new ArgumentInvalidError({
+      argumentName  : name,
+      argumentValue : input,
+      ...getMessage('WHITESPACE_SURROUNDING', {}, options),
+      ...options,
+    })
+  }
+
+  if (collapseWhitespace === true) {
+    input = input.replace(/\s+/g, ' ')
+  }
+
+  return input
+}
+
+const checkPolicyOption = ({ locale, name, oneOf, value }) => {
+  if (value !== undefined && !oneOf.includes(value)) {
+    throw new ArgumentInvalidError({
+      argumentName  : name,
+      argumentValue : value,
+      ...getMessage('STRING_ONE_OF', { oneOf }, { locale }),
+      status        : 500,
+    })
+  }
+}
+
+export { cleanInput }
@@ -1,5 +1,6 @@
 import { ArgumentInvalidError } from 'standard-error-set'
 
+import { getMessage } from '../messages/get-message'
 import { makeDateTimeString } from './make-date-time-string'
 
 const getTimezoneOffset = (
@@ -49,8 +50,7 @@ const getTimezoneOffset = (
         // we assume everything but the TZ is good
         throw new ArgumentInvalidError({
           argumentName : name,
-          issue        : 'timezone designation not recognized as valid timezone',
-          hint         : "The recognized timezones are limited to basic US timezone like CST and PDT; otherwise it's best to designate the offset like '+1030' or '-0100'.",
+          ...getMessage('DATE_TIME_TIMEZONE_UNRECOGNIZED', {}, options),
           ...options,
         })
       }
@@ -9,8 +9,11 @@ import {
 } from 'regex-repo'
 import { ArgumentInvalidError } from 'standard-error-set'
 
+import { getMessage } from '../messages/get-message'
+import { isRedacting } from '../redact-errors'
 import { convertMonthName } from './convert-month-name'
 import { getTimezoneOffset } from './get-timezone-offset'
+import { suggestMonthName } from './suggest-month-name'
 
 const processIdiomaticDateTime = (options, input, localTimezone) => {
   const { name, ...errOptions } = options
@@ -36,7 +39,7 @@ const processIdiomaticDateTime = (options, input, localTimezone) => {
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue         : 'does not contain a recognizable time component',
+      ...getMessage('DATE_TIME_NO_TIME', {}, errOptions),
       ...errOptions,
     })
   }
@@ -59,7 +62,13 @@ const processIdiomaticDateTime = (options, input, localTimezone) => {
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue         : 'does not contain a recognizable date component',
+      ...getMessage(
+        'DATE_TIME_NO_DATE',
+        {
+          suggestions : isRedacting(errOptions) ? [] : suggestMonthName(input),
+        },
+        errOptions
+      ),
       ...errOptions,
     })
   }
@@ -67,8 +76,7 @@ const processIdiomaticDateTime = (options, input, localTimezone) => {
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue         : 'date component is ambiguous',
-      hint          : "Try specifying a 4+ digit year (pad with '0' where necessary).",
+      ...getMessage('DATE_TIME_DATE_AMBIGUOUS', {}, errOptions),
       ...errOptions,
     })
   }
@@ -1,5 +1,6 @@
 import { ArgumentInvalidError } from 'standard-error-set'
 
+import { getMessage } from '../messages/get-message'
 import { getTimezoneOffset } from './get-timezone-offset'
 
 const fracSecondsPrecision = 100000
@@ -10,14 +11,14 @@ const processISO8601DateTime = (options, iso8601Match, localTimezone) => {
   if (iso8601Match[5] !== undefined) {
     throw new ArgumentInvalidError({
       argumentName : name,
-      issue        : 'does not support week of year style dates',
+      ...getMessage('DATE_TIME_WEEK_OF_YEAR_UNSUPPORTED', {}, errOptions),
       ...errOptions,
     })
   }
   else if (iso8601Match[7] !== undefined) {
     throw new ArgumentInvalidError({
       argumentName : name,
-      issue        : 'does not support day of year/ordinal/Julian style dates',
+      ...getMessage('DATE_TIME_ORDINAL_UNSUPPORTED', {}, errOptions),
       ...errOptions,
     })
   }
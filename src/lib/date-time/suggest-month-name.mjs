@@ -0,0 +1,55 @@
+import { getSuggestions } from '../get-suggestions'
+
+const monthAbbreviations = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec',
+]
+const monthNames = [
+  'January',
+  'February',
+  'March',
+  'April',
+  'May',
+  'June',
+  'July',
+  'August',
+  'September',
+  'October',
+  'November',
+  'December',
+]
+const dayAbbreviations = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// Looks for a misspelled (or spelled out) month name in the date input and returns the input with the closest month
+// abbreviation(s) substituted, like ['15 Jan 2024'] for '15 Janaury 2024'. Returns an empty array if no word is close
+// to a month name.
+const suggestMonthName = (input) => {
+  for (const [word] of input.matchAll(/[a-z]{3,}/gi)) {
+    if (monthAbbreviations.includes(word) || dayAbbreviations.includes(word)) {
+      continue
+    }
+
+    const abbreviations = getSuggestions(word, [
+      ...monthAbbreviations,
+      ...monthNames,
+    ]).map((month) => month.slice(0, 3))
+    if (abbreviations.length > 0) {
+      return [...new Set(abbreviations)].map((abbreviation) =>
+        input.replace(word, abbreviation))
+    }
+  }
+
+  return []
+}
+
+export { suggestMonthName }
@@ -0,0 +1,13 @@
+import { suggestMonthName } from '../suggest-month-name'
+
+describe('suggestMonthName', () => {
+  test.each([
+    ['15 Janaury 2024', ['15 Jan 2024']],
+    ['15 january 2024', ['15 Jan 2024']],
+    ['15 Sept 2024', ['15 Sep 2024']],
+    ['Mon, 15 Jna 2024', ['Mon, 15 Jan 2024']],
+    ['15 Jan 2024', []],
+    ['15 foo 2024', []],
+  ])('%p -> %p', (input, expected) =>
+    expect(suggestMonthName(input)).toEqual(expected))
+})
@@ -0,0 +1,45 @@
+import { getPhrase } from './messages/get-message'
+
+// Builds the 'describe()' text from the type description and the phrases describing the constraints in force (any
+// undefined phrases are skipped); e.g., 'Integer between 1 and 100, divisible by 5'.
+const describeConstraints = (description, phrases) => {
+  phrases = phrases.filter((phrase) => phrase !== undefined)
+
+  return phrases.length === 0
+    ? description
+    : description + ' ' + phrases.join(', ')
+}
+
+const describeIf = (condition, key, params, { locale } = {}) =>
+  condition === true ? getPhrase(key, params, { locale }) : undefined
+
+const describeRange = (
+  { locale, max, min },
+  {
+    betweenKey = 'DESCRIBE_BETWEEN',
+    maxKey = 'DESCRIBE_MAX',
+    minKey = 'DESCRIBE_MIN',
+  } = {}
+) => {
+  const params = { max : formatConstraint(max), min : formatConstraint(min) }
+  if (max !== undefined && min !== undefined) {
+    return getPhrase(betweenKey, params, { locale })
+  }
+  else if (min !== undefined) {
+    return getPhrase(minKey, params, { locale })
+  }
+  else if (max !== undefined) {
+    return getPhrase(maxKey, params, { locale })
+  }
+  // else
+
+  return undefined
+}
+
+const describeType = (type, options) =>
+  type.describe === undefined ? type.description : type.describe(options)
+
+const formatConstraint = (value) =>
+  value instanceof Date ? value.toISOString() : value
+
+export { describeConstraints, describeIf, describeRange, describeType }
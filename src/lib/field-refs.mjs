@@ -0,0 +1,122 @@
+import { ArgumentInvalidError, ArgumentMissingError } from 'standard-error-set'
+
+import { getMessage } from './messages/get-message'
+
+const refOptions = ['max', 'min', 'required']
+
+// A field reference is a plain object with a string 'field' naming another field in the record spec.
+const isFieldRef = (value) =>
+  typeof value === 'object'
+  && value !== null
+  && Object.getPrototypeOf(value) === Object.prototype
+  && typeof value.field === 'string'
+
+// Returns the options without any field references (e.g., for generating JSON schema).
+const omitFieldRefs = (options) => {
+  options = Object.assign({}, options)
+  for (const optionName of refOptions) {
+    if (isFieldRef(options[optionName])) {
+      delete options[optionName]
+    }
+  }
+
+  return options
+}
+
+// Implements cross-field constraints. The 'min', 'max', and 'required' field options may reference another field, like
+// '{ field : "start" }', which must come earlier in the spec. 'fields' is the list of '[field, type, options]' entries
+// from 'getFields()' and any bad references are reported up front. The returned 'resolve()' is passed the field options
+// and the values parsed so far and returns the 'options' to pass to the type function (without the references) and a
+// 'check()' function which is passed the parsed value and input and throws if the value violates a cross-field
+// constraint.
+const makeFieldRefResolver = (fields) => {
+  fields.forEach(([field, , options], index) => {
+    for (const optionName of refOptions) {
+      const ref = options[optionName]
+      if (
+        isFieldRef(ref)
+        && !fields.slice(0, index).some(([earlier]) => earlier === ref.field)
+      ) {
+        throw new ArgumentInvalidError({
+          argumentName  : `${options.name || field}' option '${optionName}`,
+          argumentValue : ref.field,
+          ...getMessage('RECORD_FIELD_REF_INVALID', {}, options),
+          status        : 500,
+        })
+      }
+    }
+  })
+
+  const resolve = (options, values) => {
+    const refs = {}
+    for (const optionName of refOptions) {
+      if (isFieldRef(options[optionName])) {
+        refs[optionName] = options[optionName]
+      }
+    }
+    if (Object.keys(refs).length === 0) {
+      return { options, check : () => {} }
+    }
+
+    const { locale, name, status } = options
+    // refer to the other field by its 'name' (which may differ from the field key, e.g. for environment variables)
+    const getRefName = ({ field }) =>
+      fields.find(([other]) => other === field)[2].name || field
+    const errorOptions = { locale, ...(status === undefined ? {} : { status }) }
+    const requiredIf =
+      refs.required !== undefined && isConditionMet(refs.required, values)
+
+    const check = (value, input) => {
+      if (value === undefined) {
+        if (requiredIf === true) {
+          throw new ArgumentMissingError({
+            argumentName : name,
+            ...getMessage(
+              'RECORD_REQUIRED_IF',
+              { ...refs.required, field : getRefName(refs.required) },
+              errorOptions
+            ),
+            ...errorOptions,
+          })
+        }
+
+        return
+      }
+
+      for (const [optionName, key, isViolated] of [
+        ['max', 'RECORD_FIELD_MAX', (limit) => value > limit],
+        ['min', 'RECORD_FIELD_MIN', (limit) => value < limit],
+      ]) {
+        const ref = refs[optionName]
+        const limit = values[ref?.field]
+        if (ref !== undefined && limit !== undefined && isViolated(limit)) {
+          throw new ArgumentInvalidError({
+            argumentName  : name,
+            argumentValue : input,
+            ...getMessage(key, { field : getRefName(ref) }, errorOptions),
+            ...errorOptions,
+          })
+        }
+      }
+    }
+
+    return { options : omitFieldRefs(options), check }
+  }
+
+  return resolve
+}
+
+const isConditionMet = ({ equals, field, oneOf }, values) => {
+  const value = values[field]
+  if (equals !== undefined) {
+    return value === equals
+  }
+  else if (oneOf !== undefined) {
+    return oneOf.includes(value)
+  }
+  // else
+
+  return value !== undefined
+}
+
+export { makeFieldRefResolver, omitFieldRefs }
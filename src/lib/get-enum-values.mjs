@@ -0,0 +1,25 @@
+const toArray = (value) =>
+  typeof value === 'string' ? value.split(/\s*,\s*/) : value
+
+// Normalizes the 'Enum' 'values' option, which is either a list of values (as an array or comma separated string) or
+// an object mapping each canonical value to a '{ aliases, description }' spec, into a list of
+// '{ aliases, description, value }' entries. Anything else results in the empty list.
+const getEnumValues = (values) => {
+  if (typeof values === 'string' || Array.isArray(values)) {
+    return toArray(values)
+      .filter((value) => value !== '')
+      .map((value) => ({ aliases : [], value }))
+  }
+  else if (values === null || typeof values !== 'object') {
+    return []
+  }
+  // else
+
+  return Object.entries(values).map(([value, spec]) => {
+    const { aliases = [], description } = spec || {}
+
+    return { aliases : toArray(aliases), description, value }
+  })
+}
+
+export { getEnumValues }
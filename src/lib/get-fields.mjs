@@ -0,0 +1,50 @@
+import { ArgumentInvalidError, ArgumentTypeError } from 'standard-error-set'
+
+import { getMessage } from './messages/get-message'
+
+// Resolves a record spec (either an object or command-line-args style array) to a list of '[field, type, options]'
+// entries. The field name is used as the default 'name' option.
+const getFields = (spec) =>
+  getFieldSpecs(spec).map(([field, fieldSpec]) => {
+    const { type, ...options } =
+      typeof fieldSpec === 'function' ? { type : fieldSpec } : fieldSpec
+    if (typeof type !== 'function') {
+      throw new ArgumentInvalidError({
+        argumentName : `spec' field '${field}`,
+        ...getMessage('RECORD_SPEC_NO_TYPE'),
+        status       : 500,
+      })
+    }
+    options.name = options.name || field
+
+    return [field, type, options]
+  })
+
+const getFieldSpecs = (spec) => {
+  if (Array.isArray(spec) === true) {
+    return spec.map((fieldSpec) => {
+      if (fieldSpec?.name === undefined) {
+        throw new ArgumentInvalidError({
+          argumentName : 'spec',
+          ...getMessage('RECORD_SPEC_NO_NAME'),
+          status       : 500,
+        })
+      }
+
+      return [fieldSpec.name, fieldSpec]
+    })
+  }
+  else if (spec === undefined || spec === null || typeof spec !== 'object') {
+    throw new ArgumentTypeError({
+      argumentName : 'spec',
+      argumentType : 'object',
+      receivedType : spec === null ? 'null' : typeof spec,
+      status       : 500,
+    })
+  }
+  // else
+
+  return Object.entries(spec)
+}
+
+export { getFields }
@@ -0,0 +1,74 @@
+// Returns the candidates closest to the input for "did you mean" hints; the result is empty if none are close. The
+// comparison ignores case. A candidate differing only in case is closest, followed by candidates starting with the
+// input (of at least three characters), and then candidates within an edit distance of one per three characters (and
+// at least one). The distance must also be less than the length of the candidate, so one character candidates are
+// only suggested when they differ in case; otherwise, any one character input would be close to every one of them.
+// Only the closest candidates (up to 'max') are returned.
+const getSuggestions = (input, candidates, { max = 3 } = {}) => {
+  const normalizedInput = input.toLowerCase()
+  const scored = []
+  for (const candidate of candidates) {
+    const normalizedCandidate = String(candidate).toLowerCase()
+    let score
+    if (normalizedCandidate === normalizedInput) {
+      score = 0
+    }
+    else if (
+      normalizedInput.length >= 3
+      && normalizedCandidate.startsWith(normalizedInput)
+    ) {
+      score = 0.5
+    }
+    else {
+      const distance = getEditDistance(normalizedInput, normalizedCandidate)
+      if (
+        distance < normalizedCandidate.length
+        && distance <= Math.max(1, Math.floor(normalizedCandidate.length / 3))
+      ) {
+        score = distance
+      }
+    }
+
+    if (score !== undefined) {
+      scored.push([score, candidate])
+    }
+  }
+
+  const bestScore = Math.min(...scored.map(([score]) => score))
+
+  return scored
+    .filter(([score]) => score === bestScore)
+    .map(([, candidate]) => candidate)
+    .slice(0, max)
+}
+
+// The optimal string alignment distance: the number of insertions, deletions, substitutions, and transpositions of
+// adjacent characters needed to turn one string into the other. Transpositions count as one edit so that common typos
+// like 'ture' are close to 'true'.
+const getEditDistance = (a, b) => {
+  const distances = []
+  for (let i = 0; i <= a.length; i += 1) {
+    distances.push([i])
+  }
+  for (let j = 1; j <= b.length; j += 1) {
+    distances[0][j] = j
+  }
+
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost
+      )
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1)
+      }
+    }
+  }
+
+  return distances[a.length][b.length]
+}
+
+export { getEditDistance, getSuggestions }
@@ -0,0 +1,60 @@
+import { makeFieldRefResolver } from './field-refs'
+import { getFields } from './get-fields'
+import { makeIssueCollector } from './make-issue-collector'
+
+// Validates the variables according to the spec, collecting all the issues ('name' names the aggregate error). Each
+// variable is named by the 'prefix' plus the field name and 'status' and 'endpointType' (e.g., 'HTTP' for "HTTP
+// argument 'page' ...") are the defaults for any errors. The optional 'locate' function is passed each error and the
+// variable name and may add location information to the error.
+const loadVariables = ({
+  endpointType,
+  locate,
+  name = 'environment',
+  prefix = '',
+  spec,
+  status,
+  variables,
+}) => {
+  const issues = makeIssueCollector({
+    collectAllIssues : true,
+    name,
+    ...(endpointType === undefined ? {} : { endpointType }),
+    ...(status === undefined ? {} : { status }),
+  })
+  const fields = getFields(spec)
+  const resolveFieldRefs = makeFieldRefResolver(fields)
+  const result = {}
+  for (const [field, type, fieldOptions] of fields) {
+    const variable = prefix + field
+    if (fieldOptions.name === field) {
+      fieldOptions.name = variable
+    }
+    if (fieldOptions.status === undefined && status !== undefined) {
+      fieldOptions.status = status
+    }
+    if (fieldOptions.endpointType === undefined && endpointType !== undefined) {
+      fieldOptions.endpointType = endpointType
+    }
+
+    const input = variables[variable] ?? ''
+    issues.check(() => {
+      try {
+        const { options, check } = resolveFieldRefs(fieldOptions, result)
+        const value = type(input, options)
+        check(value, input)
+        if (value !== undefined) {
+          result[field] = value
+        }
+      }
+      catch (error) {
+        locate?.(error, variable)
+        throw error
+      }
+    })
+  }
+  issues.throwIfAny()
+
+  return Object.freeze(result)
+}
+
+export { loadVariables }
@@ -0,0 +1,81 @@
+import { isSensitiveType, redactError } from './redact-errors'
+import { checkValidationResult } from './validate-helper'
+
+// the options holding the options passed to nested types (e.g., the 'List' 'elementOptions')
+const nestedOptionsFields = ['elementOptions', 'keyOptions', 'valueOptions']
+
+// The type function is run synchronously with stand-in validation functions which record each call. Once the built-in
+// checks have passed, the real validation functions are called in order and their (possibly Promise) results awaited.
+// The validation functions of nested types (like the 'List' 'elementType') are deferred in the same way. Errors from
+// the real validation functions are redacted just like the synchronous errors when the input is sensitive.
+const makeAsync =
+  (func) =>
+    async (input, options = {}) => {
+      const deferred = []
+      const value = func(input, deferValidations(options, deferred, input))
+
+      try {
+        for (const {
+          input: fallbackInput,
+          validationArgs,
+          validationFunc,
+          validationType,
+          validations,
+        } of deferred) {
+          const [arg, argOptions] = validationArgs
+          const realOptions = { ...argOptions, ...validations }
+          const result = await validationFunc(arg, realOptions)
+          checkValidationResult({
+            result,
+            // some types (e.g., Email) don't pass 'input' to the validation functions
+            validationArgs : [arg, { input : fallbackInput, ...realOptions }],
+            validationType,
+          })
+        }
+      }
+      catch (error) {
+        if (isSensitiveType(func, options)) {
+          redactError(error)
+        }
+        throw error
+      }
+
+      return value
+    }
+
+// Returns a copy of the options with the validation functions (including those in the nested type options) replaced by
+// stand-ins which record each call in 'deferred'. 'input' is used when the type doesn't pass the input to the
+// validation functions and is undefined for nested types.
+const deferValidations = (options, deferred, input) => {
+  const { validateInput, validateValue } = options
+  const validations = { validateInput, validateValue }
+  const defer = (validationType, validationFunc) =>
+    validationFunc === undefined
+      ? undefined
+      : (...validationArgs) => {
+          deferred.push({
+            input,
+            validationArgs,
+            validationFunc,
+            validationType,
+            validations,
+          })
+
+          return true
+        }
+
+  const deferredOptions = {
+    ...options,
+    validateInput : defer('input', validateInput),
+    validateValue : defer('value', validateValue),
+  }
+  for (const field of nestedOptionsFields) {
+    if (options[field] !== undefined && options[field] !== null) {
+      deferredOptions[field] = deferValidations(options[field], deferred)
+    }
+  }
+
+  return deferredOptions
+}
+
+export { makeAsync }
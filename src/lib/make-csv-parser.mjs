@@ -0,0 +1,110 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { getMessage, getPhrase } from './messages/get-message'
+
+// Creates an incremental RFC 4180 style parser. 'write()' takes the next chunk of text and 'end()' signals the end of
+// the input; both return the records completed so far as '{ fields, row }' where 'row' is the 1-based record number.
+// Records may end with CRLF, LF, or CR and blank lines are skipped. Quoted fields may contain delimiters and newlines,
+// and a doubled quote within a quoted field is a literal quote. Malformed quoting results in an 'ArgumentInvalidError'
+// with the 'row' property set.
+const makeCSVParser = ({ delimiter, name, quote, ...options }) => {
+  let records = []
+  let fields = []
+  let field = ''
+  // 'start' of a field, 'unquoted' field, 'quoted' field, or 'quote' for a quote within a quoted field
+  let state = 'start'
+  let skipLF = false
+  let row = 1
+
+  const endField = () => {
+    fields.push(field)
+    field = ''
+    state = 'start'
+  }
+
+  const endRecord = () => {
+    endField()
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ fields, row })
+      row += 1
+    }
+    fields = []
+  }
+
+  const throwSyntaxError = (key) => {
+    const error = new ArgumentInvalidError({
+      argumentName : name,
+      ...getMessage(key, { quote }, options),
+      ...options,
+    })
+    error.row = row
+    error.message = getPhrase('CSV_ROW', { row }, options) + error.message
+
+    throw error
+  }
+
+  const takeRecords = () => {
+    const completed = records
+    records = []
+
+    return completed
+  }
+
+  const write = (text) => {
+    for (const char of text) {
+      if (skipLF === true) {
+        skipLF = false
+        if (char === '\n') {
+          continue
+        }
+      }
+
+      if (state === 'quoted') {
+        if (char === quote) {
+          state = 'quote'
+        }
+        else {
+          field += char
+        }
+      }
+      else if (state === 'quote' && char === quote) {
+        field += quote
+        state = 'quoted'
+      }
+      else if (char === delimiter) {
+        endField()
+      }
+      else if (char === '\n' || char === '\r') {
+        skipLF = char === '\r'
+        endRecord()
+      }
+      else if (state === 'quote') {
+        throwSyntaxError('CSV_TRAILING_CHARACTERS')
+      }
+      else if (state === 'start' && char === quote) {
+        state = 'quoted'
+      }
+      else {
+        field += char
+        state = 'unquoted'
+      }
+    }
+
+    return takeRecords()
+  }
+
+  const end = () => {
+    if (state === 'quoted') {
+      throwSyntaxError('CSV_UNTERMINATED_QUOTE')
+    }
+    else if (state !== 'start' || fields.length > 0) {
+      endRecord()
+    }
+
+    return takeRecords()
+  }
+
+  return { end, write }
+}
+
+export { makeCSVParser }
@@ -0,0 +1,51 @@
+import { ArgumentInvalidError, CommonError } from 'standard-error-set'
+
+import { getMessage } from './messages/get-message'
+
+// The issue collector implements the `collectAllIssues` option. By default, issues are thrown as soon as they're
+// reported. When `collectAllIssues` is true, issues are saved and thrown together by 'throwIfAny()'; a single issue is
+// thrown as is while multiple issues are wrapped in an 'ArgumentInvalidError' listing each in the 'errors' property.
+const makeIssueCollector = ({ collectAllIssues, input, name, ...options }) => {
+  const errors = []
+
+  const add = (error) => {
+    if (collectAllIssues !== true) {
+      throw error
+    }
+    errors.push(error)
+  }
+
+  const check = (checkFunc) => {
+    try {
+      checkFunc()
+    }
+    catch (error) {
+      if (!(error instanceof CommonError)) {
+        throw error
+      }
+      add(error)
+    }
+  }
+
+  const throwIfAny = () => {
+    if (errors.length === 1) {
+      throw errors[0]
+    }
+    else if (errors.length > 1) {
+      throw new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        ...getMessage('MULTIPLE_ISSUES', { count : errors.length }, options),
+        hint          : errors
+          .map((error, index) => `(${index + 1}) ${error.message}`)
+          .join(' '),
+        errors : [...errors],
+        ...options,
+      })
+    }
+  }
+
+  return { add, check, throwIfAny }
+}
+
+export { makeIssueCollector }
@@ -0,0 +1,18 @@
+import { CommonError } from 'standard-error-set'
+
+const makeSafe =
+  (func) =>
+    (...args) => {
+      try {
+        return { ok : true, value : func(...args), error : undefined }
+      }
+      catch (error) {
+        if (!(error instanceof CommonError)) {
+          throw error
+        }
+
+        return { ok : false, value : undefined, error }
+      }
+    }
+
+export { makeSafe }
@@ -0,0 +1,8 @@
+import { en } from './en'
+
+// The registered message catalogs, keyed by locale, and the current locale settings.
+const catalogs = { en }
+
+const localeSettings = { defaultLocale : 'en' }
+
+export { catalogs, localeSettings }
@@ -0,0 +1,427 @@
+// Lists the 'Enum' values along with any aliases and descriptions; e.g., "'production' (or 'prod'; the public site),
+// 'staging'".
+const listEnumValues = (values) =>
+  values
+    .map(({ aliases, description, value }) => {
+      const notes = []
+      if (aliases.length > 0) {
+        notes.push(`or ${aliases.map((alias) => `'${alias}'`).join(', ')}`)
+      }
+      if (description !== undefined) {
+        notes.push(description)
+      }
+
+      return notes.length === 0
+        ? `'${value}'`
+        : `'${value}' (${notes.join('; ')})`
+    })
+    .join(', ')
+
+// Describes the limits for the range error hints; e.g., "Value must be greater than or equal to '1' and less than or
+// equal to '10'."
+const describeRangeLimits = ({ max, min }) =>
+  'Value must be '
+  + [
+    min === undefined ? undefined : `greater than or equal to '${min}'`,
+    max === undefined ? undefined : `less than or equal to '${max}'`,
+  ]
+    .filter((limit) => limit !== undefined)
+    .join(' and ')
+  + '.'
+
+// Prefixes the hint with "Did you mean ...?" when there are suggestions. Returns undefined when there's neither.
+const withSuggestions = (suggestions = [], hint) => {
+  if (suggestions.length === 0) {
+    return hint
+  }
+
+  const quoted = suggestions.map((suggestion) => `'${suggestion}'`)
+  const didYouMean =
+    'Did you mean '
+    + (quoted.length === 1
+      ? quoted[0]
+      : quoted.slice(0, -1).join(', ') + ' or ' + quoted[quoted.length - 1])
+    + '?'
+
+  return hint === undefined ? didYouMean : `${didYouMean} ${hint}`
+}
+
+// The default (English) message catalog. Each message entry defines an 'issue' and, optionally, a 'hint'. Each
+// phrase entry defines a bit of text used to build up other messages. Entries are either strings, where '{param}' is
+// replaced by the named parameter, or functions which take the parameters object and return a string. A function
+// hint may return undefined to omit the hint.
+const en = {
+  messages : {
+    BOOLEAN_ABBREVIATION_DISALLOWED : {
+      issue : 'is disallowed abbreviated value',
+      hint  : 'Use {possibleValues}.',
+    },
+    BOOLEAN_AMBIGUOUS_NEGATIVE : {
+      issue : 'is ambiguous negative numeric value',
+      hint  : 'Use {possibleValues}.',
+    },
+    BOOLEAN_INVALID : {
+      issue : 'could not be parsed as a boolean value',
+      hint  : ({ possibleValues, suggestions }) =>
+        withSuggestions(suggestions, `Use ${possibleValues}.`),
+    },
+    BOOLEAN_NUMERIC_DISALLOWED : {
+      issue : 'is disallowed numeric value',
+      hint  : 'Use {possibleValues}.',
+    },
+    BOOLEAN_YES_NO_DISALLOWED : {
+      issue : 'is disallowed yes/no value',
+      hint  : 'Use {possibleValues}.',
+    },
+    CARD_FORMAT_INVALID : {
+      issue : 'does not appear to be a card number',
+      hint  : "Expects a number with optional dashes ('-') or spaces (' ').",
+    },
+    CARD_IIN_NOT_ACCEPTED : {
+      issue : 'contains a non-accepted Issuer Identifier Number (IIN)',
+    },
+    CARD_IIN_RANGE_DIGITS_MISMATCH : {
+      issue :
+        'contains an invalid range; both the min and max must specify the same number of digits',
+    },
+    CARD_IIN_RANGE_INVALID : {
+      issue : 'contains an invalid range',
+    },
+    CARD_IIN_RE_NOT_PINNED : {
+      issue :
+        'is invalid; regular expression must be pinned to the start of string',
+      hint : "Start regular expression with '^'.",
+    },
+    CARD_LENGTH_INVALID : {
+      issue : 'is an invalid length',
+      hint  : ({ lengths }) =>
+        `Card number must be ${lengths.join(', ')} digits long.`,
+    },
+    CARD_LUHN_FAILED : {
+      issue : 'failed the check-digit validation',
+      hint  : 'Check input for typos.',
+    },
+    CUSTOM_INPUT_VALIDATION_FAILED : {
+      issue : 'failed custom input validation',
+    },
+    CUSTOM_VALIDATION_ASYNC : {
+      issue : 'returned a Promise when called synchronously',
+      hint  : "Use the type's 'async()' variant with asynchronous validation functions.",
+    },
+    CUSTOM_VALUE_VALIDATION_FAILED : {
+      issue : 'failed custom value validation',
+    },
+    CLI_OPTION_INVALID : {
+      issue : "is not a 'key=value' pair",
+    },
+    CLI_OPTION_VALUE_MISSING : {
+      issue : 'requires a value',
+    },
+    CLI_SPEC_INVALID_JSON : {
+      issue : 'is not valid JSON ({reason})',
+    },
+    CLI_UNKNOWN_OPTION : {
+      issue : 'is not a recognized option',
+      hint  : ({ options }) => `The options are ${options.join(', ')}.`,
+    },
+    CLI_UNKNOWN_TYPE : {
+      issue : 'is not a known type',
+      hint  : ({ suggestions, types }) =>
+        withSuggestions(suggestions, `The types are ${types.join(', ')}.`),
+    },
+    CSV_COLUMN_NOT_INDEX : {
+      issue : 'must be a zero-based column index when there is no header',
+    },
+    CSV_INVALID_CHARACTER : {
+      issue : 'must be a single character other than a newline',
+    },
+    CSV_MISSING_COLUMNS : {
+      issue : ({ columns }) =>
+        `is missing column${columns.length === 1 ? '' : 's'} ${columns.map((column) => `'${column}'`).join(', ')}`,
+    },
+    CSV_TRAILING_CHARACTERS : {
+      issue : 'has unexpected characters after the closing quote of a field',
+    },
+    CSV_UNTERMINATED_QUOTE : {
+      issue : 'has an unterminated quoted field',
+      hint  : 'Close the field with a matching {quote}.',
+    },
+    DATE_TIME_CONSTRAINT_TYPE_INVALID : {
+      issue : 'is nonconvertible type',
+      hint  : "Use 'string', 'number', Date', or 'DateTime'.",
+    },
+    DATE_TIME_DATE_AMBIGUOUS : {
+      issue : 'date component is ambiguous',
+      hint  : "Try specifying a 4+ digit year (pad with '0' where necessary).",
+    },
+    DATE_TIME_EOD_DISALLOWED : {
+      issue : "uses disallowed special EOD time '24:00'",
+    },
+    DATE_TIME_NO_DATE : {
+      issue : 'does not contain a recognizable date component',
+      hint  : ({ suggestions }) => withSuggestions(suggestions),
+    },
+    DATE_TIME_NO_TIME : {
+      issue : 'does not contain a recognizable time component',
+    },
+    DATE_TIME_ORDINAL_UNSUPPORTED : {
+      issue : 'does not support day of year/ordinal/Julian style dates',
+    },
+    DATE_TIME_TIMEZONE_UNRECOGNIZED : {
+      issue : 'timezone designation not recognized as valid timezone',
+      hint  : "The recognized timezones are limited to basic US timezone like CST and PDT; otherwise it's best to designate the offset like '+1030' or '-0100'.",
+    },
+    DATE_TIME_WEEK_OF_YEAR_UNSUPPORTED : {
+      issue : 'does not support week of year style dates',
+    },
+    DAY_AMBIGUOUS : {
+      issue : 'is ambiguous',
+      hint  : 'Try specifying four digit year (with leading zeros if necessary) to disambiguate US (MM/DD/YYYY) vs international (YYYY/MM/DD) formats.',
+    },
+    DAY_CONSTRAINT_TYPE_INVALID : {
+      issue : 'has nonconvertible type',
+    },
+    DAY_INVALID_FOR_MONTH : {
+      issue :
+        'looks syntactically valid, but specifies an invalid day for the given month/year.',
+    },
+    DAY_UNRECOGNIZED : {
+      issue :
+        'is not recognized as either US, international, or a RFC 2822 style date',
+      hint : ({ suggestions }) =>
+        withSuggestions(
+          suggestions,
+          "Try something like '1/15/2024', '2024-1-15', or '15 Jan 2024'."
+        ),
+    },
+    DIVISIBLE_BY : {
+      issue : "must be divisible by '{divisibleBy}'",
+    },
+    DOTENV_INVALID_LINE : {
+      issue : 'is not a valid variable assignment',
+      hint  : "Use 'NAME=value', optionally prefixed with 'export'.",
+    },
+    DOTENV_TRAILING_CHARACTERS : {
+      issue : 'has unexpected characters after the closing quote',
+    },
+    DOTENV_UNTERMINATED_QUOTE : {
+      issue : 'has an unterminated quoted value',
+      hint  : 'Close the value with a matching {quote}.',
+    },
+    EIN_INVALID : {
+      issue : 'is not a valid EIN',
+    },
+    EMAIL_INVALID : {
+      issue : ({ issues }) => issues.join(', '),
+    },
+    EMAIL_UNSPECIFIED_ISSUES : {
+      issue : 'has unspecified issues',
+    },
+    ENUM_NO_VALUES : {
+      issue : 'must define at least one value',
+      hint  : "Set the 'values' option to an array of values or an object like '{ production: { aliases: ['prod'] } }'.",
+    },
+    ENUM_VALUE_AMBIGUOUS : {
+      issue : ({ values }) => `matches both '${values[0]}' and '${values[1]}'`,
+      hint  : "Remove the duplicate alias or set the 'caseSensitive' option.",
+    },
+    INTEGER_INVALID : {
+      issue : 'does not appear to be an integer',
+    },
+    INTEGER_INVALID_LEADING_ZEROS_ALLOWED : {
+      issue : 'does not appear to be an integer (leading zeros allowed)',
+    },
+    INTEGER_LEADING_ZEROS : {
+      issue :
+        'does not appear to be an integer; leading zeroes are not allowed.',
+    },
+    JSON_SCHEMA_PATTERN_FLAGS : {
+      issue : "uses flags '{flags}', which JSON Schema patterns cannot express",
+      hint  : "Write the pattern without the flags; e.g., use '[aA]' rather than the 'i' flag.",
+    },
+    LIST_DUPLICATE_ITEMS : {
+      issue : 'contains duplicate items at index {firstIndex} and {index}',
+    },
+    LIST_MAX_ITEMS : {
+      issue : 'may contain no more than {maxItems} items',
+    },
+    LIST_MIN_ITEMS : {
+      issue : 'must contain at least {minItems} items',
+    },
+    MAP_DUPLICATE_KEY : {
+      issue : "contains duplicate key '{key}'",
+    },
+    MAP_PAIR_INVALID : {
+      issue :
+        "item {index} is not a key/value pair separated by '{kvSeparator}'",
+      hint : "Use something like 'key1{kvSeparator}value1{separator}key2{kvSeparator}value2'.",
+    },
+    MAP_REQUIRED_KEYS : {
+      issue : ({ missingKeys }) =>
+        `is missing required key${missingKeys.length === 1 ? '' : 's'} ${missingKeys.map((key) => `'${key}'`).join(', ')}`,
+    },
+    MISSING : {
+      issue : "is '{received}'",
+    },
+    MULTIPLE_ISSUES : {
+      issue : 'has {count} issues',
+    },
+    NUMERIC_LEADING_ZEROS : {
+      issue : 'contains disallowed leading zeros',
+    },
+    NUMERIC_SURROUNDING_SPACE : {
+      issue : 'contains disallowed leading or trailing space',
+    },
+    QUOTE_UNTERMINATED : {
+      issue : 'contains an unterminated quote',
+      hint  : "Close the quoted section with a matching {quote} or escape the quote like '{escape}{quote}'.",
+    },
+    RANGE_MAX : {
+      issue : 'is out of range',
+      hint  : describeRangeLimits,
+    },
+    RANGE_MIN : {
+      issue : 'is out of range',
+      hint  : describeRangeLimits,
+    },
+    RECORD_FIELD_MAX : {
+      issue : "must be less than or equal to field '{field}'",
+    },
+    RECORD_FIELD_MIN : {
+      issue : "must be greater than or equal to field '{field}'",
+    },
+    RECORD_FIELD_REF_INVALID : {
+      issue : 'must name a field which comes earlier in the spec',
+      hint  : 'Cross-field constraints may only reference fields which are parsed first.',
+    },
+    RECORD_REQUIRED_IF : {
+      issue : ({ equals, field, oneOf }) =>
+        `is required when '${field}' is `
+        + (equals !== undefined
+          ? `'${equals}'`
+          : oneOf !== undefined
+            ? `one of ${oneOf.map((value) => `'${value}'`).join(', ')}`
+            : 'set'),
+    },
+    RECORD_SPEC_NO_NAME : {
+      issue : 'contains an entry with no name',
+      hint  : "When passing an array spec, each entry must define the field 'name'.",
+    },
+    RECORD_SPEC_NO_TYPE : {
+      issue : 'does not define a type function',
+      hint  : "Set the 'type' field to one of the type functions, such as 'Integer' or 'Email'.",
+    },
+    REQUIRED : {
+      issue : 'is required',
+    },
+    SEPARATOR_EMPTY : {
+      issue : 'must not be empty',
+      hint  : 'Set the separator to one or more characters.',
+    },
+    SSN_INVALID : {
+      issue : 'is not a valid SSN',
+      hint  : 'Ensure there are nine digits and a valid area code.',
+    },
+    STRING_AFTER : {
+      issue : "must be lexicographically after '{after}'",
+    },
+    STRING_BEFORE : {
+      issue : "must be lexicographically before '{before}'",
+    },
+    STRING_ENDS_WITH : {
+      issue : "must end with '{endsWith}'",
+    },
+    STRING_MATCH_RE : {
+      issue : 'must match {matchRe}',
+    },
+    STRING_MAX_LENGTH : {
+      issue : 'may be no more than {maxLength} characters long',
+    },
+    STRING_MIN_LENGTH : {
+      issue : 'must be at least {minLength} characters long',
+    },
+    STRING_ONE_OF : {
+      issue : ({ oneOf }) =>
+        'must be '
+        + (oneOf.length === 1
+          ? `'${oneOf[0]}'`
+          : `one of '${oneOf.join("', '")}'`),
+      hint : ({ suggestions }) => withSuggestions(suggestions),
+    },
+    STRING_STARTS_WITH : {
+      issue : "must start with '{startsWith}'",
+    },
+    TIME_EOD_DISALLOWED : {
+      issue : "special 'end-of-day' time disallowed",
+    },
+    TIME_UNRECOGNIZED : {
+      issue : 'not recognized as either military, standard, or 24-hour time',
+    },
+    TYPE_INVALID : {
+      issue : 'is wrong type',
+      hint  : "Received type '{receivedType}'.",
+    },
+    UNION_NO_MATCH : {
+      issue : 'does not match any accepted type; expected {expected}',
+    },
+    UNION_NO_TYPES : {
+      issue : 'must define at least one type',
+      hint  : "Set the 'types' option to an array of type functions or type specs like '{ type: Integer, min: 1 }'.",
+    },
+    WHITESPACE_SURROUNDING : {
+      issue : 'contains disallowed leading or trailing space',
+      hint  : 'Remove any spaces from the start and end of the value.',
+    },
+  },
+  phrases : {
+    BOOLEAN_NUMERIC_VALUES                : '0/positive number',
+    BOOLEAN_NUMERIC_VALUES_NEGATIVE_FALSE : 'negative number-0/positive number',
+    CSV_LOCATION                          : "Row {row}, column '{column}': ",
+    CSV_ROW                               : 'Row {row}: ',
+    DESCRIBE_AFTER                        : "sorting on or after '{after}'",
+    DESCRIBE_BEFORE                       : "sorting on or before '{before}'",
+    DESCRIBE_BETWEEN                      : 'between {min} and {max}',
+    DESCRIBE_BOOLEAN_VALUES               : 'accepting {possibleValues}',
+    DESCRIBE_CARD_IINS                    : ({ iins }) => `with IIN ${iins.join(', ')}`,
+    DESCRIBE_CARD_LENGTHS                 : ({ lengths }) => `${lengths.join(', ')} digits long`,
+    DESCRIBE_DIVISIBLE_BY                 : 'divisible by {divisibleBy}',
+    DESCRIBE_ENDS_WITH                    : "ending with '{endsWith}'",
+    DESCRIBE_ENUM_VALUES                  : ({ values }) => `one of ${listEnumValues(values)}`,
+    DESCRIBE_ITEMS_BETWEEN                : 'with {min} to {max} items',
+    DESCRIBE_LENGTH_BETWEEN               : '{min} to {max} characters long',
+    DESCRIBE_LIST_OF                      : 'of {element}',
+    DESCRIBE_MAP_OF                       : 'of {key} keys to {value} values',
+    DESCRIBE_MATCHING                     : 'matching {matchRe}',
+    DESCRIBE_MAX                          : 'at most {max}',
+    DESCRIBE_MAX_ITEMS                    : 'with at most {max} items',
+    DESCRIBE_MAX_LENGTH                   : 'at most {max} characters long',
+    DESCRIBE_MIN                          : 'at least {min}',
+    DESCRIBE_MIN_ITEMS                    : 'with at least {min} items',
+    DESCRIBE_MIN_LENGTH                   : 'at least {min} characters long',
+    DESCRIBE_NO_EOD                       : "excluding '24:00'",
+    DESCRIBE_ON_OR_AFTER                  : 'on or after {min}',
+    DESCRIBE_ON_OR_BEFORE                 : 'on or before {max}',
+    DESCRIBE_ONE_OF                       : ({ oneOf }) =>
+      oneOf.length === 1
+        ? `equal to '${oneOf[0]}'`
+        : `one of ${oneOf.map((value) => `'${value}'`).join(', ')}`,
+    DESCRIBE_REQUIRED_KEYS : ({ requiredKeys }) =>
+      `requiring key${requiredKeys.length === 1 ? '' : 's'} ${requiredKeys.map((key) => `'${key}'`).join(', ')}`,
+    DESCRIBE_STARTS_WITH : "starting with '{startsWith}'",
+    DESCRIBE_UNIQUE      : 'with unique items',
+    LIST_OR              : ({ items }) =>
+      items.length === 1
+        ? items[0]
+        : items.slice(0, -1).join(', ') + ', or ' + items[items.length - 1],
+    PROMPT_PROBLEM        : "'{answer}' {issue}.",
+    PROMPT_PROBLEM_MASKED : 'The value {issue}.',
+    REQUEST_PROBLEM_INTERNAL :
+      'The request could not be validated because of a server configuration error.',
+    TYPE_LIST_OR : ({ items }) =>
+      items.length <= 2
+        ? items.join(' or ')
+        : items.slice(0, -1).join(', ') + ', or ' + items[items.length - 1],
+  },
+}
+
+export { en }
@@ -0,0 +1,55 @@
+import { catalogs, localeSettings } from './catalogs'
+
+const paramRe = /\{(\w+)\}/g
+
+// Returns the localized 'issue' and 'hint' for the message key along with the 'code' (the message key) and 'params'.
+// The 'hint' is omitted when there is none, including when a function hint returns undefined, and when a custom
+// 'message' option replaces the generated message (otherwise the error would append the hint to the custom message).
+// The results are meant to be spread into the error options so every error carries the machine readable 'code' and
+// 'params' as well as the human readable message.
+const getMessage = (
+  key,
+  params = {},
+  { locale, message: customMessage } = {}
+) => {
+  const { issue, hint } = lookup('messages', key, locale)
+  const message = { code : key, params, issue : interpolate(issue, params) }
+  const interpolatedHint =
+    hint === undefined ? undefined : interpolate(hint, params)
+  if (interpolatedHint !== undefined && customMessage === undefined) {
+    message.hint = interpolatedHint
+  }
+
+  return message
+}
+
+// Returns the localized phrase.
+const getPhrase = (key, params = {}, { locale } = {}) =>
+  interpolate(lookup('phrases', key, locale), params)
+
+// Tries the locale (e.g., 'es-MX'), the base language ('es'), and finally falls back to English.
+const lookup = (entryType, key, locale = localeSettings.defaultLocale) => {
+  const localeChain = [locale]
+  const language = locale.split('-')[0]
+  if (language !== locale) {
+    localeChain.push(language)
+  }
+  localeChain.push('en')
+
+  for (const candidate of localeChain) {
+    const entry = catalogs[candidate]?.[entryType]?.[key]
+    if (entry !== undefined) {
+      return entry
+    }
+  }
+  // this is a programming error, not a user error
+  throw new Error(`Unknown message key '${key}'.`)
+}
+
+const interpolate = (template, params) =>
+  typeof template === 'function'
+    ? template(params)
+    : template.replaceAll(paramRe, (match, param) =>
+      params[param] === undefined ? match : String(params[param]))
+
+export { getMessage, getPhrase }
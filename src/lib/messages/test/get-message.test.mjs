@@ -0,0 +1,75 @@
+import { getMessage, getPhrase } from '../get-message'
+
+describe('getMessage', () => {
+  test.each([
+    ['REQUIRED', {}, { issue : 'is required' }],
+    [
+      'STRING_MAX_LENGTH',
+      { maxLength : 4 },
+      { issue : 'may be no more than 4 characters long' },
+    ],
+    ['STRING_ONE_OF', { oneOf : ['a'] }, { issue : "must be 'a'" }],
+    [
+      'STRING_ONE_OF',
+      { oneOf : ['a', 'b'] },
+      { issue : "must be one of 'a', 'b'" },
+    ],
+    [
+      'CARD_LENGTH_INVALID',
+      { lengths : [15, 16] },
+      {
+        issue : 'is an invalid length',
+        hint  : 'Card number must be 15, 16 digits long.',
+      },
+    ],
+    [
+      'RANGE_MAX',
+      { max : 10, min : 1 },
+      {
+        issue : 'is out of range',
+        hint  : "Value must be greater than or equal to '1' and less than or equal to '10'.",
+      },
+    ],
+    [
+      'RANGE_MIN',
+      { min : 1 },
+      {
+        issue : 'is out of range',
+        hint  : "Value must be greater than or equal to '1'.",
+      },
+    ],
+    [
+      'STRING_AFTER',
+      {},
+      { issue : "must be lexicographically after '{after}'" },
+    ],
+  ])('%s with params %p => %p', (key, params, expected) =>
+    expect(getMessage(key, params)).toEqual({
+      code : key,
+      params,
+      ...expected,
+    }))
+
+  test('omits the hint when a custom message replaces the generated message', () =>
+    expect(
+      getMessage('TYPE_INVALID', { receivedType : 'number' }, { message : 'foo' })
+    ).toEqual({
+      code   : 'TYPE_INVALID',
+      params : { receivedType : 'number' },
+      issue  : 'is wrong type',
+    }))
+
+  test('throws on unknown keys', () =>
+    expect(() => getMessage('NOT_A_KEY')).toThrow(
+      /Unknown message key 'NOT_A_KEY'/
+    ))
+})
+
+describe('getPhrase', () => {
+  test.each([
+    [['a'], 'a'],
+    [['a', 'b'], 'a, or b'],
+    [['a', 'b', 'c'], 'a, b, or c'],
+  ])('LIST_OR with %p => %s', (items, expected) =>
+    expect(getPhrase('LIST_OR', { items })).toBe(expected))
+})
@@ -1,28 +1,35 @@
+import { getPhrase } from './messages/get-message'
+
 const possibleBooleanValues = ({
+  locale,
   noAbbreviations,
   noNumeric,
   noYesNo,
   treatNegativeValuesAsFalse,
 }) => {
-  let response = 'true/false'
+  const values = ['true/false']
   if (noAbbreviations !== true) {
-    response += ', t/f'
+    values.push('t/f')
   }
   if (noYesNo !== true) {
-    response += ', yes/no'
+    values.push('yes/no')
     if (noAbbreviations !== true) {
-      response += ', y/n'
+      values.push('y/n')
     }
   }
   if (noNumeric !== true) {
-    response += ', '
-    if (treatNegativeValuesAsFalse === true) {
-      response += 'negative number-'
-    }
-    response += '0/positive number'
+    values.push(
+      getPhrase(
+        treatNegativeValuesAsFalse === true
+          ? 'BOOLEAN_NUMERIC_VALUES_NEGATIVE_FALSE'
+          : 'BOOLEAN_NUMERIC_VALUES',
+        {},
+        { locale }
+      )
+    )
   }
 
-  return response.replace(/(.+),([^,]+)+$/, '$1, or$2')
+  return getPhrase('LIST_OR', { items : values }, { locale })
 }
 
 export { possibleBooleanValues }
@@ -0,0 +1,97 @@
+import { CommonError } from 'standard-error-set'
+
+const maskableRe = /[\p{L}\p{N}]/gu
+
+// True if the 'sensitive' option, which defaults to 'defaultSensitive', is set. Types which are sensitive by default
+// (e.g., 'SSN') define 'sensitive' as true and pass it as 'defaultSensitive'.
+const usesRedaction = ({ sensitive } = {}, defaultSensitive = false) =>
+  (sensitive ?? defaultSensitive) === true
+
+// True if the errors from the type are redacted given its options. Types which are sensitive by default (e.g., 'SSN')
+// define 'sensitive' as true. Types which hold other types (e.g., 'List') define 'sensitive' as a function of the
+// options which is true when any of the held types are sensitive.
+const isSensitiveType = (type, options = {}) =>
+  typeof type === 'function'
+  && usesRedaction(
+    options,
+    typeof type.sensitive === 'function'
+      ? type.sensitive(options)
+      : type.sensitive === true
+  )
+
+// Masks the letters and digits in the value, leaving any separators. The last four are left visible when there are at
+// least eight, so '123-45-6789' becomes '***-**-6789'.
+const maskValue = (value) => {
+  const maskableCount = value.match(maskableRe)?.length || 0
+  let toMask = maskableCount >= 8 ? maskableCount - 4 : maskableCount
+
+  return value.replace(maskableRe, (char) => {
+    if (toMask === 0) {
+      return char
+    }
+    toMask -= 1
+
+    return '*'
+  })
+}
+
+// Matches the value in error text. Values with at least eight letters and digits are also matched with any (or no)
+// separators between the letters and digits so that the converted value, like '123-45-6789' for the input
+// '123456789', is masked too. Shorter values are only matched as is to avoid masking unrelated words.
+const getValueRe = (value) => {
+  const maskable = value.match(maskableRe) || []
+
+  return maskable.length >= 8
+    ? new RegExp(maskable.join('[^\\p{L}\\p{N}]*'), 'giu')
+    : new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g')
+}
+
+// True when the type function is called by 'redactErrors'. The "did you mean" suggestions are skipped then since
+// they're built from the input and would reveal it. Types which hold other types pass the 'redacting' option on.
+const isRedacting = ({ redacting } = {}) => redacting === true
+
+// Implements the 'sensitive' option by calling the type function with 'sensitive' off and then masking the value in
+// any error (and any collected errors) it throws.
+const redactErrors = (type, input, options) => {
+  try {
+    return type(input, { ...options, redacting : true, sensitive : false })
+  }
+  catch (error) {
+    redactError(error)
+    throw error
+  }
+}
+
+// Masks the argument value in a standard error and any errors it collected. Other errors and errors which have already
+// been redacted (e.g., by a type held in a 'List') are left as is.
+const redactError = (error) => {
+  if (!(error instanceof CommonError) || error.sensitive === true) {
+    return
+  }
+
+  const { argumentValue } = error
+  if (typeof argumentValue === 'string' && argumentValue.trim() !== '') {
+    const valueRe = getValueRe(argumentValue)
+    for (const field of ['hint', 'issue', 'message']) {
+      if (typeof error[field] === 'string') {
+        error[field] = error[field].replace(valueRe, (match) =>
+          maskValue(match))
+      }
+    }
+    error.argumentValue = maskValue(argumentValue)
+  }
+  error.sensitive = true
+
+  for (const collectedError of error.errors || []) {
+    redactError(collectedError)
+  }
+}
+
+export {
+  isRedacting,
+  isSensitiveType,
+  maskValue,
+  redactError,
+  redactErrors,
+  usesRedaction
+}
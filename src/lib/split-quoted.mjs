@@ -0,0 +1,92 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { getMessage } from './messages/get-message'
+
+// Throws if the separator is empty, since splitting on the empty string would never advance. 'name' is the name of the
+// separator option, like "items' option 'separator".
+const checkSeparator = ({ locale, name, separator }) => {
+  if (separator === '') {
+    throw new ArgumentInvalidError({
+      argumentName  : name,
+      argumentValue : separator,
+      ...getMessage('SEPARATOR_EMPTY', {}, { locale }),
+      status        : 500,
+    })
+  }
+}
+
+// Splits the input on the separator, ignoring any separators which are quoted or escaped. The resulting segments are
+// 'raw'; quotes and escapes are preserved so that segments may be split again. Use 'unquote()' to get the final text.
+const splitQuoted = ({
+  escape,
+  input,
+  name,
+  quote,
+  separator,
+  separatorName = 'separator',
+  ...options
+}) => {
+  checkSeparator({
+    locale : options.locale,
+    name   : `${name}' option '${separatorName}`,
+    separator,
+  })
+
+  const segments = []
+  let segment = ''
+  let quoted = false
+  let i = 0
+  while (i < input.length) {
+    const char = input.charAt(i)
+    if (char === escape && i + 1 < input.length) {
+      segment += char + input.charAt(i + 1)
+      i += 2
+    }
+    else if (quoted === false && input.startsWith(separator, i)) {
+      segments.push(segment)
+      segment = ''
+      i += separator.length
+    }
+    else {
+      if (char === quote) {
+        quoted = !quoted
+      }
+      segment += char
+      i += 1
+    }
+  }
+
+  if (quoted === true) {
+    throw new ArgumentInvalidError({
+      argumentName  : name,
+      argumentValue : input,
+      ...getMessage('QUOTE_UNTERMINATED', { escape, quote }, options),
+      ...options,
+    })
+  }
+  segments.push(segment)
+
+  return segments
+}
+
+const unquote = ({ escape, input, quote }) => {
+  let result = ''
+  let i = 0
+  while (i < input.length) {
+    const char = input.charAt(i)
+    if (char === escape && i + 1 < input.length) {
+      result += input.charAt(i + 1)
+      i += 2
+    }
+    else {
+      if (char !== quote) {
+        result += char
+      }
+      i += 1
+    }
+  }
+
+  return result
+}
+
+export { checkSeparator, splitQuoted, unquote }
@@ -1,10 +1,11 @@
 import { checkRequired } from './check-required'
+import { cleanInput } from './clean-input'
 import { typeChecks } from './type-checks'
 
 const standardChecks = (options) => {
   typeChecks(options)
   // 'typeChecks()' guarantees we have a string, so this is safe
-  options.input = options.input.trim()
+  options.input = cleanInput(options)
 
   checkRequired(options)
 
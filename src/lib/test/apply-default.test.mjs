@@ -0,0 +1,132 @@
+import {
+  ArgumentInvalidError,
+  ArgumentMissingError,
+  ArgumentOutOfRangeError
+} from 'standard-error-set'
+
+import { Day } from '../../day'
+import { defineType } from '../../define-type'
+import { Integer } from '../../integer'
+import { List } from '../../list'
+import { TimeOfDay } from '../../time-of-day'
+
+describe('default option', () => {
+  test.each([
+    [Integer, '8080', 8080],
+    [List, '1, 2', [1, 2], { elementType : Integer }],
+    [
+      defineType({
+        convert     : (input) => input.toUpperCase(),
+        description : 'Upper',
+      }),
+      'foo',
+      'FOO',
+    ],
+  ])(
+    '%s parses string default %p',
+    (type, defaultValue, expected, options = {}) =>
+      expect(type('', { ...options, default : defaultValue })).toEqual(expected)
+  )
+
+  test('parses a string default with the type', () =>
+    expect(Day(' ', { default : '2024-01-15' }).getDayOfMonth()).toBe(15))
+
+  test('uses the input when not empty', () =>
+    expect(Integer('12', { default : '8080' })).toBe(12))
+
+  test('uses status 500 for bad string defaults', () => {
+    let error
+    try {
+      Integer('', { name : 'port', default : 'foo' })
+    }
+    catch (thrown) {
+      error = thrown
+    }
+    expect(error).toBeInstanceOf(ArgumentInvalidError)
+    expect(error.status).toBe(500)
+  })
+
+  test('applies constraints to string defaults', () =>
+    expect(() => Integer('', { name : 'port', default : '0', min : 1 })).toThrow(
+      ArgumentOutOfRangeError
+    ))
+
+  test.each([
+    [
+      Integer,
+      '0',
+      { min : 1 },
+      /^Command argument 'foo' option 'default' constraint 'min'/,
+    ],
+    [
+      Integer,
+      'x',
+      {},
+      /^Command argument 'foo' option 'default' with value 'x' does not appear/,
+    ],
+    [
+      TimeOfDay,
+      '18:00',
+      { max : '17:00' },
+      /^Command argument 'foo' option 'default' constraint 'max'/,
+    ],
+  ])(
+    '%s names string default %p with options %p in errors',
+    (type, defaultValue, options, errorMatch) => {
+      const { error } = type.safe('', {
+        name    : 'foo',
+        default : defaultValue,
+        ...options,
+      })
+      expect(error.message).toMatch(errorMatch)
+      expect(error.status).toBe(500)
+    }
+  )
+
+  test('returns a value default as is', () =>
+    expect(Integer('', { default : 3, max : 5 })).toBe(3))
+
+  test.each([
+    [Integer, 10, { max : 5 }],
+    [Integer, 0, { min : 1 }],
+    [TimeOfDay, TimeOfDay('18:00'), { max : '17:00' }],
+    [Day, new Date(2023, 0, 1), { min : '2024-01-01' }],
+  ])(
+    '%s rejects value default %p with options %p',
+    (type, defaultValue, options) => {
+      let error
+      try {
+        type('', { name : 'foo', default : defaultValue, ...options })
+      }
+      catch (thrown) {
+        error = thrown
+      }
+      expect(error).toBeInstanceOf(ArgumentOutOfRangeError)
+      expect(error.status).toBe(500)
+      expect(error.message).toMatch(
+        /^Command argument 'foo' option 'default' constraint '(?:max|min)'/
+      )
+    }
+  )
+
+  test('checks value defaults with validateValue', () =>
+    expect(() =>
+      Integer('', {
+        name          : 'foo',
+        default       : 3,
+        validateValue : (value) => value % 2 === 0 || 'must be even',
+      })).toThrow(/Command argument 'foo' option 'default'.*?must be even/))
+
+  test("satisfies 'required'", () => {
+    expect(Integer('', { default : '1', required : true })).toBe(1)
+    expect(() => Integer('', { required : true })).toThrow(ArgumentMissingError)
+  })
+
+  test('works with async', async () =>
+    expect(
+      await Integer.async('', {
+        default       : '4',
+        validateValue : async (value) => value % 2 === 0,
+      })
+    ).toBe(4))
+})
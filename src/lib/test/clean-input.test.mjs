@@ -0,0 +1,63 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { cleanInput } from '../clean-input'
+import { Integer } from '../../integer'
+
+describe('cleanInput', () => {
+  test.each([
+    [' a  b ', {}, 'a  b'],
+    [' a  b ', { whitespace : 'preserve' }, ' a  b '],
+    [' a  b ', { collapseWhitespace : true }, 'a b'],
+    [
+      ' a \t\n b ',
+      { collapseWhitespace : true, whitespace : 'preserve' },
+      ' a b ',
+    ],
+    ['  ', { whitespace : 'preserve' }, ''],
+    ['  ', { whitespace : 'reject' }, ''],
+    ['a\u200Bb\u2060c\uFEFF', { stripInvisible : true }, 'abc'],
+    ['\u202Eabc\u202C', { stripInvisible : true }, 'abc'],
+    ['\u200B', { stripInvisible : true, whitespace : 'reject' }, ''],
+    ['a\u200Bb', {}, 'a\u200Bb'],
+    ['e\u0301', { normalize : 'NFC' }, 'é'],
+    ['é', { normalize : 'NFD' }, 'e\u0301'],
+    ['\uFF11\uFF12', { normalize : 'NFKC' }, '12'],
+    ['\u00A0a\u00A0', { normalize : 'NFKC', whitespace : 'preserve' }, ' a '],
+  ])('%p with options %p => %p', (input, options, expected) =>
+    expect(cleanInput({ ...options, input, name : 'foo' })).toBe(expected))
+
+  test("rejects surrounding whitespace with 'whitespace' 'reject'", () => {
+    let error
+    try {
+      cleanInput({ input : 'a ', name : 'foo', whitespace : 'reject' })
+    }
+    catch (thrown) {
+      error = thrown
+    }
+    expect(error).toBeInstanceOf(ArgumentInvalidError)
+    expect(error.status).toBe(400)
+    expect(error.message).toMatch(
+      /^Command argument 'foo' .*contains disallowed leading or trailing space/
+    )
+  })
+
+  test.each([
+    ['normalize', 'NFX', "must be one of 'NFC', 'NFD', 'NFKC', 'NFKD'"],
+    ['whitespace', 'keep', "must be one of 'preserve', 'reject', 'trim'"],
+  ])("rejects an invalid '%s' option", (option, value, issue) => {
+    let error
+    try {
+      cleanInput({ input : 'a', name : 'foo', [option] : value })
+    }
+    catch (thrown) {
+      error = thrown
+    }
+    expect(error.status).toBe(500)
+    expect(error.message).toMatch(issue)
+  })
+
+  test('applies to the default and type functions', () => {
+    expect(Integer('\u200B', { default : 3, stripInvisible : true })).toBe(3)
+    expect(Integer('\uFF11\uFF12', { normalize : 'NFKC' })).toBe(12)
+  })
+})
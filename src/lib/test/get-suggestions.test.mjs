@@ -0,0 +1,44 @@
+import { getEditDistance, getSuggestions } from '../get-suggestions'
+
+describe('getEditDistance', () => {
+  test.each([
+    ['', '', 0],
+    ['abc', '', 3],
+    ['abc', 'abc', 0],
+    ['abc', 'abd', 1],
+    ['abc', 'abcd', 1],
+    ['ture', 'true', 1],
+    ['kitten', 'sitting', 3],
+  ])('%p to %p is %p', (a, b, expected) =>
+    expect(getEditDistance(a, b)).toBe(expected))
+})
+
+describe('getSuggestions', () => {
+  const environments = ['production', 'staging', 'development', 'devops']
+
+  test.each([
+    ['stagin', ['staging']],
+    ['STAGING', ['staging']],
+    ['prodution', ['production']],
+    ['dev', ['development', 'devops']],
+    ['de', []],
+    ['xyz', []],
+  ])('%p -> %p', (input, expected) =>
+    expect(getSuggestions(input, environments)).toEqual(expected))
+
+  test.each([
+    ['x', ['a', 'b', 'c'], []],
+    ['A', ['a', 'b', 'c'], ['a']],
+    ['x', ['ab', 'xy'], ['xy']],
+  ])('with short candidates, %p in %p -> %p', (input, candidates, expected) =>
+    expect(getSuggestions(input, candidates)).toEqual(expected))
+
+  test('prefers case differences over typos', () =>
+    expect(getSuggestions('Jan', ['Jun', 'jan'])).toEqual(['jan']))
+
+  test("returns at most 'max' suggestions", () =>
+    expect(getSuggestions('ab', ['aa', 'bb', 'cb', 'db'], { max : 2 })).toEqual([
+      'aa',
+      'bb',
+    ]))
+})
@@ -0,0 +1,138 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { Email } from '../../email'
+import { Integer } from '../../integer'
+import { KeyValueMap } from '../../key-value-map'
+import { List } from '../../list'
+import { Union } from '../../union'
+import { ValidatedString } from '../../validated-string'
+import { makeAsync } from '../make-async'
+
+describe('makeAsync', () => {
+  const asyncInteger = makeAsync(Integer)
+  const takenIDs = [1, 2, 3]
+  const validateValue = async (value) =>
+    takenIDs.includes(value) === true ? 'is already taken' : true
+
+  test('resolves to the value when the async validation passes', async () =>
+    expect(await asyncInteger('12', { name : 'id', validateValue })).toBe(12))
+
+  test('resolves to undefined for the empty string', async () =>
+    expect(await asyncInteger('', { validateValue })).toBe(undefined))
+
+  test.each([
+    [
+      { validateValue },
+      "argument 'id' type 'string<integer>' with value '2' is already taken",
+    ],
+    [
+      { validateInput : async () => false },
+      "argument 'id' type 'string<integer>' with value '2' failed custom input validation",
+    ],
+    [
+      { validateValue : async () => undefined },
+      "argument 'id' type 'string<integer>' with value '2' failed custom value validation",
+    ],
+  ])(
+    'options %p rejects with error matching %s',
+    async (options, errorMatch) => {
+      const result = asyncInteger('2', { name : 'id', ...options })
+      await expect(result).rejects.toThrow(ArgumentInvalidError)
+      await expect(result).rejects.toThrow(errorMatch)
+    }
+  )
+
+  test('synchronous validation functions are also supported', async () =>
+    expect(
+      asyncInteger('2', { name : 'id', validateValue : () => 'is no good' })
+    ).rejects.toThrow(/is no good/))
+
+  test('built-in checks fail before the custom validation functions are called', async () => {
+    const validateInput = jest.fn(async () => true)
+    await expect(
+      asyncInteger('20', { name : 'id', max : 10, validateInput })
+    ).rejects.toThrow(/constraint 'max'/)
+    expect(validateInput).not.toHaveBeenCalled()
+  })
+
+  test('validation functions are passed the original options and input', async () => {
+    const validateInput = jest.fn(async () => true)
+    await asyncInteger(' 12 ', { name : 'id', foo : 'bar', validateInput })
+    expect(validateInput).toHaveBeenCalledWith(
+      '12',
+      expect.objectContaining({
+        foo   : 'bar',
+        input : '12',
+        name  : 'id',
+        validateInput,
+      })
+    )
+  })
+
+  test('works with Email result validation', async () => {
+    const asyncEmail = makeAsync(Email)
+    const validateValue = async ({ username }) =>
+      username === 'blocked' ? 'is on the suppression list' : true
+
+    expect(
+      (await asyncEmail('john@foo.com', { name : 'email', validateValue }))
+        .address
+    ).toBe('john@foo.com')
+    await expect(
+      asyncEmail('blocked@foo.com', { name : 'email', validateValue })
+    ).rejects.toThrow(
+      "argument 'email' with value 'blocked@foo.com' is on the suppression list"
+    )
+  })
+
+  test("masks the input in async validation errors with 'sensitive'", async () => {
+    const asyncString = makeAsync(ValidatedString)
+    const validateInput = async () => 'is a known password'
+    await expect(
+      asyncString('hunter2', { name : 'password', validateInput })
+    ).rejects.toThrow(/with value 'hunter2'/)
+    await expect(
+      asyncString('hunter2', {
+        name      : 'password',
+        sensitive : true,
+        validateInput,
+      })
+    ).rejects.toThrow(/with value '\*{7}' is a known password/)
+  })
+
+  test('awaits the validation functions of nested types', async () => {
+    const elementOptions = { validateValue : async (value) => value !== 'b' }
+    expect(
+      await makeAsync(List)('a,c', {
+        name        : 'ids',
+        elementType : ValidatedString,
+        elementOptions,
+      })
+    ).toEqual(['a', 'c'])
+    await expect(
+      makeAsync(List)('a,b', {
+        name        : 'ids',
+        elementType : ValidatedString,
+        elementOptions,
+      })
+    ).rejects.toThrow(
+      "argument 'ids[1]' type 'string' with value 'b' failed custom value validation"
+    )
+    await expect(
+      makeAsync(KeyValueMap)('a=1,b=2', {
+        name         : 'map',
+        valueOptions : { validateInput : async (input) => input === '1' },
+      })
+    ).rejects.toThrow("argument 'map.b' type 'string' with value '2'")
+  })
+
+  test('rejects async validation functions in union types', async () =>
+    expect(
+      makeAsync(Union)('a', {
+        name  : 'id',
+        types : [{ type : ValidatedString, validateInput : async () => true }],
+      })
+    ).rejects.toThrow(
+      "argument 'id' option 'validateInput' returned a Promise when called synchronously"
+    ))
+})
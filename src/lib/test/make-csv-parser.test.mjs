@@ -0,0 +1,87 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { makeCSVParser } from '../make-csv-parser'
+
+const parse = (chunks, { delimiter = ',', quote = '"' } = {}) => {
+  const parser = makeCSVParser({ delimiter, name : 'CSV', quote })
+  const records = []
+  for (const chunk of chunks) {
+    records.push(...parser.write(chunk))
+  }
+  records.push(...parser.end())
+
+  return records
+}
+
+describe('makeCSVParser', () => {
+  test.each([
+    [
+      'a,b\n1,2\n',
+      [
+        ['a', 'b'],
+        ['1', '2'],
+      ],
+    ],
+    [
+      'a,b\r\n1,2',
+      [
+        ['a', 'b'],
+        ['1', '2'],
+      ],
+    ],
+    [
+      'a,b\r1,2\r',
+      [
+        ['a', 'b'],
+        ['1', '2'],
+      ],
+    ],
+    ['a,,\n', [['a', '', '']]],
+    ['"a,b","c""d"\n', [['a,b', 'c"d']]],
+    ['"a\nb",c\n', [['a\nb', 'c']]],
+    ['"",x', [['', 'x']]],
+    ['a\n\n\r\nb\n', [['a'], ['b']]],
+    ['a "b" c,d', [['a "b" c', 'd']]],
+  ])('%p -> %p', (input, expected) =>
+    expect(parse([input]).map(({ fields }) => fields)).toEqual(expected))
+
+  test('handles records, quotes, and CRLF split across chunks', () =>
+    expect(
+      parse(['a,"b', '""c",', 'd\r', '\ne,f']).map(({ fields }) => fields)
+    ).toEqual([
+      ['a', 'b"c', 'd'],
+      ['e', 'f'],
+    ]))
+
+  test('numbers the records, skipping blank lines', () =>
+    expect(parse(['a\n\nb\n"c\nd"\ne']).map(({ row }) => row)).toEqual([
+      1, 2, 3, 4,
+    ]))
+
+  test('supports other delimiters and quotes', () =>
+    expect(
+      parse(["a\t'b\tc'\n"], { delimiter : '\t', quote : "'" }).map(
+        ({ fields }) => fields
+      )
+    ).toEqual([['a', 'b\tc']]))
+
+  test('rejects an unterminated quote', () =>
+    expect(() => parse(['a\n"b,c\n'])).toThrow(
+      /^Row 2: Command argument 'CSV' has an unterminated quoted field/
+    ))
+
+  test('rejects characters after a closing quote', () => {
+    let error
+    try {
+      parse(['a\nb\n"c"d\n'])
+    }
+    catch (thrown) {
+      error = thrown
+    }
+    expect(error).toBeInstanceOf(ArgumentInvalidError)
+    expect(error.row).toBe(3)
+    expect(error.message).toMatch(
+      /unexpected characters after the closing quote/
+    )
+  })
+})
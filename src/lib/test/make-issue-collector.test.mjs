@@ -0,0 +1,64 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { makeIssueCollector } from '../make-issue-collector'
+
+describe('makeIssueCollector', () => {
+  const error1 = new ArgumentInvalidError({
+    argumentName : 'foo',
+    issue        : 'is bad',
+  })
+  const error2 = new ArgumentInvalidError({
+    argumentName : 'foo',
+    issue        : 'is worse',
+    hint         : 'Try harder.',
+  })
+
+  test('throws immediately by default', () => {
+    const issues = makeIssueCollector({ name : 'foo', input : 'bar' })
+    expect(() => issues.add(error1)).toThrow(error1)
+  })
+
+  test('does nothing when there are no issues', () => {
+    const issues = makeIssueCollector({ collectAllIssues : true })
+    issues.check(() => {})
+    expect(() => issues.throwIfAny()).not.toThrow()
+  })
+
+  test('throws a single issue as is', () => {
+    const issues = makeIssueCollector({ collectAllIssues : true })
+    issues.add(error1)
+    expect(() => issues.throwIfAny()).toThrow(error1)
+  })
+
+  test('combines multiple issues', () => {
+    const issues = makeIssueCollector({
+      collectAllIssues : true,
+      name             : 'foo',
+      input            : 'bar',
+    })
+    issues.add(error1)
+    issues.check(() => {
+      throw error2
+    })
+
+    try {
+      issues.throwIfAny()
+      throw new Error('did not throw')
+    }
+    catch (e) {
+      expect(e).toBeInstanceOf(ArgumentInvalidError)
+      expect(e.errors).toEqual([error1, error2])
+      expect(e.message).toBe(
+        "Command argument 'foo' with value 'bar' has 2 issues. (1) Command argument 'foo' is bad. (2) Command argument 'foo' is worse. Try harder."
+      )
+    }
+  })
+
+  test('check rethrows non-validation errors', () => {
+    const issues = makeIssueCollector({ collectAllIssues : true })
+    expect(() =>
+      issues.check(() => {
+        throw new Error('boom')
+      })).toThrow('boom')
+  })
+})
@@ -0,0 +1,46 @@
+import { ArgumentInvalidError, ArgumentMissingError } from 'standard-error-set'
+
+import { Integer } from '../../integer'
+import { makeSafe } from '../make-safe'
+
+describe('makeSafe', () => {
+  const safeInteger = makeSafe(Integer)
+
+  test('returns the value on success', () =>
+    expect(safeInteger('12', { name : 'foo' })).toEqual({
+      ok    : true,
+      value : 12,
+      error : undefined,
+    }))
+
+  test('returns undefined value for the empty string', () =>
+    expect(safeInteger('')).toEqual({
+      ok    : true,
+      value : undefined,
+      error : undefined,
+    }))
+
+  test.each([
+    ['abc', {}, ArgumentInvalidError, 'does not appear to be an integer'],
+    ['', { required : true }, ArgumentMissingError, 'is required'],
+  ])(
+    'input %p with options %p returns %p error matching %s',
+    (input, options, errorClass, errorMatch) => {
+      const { ok, value, error } = safeInteger(input, {
+        name : 'foo',
+        ...options,
+      })
+      expect(ok).toBe(false)
+      expect(value).toBe(undefined)
+      expect(error).toBeInstanceOf(errorClass)
+      expect(error.message).toMatch(new RegExp("argument 'foo'.*" + errorMatch))
+    }
+  )
+
+  test('rethrows non-validation errors', () => {
+    const safeBroken = makeSafe(() => {
+      throw new Error('boom')
+    })
+    expect(() => safeBroken('foo')).toThrow('boom')
+  })
+})
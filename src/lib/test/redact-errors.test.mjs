@@ -0,0 +1,135 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { BooleanString } from '../../boolean-string'
+import { CardNumber } from '../../card-number'
+import { DateTime } from '../../date-time'
+import { Day } from '../../day'
+import { Enum } from '../../enum'
+import { List } from '../../list'
+import { SSN } from '../../ssn'
+import { ValidatedString } from '../../validated-string'
+import { maskValue, redactErrors, usesRedaction } from '../redact-errors'
+
+describe('maskValue', () => {
+  test.each([
+    ['123-45-6789', '***-**-6789'],
+    ['4111111111111111', '************1111'],
+    ['4111 1111 1111 1111', '**** **** **** 1111'],
+    ['abcdefgh', '****efgh'],
+    ['hunter2', '*******'],
+    ['a-b', '*-*'],
+  ])('%s -> %s', (value, expected) => expect(maskValue(value)).toBe(expected))
+})
+
+describe('usesRedaction', () => {
+  test.each([
+    [{}, undefined, false],
+    [{}, true, true],
+    [{ sensitive : true }, undefined, true],
+    [{ sensitive : false }, true, false],
+  ])(
+    'options %p with default %p -> %p',
+    (options, defaultSensitive, expected) =>
+      expect(usesRedaction(options, defaultSensitive)).toBe(expected)
+  )
+})
+
+describe('redactErrors', () => {
+  test('returns the value when valid', () =>
+    expect(redactErrors(ValidatedString, 'foo', { name : 'foo' })).toBe('foo'))
+
+  test('masks the message, issue, hint, and argumentValue', () => {
+    let error
+    try {
+      redactErrors(ValidatedString, 'secret-word', {
+        name          : 'password',
+        validateInput : () => "must not be 'secret-word'",
+      })
+    }
+    catch (thrown) {
+      error = thrown
+    }
+    expect(error).toBeInstanceOf(ArgumentInvalidError)
+    expect(error.argumentValue).toBe('******-word')
+    expect(error.issue).toBe("must not be '******-word'")
+    expect(error.message).not.toMatch(/secret/)
+    expect(error.sensitive).toBe(true)
+  })
+
+  test('masks collected errors', () => {
+    const { error } = CardNumber.safe('4111-1111-1111-1112', {
+      collectAllIssues : true,
+      lengths          : [15],
+      name             : 'card',
+    })
+    expect(error.errors).toHaveLength(2)
+    for (const { argumentValue, message } of [error, ...error.errors]) {
+      expect(argumentValue).toBe('****-****-****-1112')
+      expect(message).not.toMatch(/4111/)
+    }
+  })
+
+  test.each([
+    [SSN, '123456789', '123-45-6789', '*****6789', '***-**-6789'],
+    [
+      CardNumber,
+      '4111 1111 1111 1111',
+      '4111111111111111',
+      '**** **** **** 1111',
+      '************1111',
+    ],
+  ])(
+    '%s masks the converted value in custom issues',
+    (type, input, value, masked, maskedValue) => {
+      const { error } = type.safe(input, {
+        name          : 'foo',
+        validateValue : (value) => `${value} is blocked`,
+      })
+      expect(error.argumentValue).toBe(masked)
+      expect(error.message).not.toMatch(value)
+      expect(error.issue).toBe(`${maskedValue} is blocked`)
+    }
+  )
+
+  test.each([
+    [Day, '15 Janury 1980', {}],
+    [DateTime, '15 Janury 1980 12:00', {}],
+    [BooleanString, 'ture', {}],
+    [ValidatedString, 'hunter3', { oneOf : ['hunter2'] }],
+    [Enum, 'hunter3', { values : ['hunter2'] }],
+    [
+      List,
+      'hunter3',
+      { elementType : ValidatedString, elementOptions : { oneOf : ['hunter2'] } },
+    ],
+  ])('%s skips suggestions for %p', (type, input, options) => {
+    const { error: plainError } = type.safe(input, { name : 'foo', ...options })
+    expect(plainError.hint).toMatch(/Did you mean/)
+
+    const { error } = type.safe(input, {
+      name      : 'foo',
+      sensitive : true,
+      ...options,
+    })
+    expect(error.sensitive).toBe(true)
+    expect(error.hint || '').not.toMatch(/Did you mean/)
+    expect(error.params?.suggestions || []).toEqual([])
+    expect(error.message).not.toMatch(/Did you mean/)
+  })
+
+  test('masks short values only as is', () => {
+    const { error } = ValidatedString.safe('ab', {
+      name          : 'code',
+      sensitive     : true,
+      validateInput : () => "'ab' is not a-b",
+    })
+    expect(error.issue).toBe("'**' is not a-b")
+  })
+
+  test('passes through non-standard errors', () => {
+    const type = () => {
+      throw new Error('secret')
+    }
+    expect(() => redactErrors(type, 'secret', {})).toThrow(/^secret$/)
+  })
+})
@@ -0,0 +1,38 @@
+import { splitQuoted } from '../split-quoted'
+
+describe('splitQuoted', () => {
+  test.each([
+    ['a,b', {}, ['a', 'b']],
+    ['"a,b",c', {}, ['"a,b"', 'c']],
+    ['a\\,b,c', {}, ['a\\,b', 'c']],
+    ['a :: b', { separator : ' :: ' }, ['a', 'b']],
+  ])('%s with options %p => %p', (input, options, expected) =>
+    expect(
+      splitQuoted({
+        escape    : '\\',
+        input,
+        name      : 'foo',
+        quote     : '"',
+        separator : ',',
+        ...options,
+      })
+    ).toEqual(expected))
+
+  test('rejects an empty separator with status 500', () => {
+    expect.assertions(2)
+    try {
+      splitQuoted({
+        input         : 'a,b',
+        name          : 'foo',
+        separator     : '',
+        separatorName : 'kvSeparator',
+      })
+    }
+    catch (error) {
+      expect(error.message).toMatch(
+        /argument 'foo' option 'kvSeparator' with value '' must not be empty/
+      )
+      expect(error.status).toBe(500)
+    }
+  })
+})
@@ -1,10 +1,12 @@
 import { ArgumentMissingError, ArgumentTypeError } from 'standard-error-set'
 
+import { getMessage } from './messages/get-message'
+
 const typeChecks = ({ input, name, ...options }) => {
   if (input === undefined || input === null) {
     throw new ArgumentMissingError({
-      argumentName  : name,
-      argumentValue : input,
+      argumentName : name,
+      ...getMessage('MISSING', { received : String(input) }, options),
       ...options,
     })
   }
@@ -12,7 +14,11 @@ const typeChecks = ({ input, name, ...options }) => {
     throw new ArgumentTypeError({
       argumentName : name,
       argumentType : 'string',
-      receivedType : typeof input,
+      ...getMessage(
+        'TYPE_INVALID',
+        { argumentType : 'string', receivedType : typeof input },
+        options
+      ),
       ...options,
     })
   }
@@ -1,15 +1,35 @@
 import { ArgumentInvalidError } from 'standard-error-set'
 
+import { getMessage } from './messages/get-message'
+
 const validateHelper = ({ validationArgs, validationFunc, validationType }) => {
   if (validationFunc === undefined) return
 
   const result = validationFunc(...validationArgs)
+  if (typeof result?.then === 'function') {
+    const { locale, name } = validationArgs[1]
+    throw new ArgumentInvalidError({
+      argumentName : `${name}' option '${validationType === 'input' ? 'validateInput' : 'validateValue'}`,
+      ...getMessage('CUSTOM_VALIDATION_ASYNC', {}, { locale }),
+      status       : 500,
+    })
+  }
+  checkValidationResult({ result, validationArgs, validationType })
+}
+
+const checkValidationResult = ({ result, validationArgs, validationType }) => {
   const { input, name, type, ...options } = validationArgs[1]
+  const key =
+    validationType === 'input'
+      ? 'CUSTOM_INPUT_VALIDATION_FAILED'
+      : 'CUSTOM_VALUE_VALIDATION_FAILED'
   if (typeof result === 'string') {
+    // the custom issue replaces the catalog message, but we keep the code
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentType  : type,
       argumentValue : input,
+      ...getMessage(key, {}, options),
       issue         : result,
       ...options,
     })
@@ -19,10 +39,10 @@ const validateHelper = ({ validationArgs, validationFunc, validationType }) => {
       argumentName  : name,
       argumentType  : type,
       argumentValue : input,
-      issue         : `failed custom ${validationType} validation`,
+      ...getMessage(key, {}, options),
       ...options,
     })
   }
 }
 
-export { validateHelper }
+export { checkValidationResult, validateHelper }
@@ -0,0 +1,223 @@
+import { ArgumentInvalidError, ArgumentTypeError } from 'standard-error-set'
+
+import { applyDefault, usesDefault } from './lib/apply-default'
+import { checkValidateInput } from './lib/check-validate-input'
+import { checkValidateValue } from './lib/check-validate-value'
+import {
+  describeConstraints,
+  describeIf,
+  describeRange,
+  describeType
+} from './lib/describe'
+import { makeAsync } from './lib/make-async'
+import { makeSafe } from './lib/make-safe'
+import { getMessage } from './lib/messages/get-message'
+import { isSensitiveType, redactErrors } from './lib/redact-errors'
+import { sanitizeOptions } from './lib/sanitize-options'
+import { checkSeparator, splitQuoted, unquote } from './lib/split-quoted'
+import { standardChecks } from './lib/standard-checks'
+
+/**
+ * Parses and validates a delimited list of items, like 'a@foo.com,b@bar.com', where each item is parsed and validated
+ * by the `elementType` function (`Email`, `Integer`, `Day`, etc.). Items may be quoted (e.g., '"Smith, John",Jane')
+ * and individual characters may be escaped (e.g., 'Smith\, John') in order to include the separator in an item. Empty
+ * items, like in 'a,,b' are ignored unless `elementOptions.required` is `true`.
+ *
+ * Each item is named by its index when reporting errors. E.g., the third item of the `emails` argument is named
+ * 'emails[2]'. Unless specified in `elementOptions`, the `endpointType`, `locale`, and `status` options are passed to
+ * the element type.
+ * @param {string} input - The input string.
+ * @param {object} options - The validation options.
+ * @param {string} options.name - The 'name' by which to refer to the input when generating error messages for the user.
+ * @param {number} [options.status = 400] - The HTTP status to use when throwing `ArgumentInvalidError` errors.
+ *   This can be used to mark arguments specified by in code or configurations without user input.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {*} [options.default = undefined] - The value to use when the input is empty. A string default is parsed
+ *   and validated just like the input, while any other default is checked against any `min`/`max` constraints and the
+ *   `validateValue` function. See [default values](#default-values).
+ * @param {string} [options.whitespace = 'trim'] - How to handle leading and trailing whitespace; 'trim' removes it,
+ *   'reject' rejects input containing it, and 'preserve' keeps it. See
+ *   [whitespace and normalization](#whitespace-and-normalization).
+ * @param {string} [options.normalize = undefined] - The Unicode normalization form applied to the input; 'NFC',
+ *   'NFD', 'NFKC', or 'NFKD'.
+ * @param {boolean} [options.collapseWhitespace = false] - If true, each run of whitespace within the input is
+ *   replaced by a single space.
+ * @param {boolean} [options.stripInvisible = false] - If true, zero-width and bidirectional control characters are
+ *   removed from the input.
+ * @param {boolean} [options.sensitive = false] - If true, the input is masked in any error messages and properties.
+ *   Defaults to true when the element type is sensitive. See [sensitive values](#sensitive-values).
+ * @param {boolean} [options.required = false] - If true, then the empty string is rejected and `ArgumentMissingError`
+ *   is thrown.
+ * @param {Function} options.elementType - The type function used to parse and validate each item.
+ * @param {object} [options.elementOptions = {}] - The options passed to the `elementType` function.
+ * @param {string} [options.escape = '\\'] - The escape character. Set to the empty string to disable escaping.
+ * @param {number} [options.maxItems = undefined] - The maximum number of items.
+ * @param {number} [options.minItems = undefined] - The minimum number of items.
+ * @param {string} [options.quote = '"'] - The quote character. Set to the empty string to disable quoting.
+ * @param {string} [options.separator = ','] - The string separating items.
+ * @param {boolean} [options.unique = false] - If true, then duplicate items are rejected. Items are compared by their
+ *   primitive value (e.g., a `Day` is compared by its date) or, for objects without a primitive value (like `Email`
+ *   results), their JSON representation.
+ * @param {Function} [options.validateInput = undefined] - A custom validation function which looks at the original
+ *   input string. See the [custom validation functions](#custom-validation-functions) section for details on input and
+ *   return values.
+ * @param {Function} [options.validateValue = undefined] - A custom validation function which looks at the transformed
+ *   value. See the [custom validation functions](#custom-validation-functions) section for details on input and return
+ *   values.
+ * @returns {Array.<*>} An array of the parsed items.
+ */
+const List = function (input, options = this || {}) {
+  if (isSensitiveType(List, options)) {
+    return redactErrors(List, input, options)
+  }
+  if (usesDefault(input, options)) {
+    return applyDefault(List, options)
+  }
+
+  const {
+    elementOptions = {},
+    elementType,
+    escape = '\\',
+    maxItems,
+    minItems,
+    name,
+    quote = '"',
+    separator = ',',
+    unique = false,
+  } = options
+
+  options = sanitizeOptions(options)
+
+  input = standardChecks({ ...options, input, name })
+  if (input === '') {
+    return undefined
+  }
+
+  if (typeof elementType !== 'function') {
+    throw new ArgumentTypeError({
+      argumentName : `${name}' option 'elementType`,
+      argumentType : 'function',
+      ...getMessage(
+        'TYPE_INVALID',
+        { argumentType : 'function', receivedType : typeof elementType },
+        options
+      ),
+      status : 500,
+    })
+  }
+  checkSeparator({
+    locale : options.locale,
+    name   : `${name}' option 'separator`,
+    separator,
+  })
+
+  const { endpointType, locale, redacting, status } = options
+  const value = []
+  const indexes = []
+  splitQuoted({ ...options, escape, input, name, quote, separator }).forEach(
+    (segment, index) => {
+      const item = elementType(unquote({ escape, input : segment, quote }), {
+        endpointType,
+        locale,
+        redacting,
+        status,
+        ...elementOptions,
+        name : `${name}[${index}]`,
+      })
+      if (item !== undefined) {
+        value.push(item)
+        indexes.push(index)
+      }
+    }
+  )
+
+  if (maxItems !== undefined && value.length > maxItems) {
+    throw new ArgumentInvalidError({
+      argumentName  : name,
+      argumentValue : input,
+      ...getMessage('LIST_MAX_ITEMS', { maxItems }, options),
+      ...options,
+    })
+  }
+  if (minItems !== undefined && value.length < minItems) {
+    throw new ArgumentInvalidError({
+      argumentName  : name,
+      argumentValue : input,
+      ...getMessage('LIST_MIN_ITEMS', { minItems }, options),
+      ...options,
+    })
+  }
+
+  if (unique === true) {
+    const seen = new Map()
+    value.forEach((item, i) => {
+      const key = getUniqueKey(item)
+      if (seen.has(key) === true) {
+        throw new ArgumentInvalidError({
+          argumentName  : name,
+          argumentValue : input,
+          ...getMessage(
+            'LIST_DUPLICATE_ITEMS',
+            { firstIndex : seen.get(key), index : indexes[i] },
+            options
+          ),
+          ...options,
+        })
+      }
+      seen.set(key, indexes[i])
+    })
+  }
+
+  const validationOptions = Object.assign(
+    { input, name, type : 'array' },
+    options
+  )
+  checkValidateInput(input, validationOptions)
+  checkValidateValue(value, validationOptions)
+
+  return value
+}
+
+const getUniqueKey = (item) => {
+  const primitive = item.valueOf()
+
+  return typeof primitive === 'object' ? JSON.stringify(primitive) : primitive
+}
+
+List.description = 'List'
+List.toString = () => List.description
+// sensitive by default when the element type is
+List.sensitive = ({ elementOptions, elementType } = {}) =>
+  isSensitiveType(elementType, elementOptions)
+List.safe = makeSafe(List)
+List.async = makeAsync(List)
+List.describe = (options = {}) => {
+  const { elementOptions, elementType, locale, maxItems, minItems, unique } =
+    options
+  const element =
+    elementType === undefined
+      ? undefined
+      : describeType(elementType, elementOptions)
+
+  return describeConstraints(List.description, [
+    describeIf(
+      element !== undefined,
+      'DESCRIBE_LIST_OF',
+      // wrap element descriptions with their own constraints to avoid confusing them with the list constraints
+      { element : element?.includes(' ') === true ? `(${element})` : element },
+      options
+    ),
+    describeRange(
+      { locale, max : maxItems, min : minItems },
+      {
+        betweenKey : 'DESCRIBE_ITEMS_BETWEEN',
+        maxKey     : 'DESCRIBE_MAX_ITEMS',
+        minKey     : 'DESCRIBE_MIN_ITEMS',
+      }
+    ),
+    describeIf(unique === true, 'DESCRIBE_UNIQUE', {}, options),
+  ])
+}
+
+export { List }
@@ -0,0 +1,50 @@
+import { ArgumentTypeError } from 'standard-error-set'
+
+import { loadVariables } from './lib/load-variables'
+
+/**
+ * Loads and validates configuration from environment variables. The spec has the same form as a
+ * [validateRecord](#validateRecord) spec, mapping each configuration field to its type function and options. Each
+ * field is read from the environment variable named by the `prefix` plus the field name. E.g., with prefix 'APP_',
+ * the `PORT` field is read from the `APP_PORT` environment variable. The prefix is not included in the result.
+ *
+ * Each field spec may define a `default` which is used when the variable is not set or is the empty string (see
+ * [default values](#default-values)).
+ * Unless set in the field spec, errors are named after the environment variable and use a `status` of 500 since
+ * configuration problems are generally server errors.
+ *
+ * Every variable is checked before reporting any issues. If there is only one issue, then that error is thrown as is.
+ * If there are multiple issues, then an `ArgumentInvalidError` is thrown listing each issue and holding each error in
+ * the `errors` property (see [collecting all issues](#collecting-all-issues)).
+ * @param {object|Array.<object>} spec - The field specification.
+ * @param {object} [options = {}] - The loader options.
+ * @param {object} [options.env = process.env] - The environment variables.
+ * @param {string} [options.prefix = ''] - The prefix of each environment variable.
+ * @returns {object} A frozen object mapping field names to their converted values. Fields which are empty and have no
+ *   default are not included.
+ * @example
+ * const config = loadEnv(
+ *   {
+ *     PORT    : { type : Integer, min : 1, max : 65535, default : '8080' },
+ *     DEBUG   : { type : BooleanString, default : false },
+ *     DB_HOST : { type : ValidatedString, required : true },
+ *   },
+ *   { prefix : 'APP_' }
+ * )
+ * config.PORT // 8080 (unless 'APP_PORT' is set)
+ * @category Records
+ */
+const loadEnv = (spec, { env = process.env, prefix = '' } = {}) => {
+  if (env === undefined || env === null || typeof env !== 'object') {
+    throw new ArgumentTypeError({
+      argumentName : 'env',
+      argumentType : 'object',
+      receivedType : env === null ? 'null' : typeof env,
+      status       : 500,
+    })
+  }
+
+  return loadVariables({ prefix, spec, status : 500, variables : env })
+}
+
+export { loadEnv }
@@ -0,0 +1,66 @@
+import { ArgumentMissingError, ArgumentTypeError } from 'standard-error-set'
+
+import { catalogs, localeSettings } from './lib/messages/catalogs'
+
+/**
+ * Registers or extends the message catalog for a locale. The catalog defines `messages` and `phrases`. Each message
+ * is keyed by a stable message key (like 'DAY_AMBIGUOUS') and defines the `issue` and, optionally, the `hint` used
+ * when reporting errors. Phrases are bits of text used to construct other messages, like the list of possible boolean
+ * values. Refer to the [English catalog](./src/lib/messages/en.mjs) for the full list of keys and their parameters.
+ *
+ * Each `issue`, `hint`, and phrase may be a string or a function. Strings may reference parameters like '{maxLength}'.
+ * Functions are passed the parameters object and must return a string. Any message or phrase not defined in the
+ * locale's catalog falls back to the base language catalog (e.g., 'es' for 'es-MX') and then to English.
+ * @param {string} locale - The locale, such as 'es' or 'de-AT'.
+ * @param {object} catalog - The message catalog.
+ * @param {object} [catalog.messages = {}] - The messages, keyed by message key.
+ * @param {object} [catalog.phrases = {}] - The phrases, keyed by phrase key.
+ * @example
+ * registerLocale('es', {
+ *   messages : {
+ *     DAY_AMBIGUOUS     : { issue : 'es ambiguo', hint : 'Especifique el año con cuatro dígitos.' },
+ *     STRING_MAX_LENGTH : { issue : 'no puede tener más de {maxLength} caracteres' },
+ *   },
+ * })
+ * Day('1/2/3', { locale : 'es' }) // error issue is 'es ambiguo'
+ * @category Localization
+ */
+const registerLocale = (locale, { messages = {}, phrases = {} } = {}) => {
+  checkLocale(locale)
+
+  const catalog = catalogs[locale] || { messages : {}, phrases : {} }
+  catalogs[locale] = {
+    messages : { ...catalog.messages, ...messages },
+    phrases  : { ...catalog.phrases, ...phrases },
+  }
+}
+
+/**
+ * Sets the default locale used when the `locale` option is not specified. The default locale is initially 'en'.
+ * @param {string} locale - The locale, such as 'es' or 'de-AT'.
+ * @category Localization
+ */
+const setDefaultLocale = (locale) => {
+  checkLocale(locale)
+  localeSettings.defaultLocale = locale
+}
+
+const checkLocale = (locale) => {
+  if (typeof locale !== 'string') {
+    throw new ArgumentTypeError({
+      argumentName : 'locale',
+      argumentType : 'string',
+      receivedType : typeof locale,
+      status       : 500,
+    })
+  }
+  else if (locale === '') {
+    throw new ArgumentMissingError({
+      argumentName  : 'locale',
+      argumentValue : locale,
+      status        : 500,
+    })
+  }
+}
+
+export { registerLocale, setDefaultLocale }
@@ -1,8 +1,15 @@
 import { ArgumentInvalidError } from 'standard-error-set'
 
+import { applyDefault, usesDefault } from './lib/apply-default'
 import { checkMaxMin } from './lib/check-max-min'
 import { checkValidateInput } from './lib/check-validate-input'
 import { checkValidateValue } from './lib/check-validate-value'
+import { describeConstraints, describeIf, describeRange } from './lib/describe'
+import { makeAsync } from './lib/make-async'
+import { makeIssueCollector } from './lib/make-issue-collector'
+import { makeSafe } from './lib/make-safe'
+import { getMessage } from './lib/messages/get-message'
+import { redactErrors, usesRedaction } from './lib/redact-errors'
 import { sanitizeOptions } from './lib/sanitize-options'
 import { standardChecks } from './lib/standard-checks'
 
@@ -15,6 +22,24 @@ const leadingZeroRe = /^0(?!\.|$)/ // test for leading zeros, but allow '0', and
  * @param {string} options.name - The 'name' by which to refer to the input when generating error messages for the user.
  * @param {number} [options.status = 400] - The HTTP status to use when throwing `ArgumentInvalidError` errors.
  *   This can be used to mark arguments specified by in code or configurations without user input.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {*} [options.default = undefined] - The value to use when the input is empty. A string default is parsed
+ *   and validated just like the input, while any other default is checked against any `min`/`max` constraints and the
+ *   `validateValue` function. See [default values](#default-values).
+ * @param {string} [options.whitespace = 'trim'] - How to handle leading and trailing whitespace; 'trim' removes it,
+ *   'reject' rejects input containing it, and 'preserve' keeps it. See
+ *   [whitespace and normalization](#whitespace-and-normalization).
+ * @param {string} [options.normalize = undefined] - The Unicode normalization form applied to the input; 'NFC',
+ *   'NFD', 'NFKC', or 'NFKD'.
+ * @param {boolean} [options.collapseWhitespace = false] - If true, each run of whitespace within the input is
+ *   replaced by a single space.
+ * @param {boolean} [options.stripInvisible = false] - If true, zero-width and bidirectional control characters are
+ *   removed from the input.
+ * @param {boolean} [options.sensitive = false] - If true, the input is masked in any error messages and properties. See
+ *   [sensitive values](#sensitive-values).
+ * @param {boolean} [options.collectAllIssues = false] - If true, then all issues with the input are collected and
+ *   reported together rather than failing on the first issue. See [collecting all issues](#collecting-all-issues).
  * @param {boolean} options.allowLeadingZeros - Overrides default behavior which rejects strings with leading zeros.
  * @param {number} options.divisibleBy - Requires the resulting integer value be divisible by the indicated number (
  *   which need not be an integer).
@@ -29,6 +54,13 @@ const leadingZeroRe = /^0(?!\.|$)/ // test for leading zeros, but allow '0', and
  * @returns {number} A primitive number.
  */
 const Numeric = function (input, options = this || {}) {
+  if (usesRedaction(options)) {
+    return redactErrors(Numeric, input, options)
+  }
+  if (usesDefault(input, options)) {
+    return applyDefault(Numeric, options)
+  }
+
   const { name, allowLeadingZeros, divisibleBy, max, min } = options
 
   options = sanitizeOptions(options)
@@ -38,47 +70,68 @@ const Numeric = function (input, options = this || {}) {
     return undefined
   }
 
+  const issues = makeIssueCollector({ ...options, input, name })
+
   if (allowLeadingZeros !== true && leadingZeroRe.test(input) === true) {
-    throw new ArgumentInvalidError({
-      argumentName  : name,
-      argumentValue : input,
-      issue         : 'contains disallowed leading zeros',
-      ...options,
-    })
+    issues.add(
+      new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        ...getMessage('NUMERIC_LEADING_ZEROS', {}, options),
+        ...options,
+      })
+    )
   }
-  else if (input !== input.trim()) {
-    throw new ArgumentInvalidError({
-      argumentName  : name,
-      argumentValue : input,
-      issue         : 'contains disallowed leading or trailing space',
-      ...options,
-    })
+  if (input !== input.trim()) {
+    issues.add(
+      new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        ...getMessage('NUMERIC_SURROUNDING_SPACE', {}, options),
+        ...options,
+      })
+    )
   }
 
   const validationOptions = Object.assign(
     { input, name, type : 'string<numeric>' },
     options
   )
-  checkValidateInput(input, validationOptions)
+  issues.check(() => checkValidateInput(input, validationOptions))
 
   const value = Number(input)
   // TODO: wrap these two together in 'checkNumerics' and share with Integer
-  checkMaxMin({ ...options, input, max, min, name, value })
+  issues.check(() => checkMaxMin({ ...options, input, max, min, name, value }))
   if (divisibleBy !== undefined && value % divisibleBy !== 0) {
-    throw new ArgumentInvalidError({
-      argumentName  : name,
-      argumentValue : input,
-      issue         : `must be divisible by '${divisibleBy}'`,
-      ...options,
-    })
+    issues.add(
+      new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        ...getMessage('DIVISIBLE_BY', { divisibleBy }, options),
+        ...options,
+      })
+    )
   }
 
-  checkValidateValue(value, validationOptions)
+  issues.check(() => checkValidateValue(value, validationOptions))
+  issues.throwIfAny()
 
   return value
 }
 
 Numeric.description = 'Numeric'
 Numeric.toString = () => Numeric.description
+Numeric.safe = makeSafe(Numeric)
+Numeric.async = makeAsync(Numeric)
+Numeric.describe = (options = {}) =>
+  describeConstraints(Numeric.description, [
+    describeRange(options),
+    describeIf(
+      options.divisibleBy !== undefined,
+      'DESCRIBE_DIVISIBLE_BY',
+      options,
+      options
+    ),
+  ])
 
 export { Numeric }
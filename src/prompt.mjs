@@ -0,0 +1,143 @@
+import { createInterface } from 'node:readline'
+import { Writable } from 'node:stream'
+
+import {
+  ArgumentInvalidError,
+  ArgumentOutOfRangeError,
+  ArgumentTypeError,
+  CommonError,
+  EndOfStreamError
+} from 'standard-error-set'
+
+import { getPhrase } from './lib/messages/get-message'
+import { isSensitiveType } from './lib/redact-errors'
+
+/**
+ * Asks the user for a value on the command line (using `node:readline`), parsing and validating the answer with the
+ * type function and options. If the answer is rejected with a user error (any error with a `status` below 500), the
+ * problem is shown and the question is asked again, up to `maxAttempts` times. For an `ArgumentInvalidError`, the
+ * `issue` and `hint` are shown; for other errors (like `ArgumentOutOfRangeError`), the error message is shown. Errors
+ * with a `status` of 500 or more indicate a problem with the options and are thrown immediately.
+ *
+ * If a `default` is given, it's shown with the question (unless masked) and used when the answer is empty (see
+ * [default values](#default-values)). When `mask` is true, the answer is not echoed to the output. Masking is on by
+ * default for [sensitive values](#sensitive-values), which includes `SSN`, `CardNumber`, `EIN`, and any `List`,
+ * `KeyValueMap`, or `Union` holding them by default.
+ * @param {Function} type - The type function.
+ * @param {object} [options = {}] - The type options plus the prompt options below.
+ * @param {string} [options.question = undefined] - The question to ask. Defaults to the `name` option or, if not
+ *   set, the [type description](#describing-constraints).
+ * @param {*} [options.default = undefined] - The value to use when the answer is empty.
+ * @param {boolean} [options.mask = undefined] - If true, the answer is not echoed. Defaults to true when the type is
+ *   sensitive given the `sensitive` option (see [sensitive values](#sensitive-values)) and false otherwise.
+ * @param {number} [options.maxAttempts = 3] - The number of times to ask before throwing the last error.
+ * @param {object} [options.input = process.stdin] - The stream to read answers from.
+ * @param {object} [options.output = process.stdout] - The stream to write questions and problems to.
+ * @returns {Promise<*>} A Promise resolving to the validated value.
+ * @example
+ * const email = await prompt(Email, { question : 'Your email', required : true })
+ * const port = await prompt(Integer, { question : 'Port', min : 1, max : 65535, default : '8080' })
+ * @category Prompts
+ */
+const prompt = async (
+  type,
+  {
+    default: defaultValue,
+    input = process.stdin,
+    mask,
+    maxAttempts = 3,
+    output = process.stdout,
+    question,
+    ...options
+  } = {}
+) => {
+  if (typeof type !== 'function') {
+    throw new ArgumentTypeError({
+      argumentName : 'type',
+      argumentType : 'function',
+      receivedType : typeof type,
+      status       : 500,
+    })
+  }
+
+  question = question ?? options.name ?? type.describe?.(options) ?? type.name
+  options.name = options.name ?? question
+  mask = mask ?? isSensitiveType(type, options)
+
+  const questionText =
+    question
+    + (defaultValue === undefined || mask === true ? '' : ` [${defaultValue}]`)
+    + ': '
+  const rl = createInterface({
+    input,
+    // when masking, readline echoes to nowhere and we write the question ourselves
+    output   : mask === true ? makeNullOutput() : output,
+    terminal : output.isTTY === true,
+  })
+  // the iterator buffers answers which arrive before the question is asked
+  const answers = rl[Symbol.asyncIterator]()
+
+  try {
+    for (let attempt = 1; ; attempt += 1) {
+      if (mask === true) {
+        output.write(questionText)
+      }
+      else {
+        rl.setPrompt(questionText)
+        rl.prompt()
+      }
+
+      const { done, value: answer } = await answers.next()
+      if (done === true) {
+        throw new EndOfStreamError({ action : `reading '${options.name}'` })
+      }
+      else if (mask === true) {
+        output.write('\n') // since the newline wasn't echoed either
+      }
+
+      try {
+        return type(answer, { ...options, default : defaultValue })
+      }
+      catch (error) {
+        if (!(error instanceof CommonError) || error.status >= 500) {
+          throw error
+        }
+        else if (attempt >= maxAttempts) {
+          throw error
+        }
+
+        output.write(
+          describeProblem(error, { answer, locale : options.locale, mask })
+            + '\n'
+        )
+      }
+    }
+  }
+  finally {
+    rl.close()
+  }
+}
+
+const makeNullOutput = () =>
+  new Writable({ write : (chunk, encoding, callback) => callback() })
+
+const describeProblem = (error, { answer, locale, mask }) => {
+  if (
+    !(error instanceof ArgumentInvalidError)
+    || error instanceof ArgumentOutOfRangeError // the message gives the limit
+    || error.issue === undefined
+  ) {
+    return error.message
+  }
+
+  // masked answers are not repeated back to the user
+  const problem = getPhrase(
+    mask === true ? 'PROMPT_PROBLEM_MASKED' : 'PROMPT_PROBLEM',
+    { answer, issue : error.issue },
+    { locale }
+  )
+
+  return error.hint === undefined ? problem : problem + ' ' + error.hint
+}
+
+export { prompt }
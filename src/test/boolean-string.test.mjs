@@ -48,6 +48,12 @@ describe('BooleanString', () => {
     ['1.0', { noNumeric : true }, noNumericRe],
     ['foo', {}, unrecognizedRe],
     ['trueeeee', {}, unrecognizedRe],
+    [
+      'ture',
+      {},
+      /could not be parsed as a boolean value\. Did you mean 'true'\? Use/,
+    ],
+    ['FLASE', {}, /Did you mean 'false'\?/],
     ['1.0.0', {}, unrecognizedRe],
     ['', { required : true }, /is required\.$/],
     ['', { required : true, message : 'foo' }, /^foo$/],
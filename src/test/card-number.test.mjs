@@ -88,4 +88,23 @@ describe('CardNumber', () => {
       expect(() => context.type(input)).toThrow(new RegExp(errorMatch))
     }
   )
+
+  test('collectAllIssues reports all issues together', () => {
+    const { error } = CardNumber.safe('4111-1111-1111-1112', {
+      collectAllIssues : true,
+      lengths          : [15],
+    })
+    expect(error.errors.map(({ issue }) => issue)).toEqual([
+      'is an invalid length',
+      'failed the check-digit validation',
+    ])
+    expect(error.message).toMatch(
+      /Card number must be 15 digits long\..*Check input for typos\./
+    )
+  })
+
+  test('errors define the code', () =>
+    expect(CardNumber.safe('4111-1111-1111-1112').error.code).toBe(
+      'CARD_LUHN_FAILED'
+    ))
 })
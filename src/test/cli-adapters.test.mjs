@@ -0,0 +1,116 @@
+import {
+  ArgumentInvalidError,
+  ArgumentOutOfRangeError,
+  ArgumentTypeError
+} from 'standard-error-set'
+
+import {
+  toCommanderArgParser,
+  toCommanderOption,
+  toYargsCoerce,
+  toYargsOption
+} from '../cli-adapters'
+import { Integer } from '../integer'
+import { List } from '../list'
+import { Union } from '../union'
+
+describe('toYargsCoerce', () => {
+  test('parses and validates the value', () => {
+    const coerce = toYargsCoerce(Integer, { name : 'port', min : 1 })
+    expect(coerce('8080')).toBe(8080)
+    expect(() => coerce('0')).toThrow(ArgumentOutOfRangeError)
+  })
+
+  test('stringifies array values', () =>
+    expect(
+      toYargsCoerce(List, { name : 'ids', elementType : Integer })(['1', '2'])
+    ).toEqual([1, 2]))
+
+  test('throws ArgumentTypeError when type is not a function', () =>
+    expect(() => toYargsCoerce('foo')).toThrow(ArgumentTypeError))
+})
+
+describe('toYargsOption', () => {
+  test('creates a string option with the type description', () => {
+    const option = toYargsOption(Integer, { name : 'port', min : 1, max : 10 })
+    expect(option).toEqual({
+      type     : 'string',
+      describe : 'Integer between 1 and 10',
+      coerce   : expect.any(Function),
+    })
+    expect(option.coerce('5')).toBe(5)
+  })
+
+  test("uses the 'describe' option", () =>
+    expect(toYargsOption(Integer, { describe : 'The port.' }).describe).toBe(
+      'The port.'
+    ))
+
+  test("sets 'demandOption' for required options", () =>
+    expect(toYargsOption(Integer, { required : true }).demandOption).toBe(true))
+})
+
+describe('toCommanderArgParser', () => {
+  test('parses and validates the value', () =>
+    expect(toCommanderArgParser(Integer, { name : 'port' })('8080')).toBe(8080))
+
+  test('converts user errors to commander invalid argument errors', () => {
+    const parser = toCommanderArgParser(Integer, { name : 'port' })
+    let error
+    try {
+      parser('foo')
+    }
+    catch (thrown) {
+      error = thrown
+    }
+
+    expect(error.name).toBe('InvalidArgumentError')
+    expect(error.code).toBe('commander.invalidArgument')
+    expect(error.exitCode).toBe(1)
+    expect(error.message).toMatch(
+      /^Command argument 'port' with value 'foo' does not appear to be an integer/
+    )
+    expect(error.cause).toBeInstanceOf(ArgumentInvalidError)
+  })
+
+  test('throws configuration errors as is', () =>
+    expect(() => toCommanderArgParser(Union, { name : 'size' })('1')).toThrow(
+      ArgumentInvalidError
+    ))
+
+  test('throws ArgumentTypeError when type is not a function', () =>
+    expect(() => toCommanderArgParser(undefined)).toThrow(ArgumentTypeError))
+})
+
+describe('toCommanderOption', () => {
+  test('creates the option arguments with the type description', () => {
+    const [flags, description, parser] = toCommanderOption(
+      '-p, --port <port>',
+      Integer,
+      { min : 1 }
+    )
+    expect(flags).toBe('-p, --port <port>')
+    expect(description).toBe('Integer at least 1')
+    expect(() => parser('0')).toThrow(/^Command argument 'port'/)
+  })
+
+  test.each([
+    ['-p, --port-number <port>', 'port-number'],
+    ['-p <port>', 'p'],
+  ])("flags '%s' result in name '%s'", (flags, name) => {
+    const [, , parser] = toCommanderOption(flags, Integer)
+    expect(() => parser('x')).toThrow(new RegExp(`^Command argument '${name}'`))
+  })
+
+  test("uses the 'description' and 'name' options", () => {
+    const [, description, parser] = toCommanderOption('--port <n>', Integer, {
+      description : 'The port.',
+      name        : 'PORT',
+    })
+    expect(description).toBe('The port.')
+    expect(() => parser('x')).toThrow(/^Command argument 'PORT'/)
+  })
+
+  test('throws ArgumentTypeError when flags is not a string', () =>
+    expect(() => toCommanderOption(Integer)).toThrow(ArgumentTypeError))
+})
@@ -0,0 +1,178 @@
+import { Readable } from 'node:stream'
+
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { csvValidator } from '../csv-validator'
+import { Email } from '../email'
+import { Integer } from '../integer'
+import { ValidatedString } from '../validated-string'
+
+const spec = {
+  name : { type : ValidatedString, required : true },
+  age  : { type : Integer, min : 0 },
+}
+
+const validate = async (chunks, validator) => {
+  Readable.from(chunks.map((chunk) => Buffer.from(chunk))).pipe(validator)
+  const rows = []
+  for await (const row of validator) {
+    rows.push(row)
+  }
+
+  return rows
+}
+
+const getError = async (chunks, validator) => {
+  try {
+    await validate(chunks, validator)
+  }
+  catch (error) {
+    return error
+  }
+
+  return undefined
+}
+
+describe('csvValidator', () => {
+  test('emits the converted rows', async () => {
+    const validator = csvValidator(spec)
+    const rows = await validate(
+      ['age,name,other\n', '12,"Doe, John",x\n,Jane'],
+      validator
+    )
+    expect(rows).toEqual([{ name : 'Doe, John', age : 12 }, { name : 'Jane' }])
+    expect(validator.report).toEqual({
+      rows        : 2,
+      validRows   : 2,
+      invalidRows : 0,
+      errors      : [],
+    })
+  })
+
+  test('ignores a byte order mark', async () =>
+    expect(
+      await validate(['\uFEFFname,age\n', 'Jane\n'], csvValidator(spec))
+    ).toEqual([{ name : 'Jane' }]))
+
+  test('handles multi-byte characters split across chunks', async () => {
+    const bytes = Buffer.from('age,name\n,José\n')
+    const readable = Readable.from([bytes.subarray(0, 14), bytes.subarray(14)])
+    const validator = csvValidator(spec)
+    readable.pipe(validator)
+    const rows = []
+    for await (const row of validator) {
+      rows.push(row)
+    }
+    expect(rows).toEqual([{ name : 'José' }])
+  })
+
+  test("maps columns with the 'column' option", async () =>
+    expect(
+      await validate(
+        ['Email Address,Name\njohn@foo.com,John\n'],
+        csvValidator({
+          email : { type : Email, column : 'Email Address' },
+          name  : { type : ValidatedString, column : 1 },
+        })
+      )
+    ).toEqual([
+      {
+        email : expect.objectContaining({ address : 'john@foo.com' }),
+        name  : 'John',
+      },
+    ]))
+
+  test('maps columns by index when there is no header', async () =>
+    expect(
+      await validate(
+        ['John\t30\n'],
+        csvValidator(
+          { 0 : ValidatedString, age : { type : Integer, column : 1 } },
+          { delimiter : '\t', header : false }
+        )
+      )
+    ).toEqual([{ 0 : 'John', age : 30 }]))
+
+  test('fails at the first error by default', async () => {
+    const validator = csvValidator(spec)
+    const error = await getError(['name,age\nJohn,-1\n,2\n'], validator)
+    expect(error).toBeInstanceOf(ArgumentInvalidError)
+    expect(error.row).toBe(2)
+    expect(error.column).toBe('age')
+    expect(error.message).toMatch(
+      /^Row 2, column 'age': Command argument 'age'/
+    )
+  })
+
+  test("fails after 'maxErrors' errors", async () => {
+    const validator = csvValidator(spec, { maxErrors : 2, name : 'people.csv' })
+    const error = await getError(
+      ['name,age\nJohn,-1\n,2\nJane,3\n,x\n'],
+      validator
+    )
+    expect(error.message).toMatch(/^Command argument 'people.csv' has 2 issues/)
+    expect(error.errors.map(({ row, column }) => [row, column])).toEqual([
+      [2, 'age'],
+      [3, 'name'],
+    ])
+  })
+
+  test("collects every error with 'maxErrors' Infinity", async () => {
+    const validator = csvValidator(spec, { maxErrors : Infinity })
+    const rows = await validate(
+      ['name,age\nJohn,-1\n,2\nJane,3\n,x\n'],
+      validator
+    )
+    expect(rows).toEqual([{ name : 'Jane', age : 3 }])
+    const { errors, ...counts } = validator.report
+    expect(counts).toEqual({ rows : 4, validRows : 1, invalidRows : 3 })
+    expect(errors.map(({ row, column }) => [row, column])).toEqual([
+      [2, 'age'],
+      [3, 'name'],
+      [5, 'name'],
+      [5, 'age'],
+    ])
+  })
+
+  test('checks cross-field constraints within each row', async () => {
+    const validator = csvValidator(
+      { min : Integer, max : { type : Integer, min : { field : 'min' } } },
+      { maxErrors : Infinity }
+    )
+    const rows = await validate(['min,max\n1,2\n3,2\n'], validator)
+    expect(rows).toEqual([{ min : 1, max : 2 }])
+    expect(validator.report.errors[0].message).toBe(
+      "Row 3, column 'max': Command argument 'max' with value '2' must be greater than or equal to field 'min'."
+    )
+  })
+
+  test('fails when the header is missing spec columns', async () =>
+    expect(await getError(['foo,bar\n'], csvValidator(spec))).toMatchObject({
+      message :
+        "Row 1: Command argument 'CSV' is missing columns 'name', 'age'.",
+      row : 1,
+    }))
+
+  test('fails on malformed quoting regardless of maxErrors', async () =>
+    expect(
+      (
+        await getError(
+          ['name,age\n"John'],
+          csvValidator(spec, { maxErrors : Infinity })
+        )
+      ).message
+    ).toMatch(/^Row 2: .*?unterminated quoted field/))
+
+  test.each([['delimiter'], ['quote']])(
+    "rejects an invalid '%s' option",
+    (option) =>
+      expect(() => csvValidator(spec, { [option] : '\n' })).toThrow(
+        /must be a single character other than a newline/
+      )
+  )
+
+  test('rejects non-index columns when there is no header', () =>
+    expect(() => csvValidator(spec, { header : false })).toThrow(
+      /Command argument 'name' option 'column' with value 'name' must be a zero-based column index/
+    ))
+})
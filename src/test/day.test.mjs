@@ -45,6 +45,7 @@ describe('Day', () => {
     ['', { required : true }, 'is required\\.$'],
     ['01.01.01', {}, 'is ambiguous. Try specifying four digit year'],
     ['foo', {}, 'not recognized'],
+    ['15 Janaury 2024', {}, "not recognized.*Did you mean '15 Jan 2024'\\?"],
     ['2024-02-30', {}, 'invalid day'], // day overflow,
     [
       '2 Jan 2024',
@@ -153,4 +154,7 @@ describe('Day', () => {
     const expectedDate = new Date('1 Jan 2024')
     expect(Day('1 Jan 2024').getDate()).toEqual(expectedDate)
   })
+
+  test('errors define the code', () =>
+    expect(Day.safe('01.01.01').error.code).toBe('DAY_AMBIGUOUS'))
 })
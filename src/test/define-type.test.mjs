@@ -0,0 +1,118 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { defineType } from '../define-type'
+import { standardFailureDataMap } from './lib/standard-failure-data-map'
+
+const AccountID = defineType({
+  description : 'Account ID',
+  typeLabel   : 'string<account ID>',
+  convert     : (input, { name, ...options }) => {
+    if (/^AC-\d{6}$/i.test(input) === false) {
+      throw new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        issue         : 'is not a valid account ID',
+        ...options,
+      })
+    }
+
+    return input.toUpperCase()
+  },
+})
+
+const validInput = [
+  ['AC-123456', undefined, 'AC-123456'],
+  [' ac-123456 ', {}, 'AC-123456'],
+  [
+    'ac-123456',
+    { validateInput : (input) => input.startsWith('ac') },
+    'AC-123456',
+  ],
+  [
+    'ac-123456',
+    { validateValue : (value) => value.startsWith('AC') },
+    'AC-123456',
+  ],
+  ['', {}, undefined],
+  ['AC-123456', { required : true }, 'AC-123456'],
+]
+
+const failureInput = [
+  ['AC-12345', {}, 'is not a valid account ID'],
+  [
+    'AC-123456',
+    { validateInput : (input) => input.endsWith('7') },
+    'failed custom input validation',
+  ],
+  [
+    'AC-123456',
+    { validateValue : (value) => value === 'foo' || 'is not foo' },
+    'is not foo',
+  ],
+  ['', { required : true }, 'is required\\.$'],
+  ['', { required : true, message : 'bar' }, '^bar$', false],
+  [123, { message : 'bar' }, '^bar$', false],
+].map(standardFailureDataMap)
+
+describe('defineType', () => {
+  test.each(validInput)(
+    '%s with options %p => %s',
+    (input, options, expected) =>
+      expect(AccountID(input, options)).toBe(expected)
+  )
+
+  test.each(failureInput)(
+    '%s and options %p throws error matching %s',
+    (input, options, errorMatch) =>
+      expect(() => AccountID(input, options)).toThrow(new RegExp(errorMatch))
+  )
+
+  test.each(failureInput)(
+    '%s and context %p throws error matching %s',
+    (input, context, errorMatch) => {
+      context.type = AccountID
+      expect(() => context.type(input)).toThrow(new RegExp(errorMatch))
+    }
+  )
+
+  test('custom validation functions see the type label', () => {
+    let seenType
+    AccountID('AC-123456', {
+      validateValue : (value, { type }) => {
+        seenType = type
+
+        return true
+      },
+    })
+    expect(seenType).toBe('string<account ID>')
+  })
+
+  test('defines description, toString, safe, and async', async () => {
+    expect(AccountID.description).toBe('Account ID')
+    expect('' + AccountID).toBe('Account ID')
+    expect(AccountID.safe('foo').ok).toBe(false)
+    expect(await AccountID.async('ac-123456')).toBe('AC-123456')
+  })
+
+  test("'sensitive' types redact errors by default", () => {
+    const SecretID = defineType({
+      convert     : AccountID,
+      description : 'Secret ID',
+      sensitive   : true,
+    })
+    expect(SecretID.sensitive).toBe(true)
+    expect(AccountID.sensitive).toBe(false)
+    expect(SecretID.safe('XY-123456', { name : 'id' }).error.message).toMatch(
+      /with value '\*\*-\*\*3456'/
+    )
+    expect(
+      SecretID.safe('XY-123456', { name : 'id', sensitive : false }).error.message
+    ).toMatch(/with value 'XY-123456'/)
+  })
+
+  test.each([
+    [{ description : 'Foo' }, /argument 'convert' type 'function'/],
+    [{ convert : () => true }, /argument 'description' type 'string'/],
+  ])('definition %p throws %s', (definition, errorMatch) =>
+    expect(() => defineType(definition)).toThrow(errorMatch))
+})
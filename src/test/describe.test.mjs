@@ -0,0 +1,124 @@
+import { BooleanString } from '../boolean-string'
+import { CardNumber } from '../card-number'
+import { DateTime } from '../date-time'
+import { Day } from '../day'
+import { defineType } from '../define-type'
+import { Email } from '../email'
+import { Enum } from '../enum'
+import { Integer } from '../integer'
+import { KeyValueMap } from '../key-value-map'
+import { List } from '../list'
+import { registerLocale } from '../locale'
+import { Numeric } from '../numeric'
+import { TimeOfDay } from '../time-of-day'
+import { Union } from '../union'
+import { ValidatedString } from '../validated-string'
+
+describe('describe()', () => {
+  test.each([
+    [Integer, {}, 'Integer'],
+    [
+      Integer,
+      { min : 1, max : 100, divisibleBy : 5 },
+      'Integer between 1 and 100, divisible by 5',
+    ],
+    [Integer, { min : 1 }, 'Integer at least 1'],
+    [Numeric, { max : 2.5 }, 'Numeric at most 2.5'],
+    [Day, { min : '2024-01-01' }, 'Day on or after 2024-01-01'],
+    [
+      Day,
+      { max : new Date('2024-01-01T00:00:00Z') },
+      'Day on or before 2024-01-01T00:00:00.000Z',
+    ],
+    [DateTime, { noEod : true }, "Date-time excluding '24:00'"],
+    [
+      TimeOfDay,
+      { min : '08:00', max : '17:00' },
+      'Time of day between 08:00 and 17:00',
+    ],
+    [
+      BooleanString,
+      {},
+      'Boolean string accepting true/false, t/f, yes/no, y/n, or 0/positive number',
+    ],
+    [
+      BooleanString,
+      { noNumeric : true, noYesNo : true },
+      'Boolean string accepting true/false, or t/f',
+    ],
+    [CardNumber, { lengths : [15, 16] }, 'Card number 15, 16 digits long'],
+    [Email, { noPlusEmails : true }, 'Email'],
+    [
+      ValidatedString,
+      { minLength : 2, maxLength : 8, startsWith : 'a' },
+      "Validated string 2 to 8 characters long, starting with 'a'",
+    ],
+    [
+      ValidatedString,
+      { oneOf : 'dev, staging, prod' },
+      "Validated string one of 'dev', 'staging', 'prod'",
+    ],
+    [ValidatedString, { oneOf : ['auto'] }, "Validated string equal to 'auto'"],
+    [
+      List,
+      {
+        elementType    : Integer,
+        elementOptions : { min : 0 },
+        maxItems       : 3,
+        unique         : true,
+      },
+      'List of (Integer at least 0), with at most 3 items, with unique items',
+    ],
+    [
+      List,
+      { elementType : Email, minItems : 1 },
+      'List of Email, with at least 1 items',
+    ],
+    [
+      KeyValueMap,
+      { valueType : Integer, requiredKeys : 'cpu' },
+      "Key/value map of (Validated string) keys to (Integer) values, requiring key 'cpu'",
+    ],
+    [
+      Union,
+      { types : [Integer, { type : ValidatedString, oneOf : ['auto'] }] },
+      "Integer or Validated string equal to 'auto'",
+    ],
+    [Union, {}, 'Union'],
+    [Enum, { values : 'red, green' }, "Enum one of 'red', 'green'"],
+    [
+      Enum,
+      {
+        values : {
+          production : { aliases : 'prod, live', description : 'the public site' },
+          staging    : { aliases : ['stage'] },
+          test       : { description : 'for CI' },
+        },
+      },
+      "Enum one of 'production' (or 'prod', 'live'; the public site), 'staging' (or 'stage'), 'test' (for CI)",
+    ],
+    [Enum, {}, 'Enum'],
+  ])('%s with options %p => %s', (type, options, expected) =>
+    expect(type.describe(options)).toBe(expected))
+
+  test('defineType uses the definition describe function', () => {
+    const Code = defineType({
+      convert     : (input) => input,
+      description : 'Code',
+      describe    : ({ maxLength }) => `Code of at most ${maxLength} characters`,
+    })
+    expect(Code.describe({ maxLength : 4 })).toBe('Code of at most 4 characters')
+    expect(
+      defineType({ convert : (input) => input, description : 'Foo' }).describe()
+    ).toBe('Foo')
+  })
+
+  test('uses the locale phrases', () => {
+    registerLocale('xx-describe', {
+      phrases : { DESCRIBE_BETWEEN : 'entre {min} y {max}' },
+    })
+    expect(Integer.describe({ min : 1, max : 5, locale : 'xx-describe' })).toBe(
+      'Integer entre 1 y 5'
+    )
+  })
+})
@@ -0,0 +1,161 @@
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+
+import { BooleanString } from '../boolean-string'
+import { Integer } from '../integer'
+import { loadDotEnv, parseDotEnv } from '../dot-env'
+import { ValidatedString } from '../validated-string'
+
+describe('parseDotEnv', () => {
+  const stringSpec = { FOO : ValidatedString }
+
+  test.each([
+    ['FOO=bar', 'bar'],
+    ['FOO = bar ', 'bar'],
+    ['export FOO=bar', 'bar'],
+    ['FOO=bar # comment', 'bar'],
+    ['FOO=bar#baz', 'bar#baz'],
+    ['FOO="bar # baz"', 'bar # baz'],
+    ["FOO='bar'  # comment", 'bar'],
+    ['FOO=`bar`', 'bar'],
+    ['FOO="a\\nb\\tc\\"d\\\\e"', 'a\nb\tc"d\\e'],
+    ["FOO='a\\nb'", 'a\\nb'],
+    ['FOO="line 1\nline 2"', 'line 1\nline 2'],
+    ['FOO="line 1\r\nline 2"', 'line 1\nline 2'],
+    ['# comment\n\nFOO=first\nFOO=second', 'second'],
+  ])('%p => %p', (content, expected) =>
+    expect(parseDotEnv(content, stringSpec).FOO).toBe(expected))
+
+  test('parses and validates the spec variables', () =>
+    expect(
+      parseDotEnv('PORT=8080\nDEBUG=yes\nOTHER=ignored\n', {
+        PORT  : Integer,
+        DEBUG : BooleanString,
+        NAME  : { type : ValidatedString, default : 'app' },
+      })
+    ).toEqual({ PORT : 8080, DEBUG : true, NAME : 'app' }))
+
+  test('strips the prefix', () =>
+    expect(
+      parseDotEnv('APP_PORT=80', { PORT : Integer }, { prefix : 'APP_' })
+    ).toEqual({
+      PORT : 80,
+    }))
+
+  test.each([
+    [
+      'FOO',
+      ".env:1:1: Command argument '.env' with value 'FOO' is not a valid variable assignment",
+      1,
+      1,
+    ],
+    ['\n  1FOO=bar', '.env:2:3: .* is not a valid variable assignment', 2, 3],
+    [
+      'BAR=1\nFOO="bar',
+      ".env:2:5: Command argument 'FOO' has an unterminated quoted value. Close the value with a matching \"",
+      2,
+      5,
+    ],
+    [
+      "FOO='bar' baz",
+      ".env:1:5: Command argument 'FOO' has unexpected characters",
+      1,
+      5,
+    ],
+  ])(
+    'syntax error in %p throws error matching %s',
+    (content, errorMatch, line, column) => {
+      expect.assertions(4)
+      try {
+        parseDotEnv(content, stringSpec)
+      }
+      catch (error) {
+        expect(error.message).toMatch(new RegExp('^' + errorMatch))
+        expect(error.path).toBe('.env')
+        expect(error.line).toBe(line)
+        expect(error.column).toBe(column)
+      }
+    }
+  )
+
+  test('validation errors name the file, line, column, and variable', () => {
+    expect.assertions(5)
+    try {
+      parseDotEnv(
+        '# config\nPORT="x"\n',
+        { PORT : Integer },
+        { path : 'config/.env' }
+      )
+    }
+    catch (error) {
+      expect(error.message).toMatch(
+        /^config\/.env:2:6: Command argument 'PORT' with value 'x' does not appear to be an integer/
+      )
+      expect(error.path).toBe('config/.env')
+      expect(error.line).toBe(2)
+      expect(error.column).toBe(6)
+      expect(error.status).toBe(500)
+    }
+  })
+
+  test('reports all validation errors at once', () => {
+    expect.assertions(3)
+    try {
+      parseDotEnv('PORT=x\n\nDEBUG="maybe"\n', {
+        PORT  : Integer,
+        DEBUG : BooleanString,
+        HOST  : { type : ValidatedString, required : true },
+      })
+    }
+    catch (error) {
+      expect(error.message).toMatch(/argument '.env' has 3 issues/)
+      expect(error.errors.map(({ message }) => message)).toEqual([
+        expect.stringMatching(/^.env:1:6: .*'PORT'/),
+        expect.stringMatching(/^.env:3:7: .*'DEBUG'/),
+        expect.stringMatching(/^.env: .*'HOST' is required/),
+      ])
+      expect(error.errors[2].line).toBe(undefined)
+    }
+  })
+
+  test('multiline values advance the line count', () => {
+    expect.assertions(1)
+    try {
+      parseDotEnv('FOO="a\nb\nc"\nPORT=x', {
+        FOO  : ValidatedString,
+        PORT : Integer,
+      })
+    }
+    catch (error) {
+      expect(error.line).toBe(4)
+    }
+  })
+
+  test('throws when content is not a string', () =>
+    expect(() => parseDotEnv(undefined, stringSpec)).toThrow(
+      /argument 'content' type 'string'/
+    ))
+})
+
+describe('loadDotEnv', () => {
+  let dir
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'string-input-'))
+  })
+
+  afterAll(async () => {
+    await rm(dir, { recursive : true })
+  })
+
+  test('reads and validates the file', async () => {
+    const path = join(dir, '.env')
+    await writeFile(path, 'PORT=x\n')
+    await expect(loadDotEnv(path, { PORT : Integer })).rejects.toThrow(
+      path + ':1:6: '
+    )
+    await writeFile(path, 'PORT=80\n')
+    expect(await loadDotEnv(path, { PORT : Integer })).toEqual({ PORT : 80 })
+  })
+})
@@ -123,4 +123,10 @@ describe('Email', () => {
       expect(() => context.type(input)).toThrow(new RegExp(errorMatch))
     }
   )
+
+  test('errors define the code and issues', () => {
+    const { error } = Email.safe('foo', { name : 'email' })
+    expect(error.code).toBe('EMAIL_INVALID')
+    expect(error.params.issues.length).toBeGreaterThan(0)
+  })
 })
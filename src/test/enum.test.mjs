@@ -0,0 +1,91 @@
+import { Enum } from '../enum'
+import { standardFailureDataMap } from './lib/standard-failure-data-map'
+
+const environments = {
+  production  : { aliases : ['prod', 'live'], description : 'the public site' },
+  staging     : { aliases : 'stage' },
+  development : { aliases : ['dev'] },
+}
+
+const validInput = [
+  ['production', { values : environments }, 'production'],
+  ['PROD', { values : environments }, 'production'],
+  ['Live', { values : environments }, 'production'],
+  [' stage ', { values : environments }, 'staging'],
+  ['DEV', { values : environments }, 'development'],
+  ['green', { values : ['red', 'green'] }, 'green'],
+  ['GREEN', { values : 'red, green' }, 'green'],
+  ['Red', { values : ['Red', 'red'], caseSensitive : true }, 'Red'],
+  ['red', { values : ['Red', 'red'], caseSensitive : true }, 'red'],
+  [
+    'prod',
+    { values : environments, validateValue : (value) => value.length > 4 },
+    'production',
+  ],
+  ['', { values : environments }, undefined],
+  ['', {}, undefined],
+]
+
+const failureInput = [
+  [
+    'qa',
+    { values : environments },
+    "with value 'qa' must be one of 'production', 'staging', 'development'\\.$",
+  ],
+  [
+    'PROD',
+    { values : environments, caseSensitive : true },
+    "must be one of 'production'",
+  ],
+  ['prdo', { values : environments }, "Did you mean 'production'\\?"],
+  ['stagin', { values : environments }, "Did you mean 'staging'\\?"],
+  ['blue', { values : 'red, green' }, "must be one of 'red', 'green'"],
+  ['red', {}, "option 'values' must define at least one value"],
+  ['red', { values : [] }, "option 'values' must define at least one value"],
+  [
+    'red',
+    { values : ['Red', 'red'] },
+    "option 'values' with value 'red' matches both 'Red' and 'red'",
+  ],
+  [
+    'red',
+    { values : { red : { aliases : ['r'] }, rose : { aliases : ['R'] } } },
+    "option 'values' with value 'R' matches both 'red' and 'rose'",
+  ],
+  [
+    'prod',
+    { values : environments, validateValue : (value) => value === 'staging' },
+    'failed custom value validation',
+  ],
+  ['', { values : environments, required : true }, 'is required\\.$'],
+].map(standardFailureDataMap)
+
+describe('Enum', () => {
+  test.each(validInput)(
+    '%s with options %p => %p',
+    (input, options, expected) => expect(Enum(input, options)).toBe(expected)
+  )
+
+  test.each(failureInput)(
+    '%s and options %p throws error matching %s',
+    (input, options, errorMatch) =>
+      expect(() => Enum(input, options)).toThrow(new RegExp(errorMatch))
+  )
+
+  test('lists the canonical values and suggestions in the error params', () => {
+    const { error } = Enum.safe('prdo', { name : 'env', values : environments })
+    expect(error).toMatchObject({
+      code   : 'STRING_ONE_OF',
+      params : {
+        oneOf       : ['production', 'staging', 'development'],
+        suggestions : ['production'],
+      },
+    })
+  })
+
+  test('bad value specs are configuration errors', () => {
+    const { error } = Enum.safe('red', { name : 'color' })
+    expect(error.status).toBe(500)
+    expect(error.code).toBe('ENUM_NO_VALUES')
+  })
+})
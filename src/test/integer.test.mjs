@@ -71,4 +71,56 @@ describe('Integer', () => {
       expect(() => context.type(input)).toThrow(new RegExp(errorMatch))
     }
   )
+
+  test('collectAllIssues reports all issues together', () => {
+    const { error } = Integer.safe('12', {
+      name             : 'foo',
+      collectAllIssues : true,
+      max              : 10,
+      divisibleBy      : 5,
+      validateValue    : () => false,
+    })
+    expect(error.message).toMatch(
+      /has 3 issues\. \(1\) .*constraint 'max'.* \(2\) .*must be divisible by '5'.* \(3\) .*failed custom value validation/
+    )
+    expect(error.errors).toHaveLength(3)
+  })
+
+  test('collectAllIssues stops at unparsable input', () =>
+    expect(() => Integer('abc', { collectAllIssues : true, max : 10 })).toThrow(
+      /does not appear to be an integer\.$/
+    ))
+
+  test.each([
+    ['12', { max : 10 }, 'RANGE_MAX', { max : 10 }],
+    ['2', { min : 5 }, 'RANGE_MIN', { min : 5 }],
+    ['12', { divisibleBy : 5 }, 'DIVISIBLE_BY', { divisibleBy : 5 }],
+    ['abc', {}, 'INTEGER_INVALID', {}],
+    [
+      '12',
+      { validateInput : () => 'is bad' },
+      'CUSTOM_INPUT_VALIDATION_FAILED',
+      {},
+    ],
+  ])(
+    "'%s' with options %p sets code %s and params %p",
+    (input, options, code, params) =>
+      expect(
+        Integer.safe(input, { name : 'foo', ...options }).error
+      ).toMatchObject({
+        code,
+        params,
+      })
+  )
+
+  test('async validation functions are rejected with a general hint', () => {
+    const { error } = Integer.safe('1', {
+      name          : 'count',
+      validateValue : async () => true,
+    })
+    expect(error.code).toBe('CUSTOM_VALIDATION_ASYNC')
+    expect(error.hint).toBe(
+      "Use the type's 'async()' variant with asynchronous validation functions."
+    )
+  })
 })
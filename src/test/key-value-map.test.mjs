@@ -0,0 +1,116 @@
+import { Integer } from '../integer'
+import { KeyValueMap } from '../key-value-map'
+import { ValidatedString } from '../validated-string'
+import { standardFailureDataMap } from './lib/standard-failure-data-map'
+
+const validInput = [
+  ['env=prod,team=core', {}, { env : 'prod', team : 'core' }],
+  [' env = prod , team = core ', {}, { env : 'prod', team : 'core' }],
+  ['a=1,,b=2,', { valueType : Integer }, { a : 1, b : 2 }],
+  ['a:1;b:2', { kvSeparator : ':', separator : ';' }, { a : '1', b : '2' }],
+  ['url=http://foo.com/?a=b', {}, { url : 'http://foo.com/?a=b' }],
+  ['title="Hello, world"', {}, { title : 'Hello, world' }],
+  ['"a=b"=c', {}, { 'a=b' : 'c' }],
+  ['a\\=b=c', {}, { 'a=b' : 'c' }],
+  ['a=,b=2', {}, { b : '2' }],
+  ['a=1,a=2', { duplicateKeys : 'first' }, { a : '1' }],
+  ['a=1,a=2', { duplicateKeys : 'last' }, { a : '2' }],
+  ['a=1,b=3,a=2', { duplicateKeys : 'array' }, { a : ['1', '2'], b : ['3'] }],
+  ['a=1,b=2', { requiredKeys : ['a', 'b'] }, { a : '1', b : '2' }],
+  ['a=1,b=2', { requiredKeys : 'a, b' }, { a : '1', b : '2' }],
+  ['', {}, undefined],
+]
+
+const failureInput = [
+  ['a=1,b', {}, "item 1 is not a key/value pair separated by '='"],
+  ['a=1,a=2', {}, "contains duplicate key 'a'"],
+  ['a=1', { requiredKeys : ['a', 'b'] }, "is missing required key 'b'"],
+  ['a=1', { requiredKeys : 'b,c' }, "is missing required keys 'b', 'c'"],
+  ['a="1', {}, 'contains an unterminated quote'],
+  ['a=1', { duplicateKeys : 'foo' }, "option 'duplicateKeys' with value 'foo'"],
+  [
+    'a=1',
+    { separator : '' },
+    "option 'separator' with value '' must not be empty",
+  ],
+  [
+    'a=1',
+    { kvSeparator : '' },
+    "option 'kvSeparator' with value '' must not be empty",
+  ],
+  ['=1', {}, "argument 'foo key' is required", false],
+  [
+    'env=prod',
+    { keyOptions : { oneOf : ['team'] } },
+    "argument 'foo key' with value 'env' must be 'team'",
+    false,
+  ],
+  [
+    'a=x',
+    { valueType : Integer },
+    "argument 'foo.a' with value 'x' does not appear to be an integer",
+    false,
+  ],
+  [
+    'a=',
+    { valueOptions : { required : true } },
+    "argument 'foo.a' is required",
+    false,
+  ],
+  [
+    'a=1',
+    { validateValue : (value) => 'b' in value },
+    'failed custom value validation',
+  ],
+  ['', { required : true }, 'is required\\.$'],
+].map(standardFailureDataMap)
+
+describe('KeyValueMap', () => {
+  test.each(validInput)(
+    '%s with options %p => %p',
+    (input, options, expected) =>
+      expect(KeyValueMap(input, options)).toEqual(expected)
+  )
+
+  test.each(failureInput)(
+    '%s and options %p throws error matching %s',
+    (input, options, errorMatch) =>
+      expect(() => KeyValueMap(input, options)).toThrow(new RegExp(errorMatch))
+  )
+
+  test.each(failureInput)(
+    '%s and context %p throws error matching %s',
+    (input, context, errorMatch) => {
+      context.type = KeyValueMap
+      expect(() => context.type(input)).toThrow(new RegExp(errorMatch))
+    }
+  )
+
+  test('validates keys and values with separate types', () =>
+    expect(
+      KeyValueMap('cpu=2,mem=512', {
+        keyType      : ValidatedString,
+        keyOptions   : { oneOf : ['cpu', 'mem'] },
+        valueType    : Integer,
+        valueOptions : { min : 1 },
+      })
+    ).toEqual({ cpu : 2, mem : 512 }))
+
+  test("keeps a '__proto__' key as a regular property", () => {
+    const value = KeyValueMap('__proto__=x,a=1', {
+      name         : 'foo',
+      requiredKeys : ['__proto__'],
+    })
+    expect(Object.hasOwn(value, '__proto__')).toBe(true)
+    expect(value.__proto__).toBe('x') // eslint-disable-line no-proto
+    expect(Object.getPrototypeOf(value)).toBe(Object.prototype)
+  })
+
+  test("replaces a '__proto__' key with 'duplicateKeys: last'", () =>
+    expect(
+      Object.getOwnPropertyDescriptor(
+        KeyValueMap('__proto__=x,__proto__=y', { duplicateKeys : 'last' }),
+        '__proto__'
+      ).value
+    ).toBe('y'))
+})
@@ -0,0 +1,133 @@
+import { Day } from '../day'
+import { Email } from '../email'
+import { Integer } from '../integer'
+import { List } from '../list'
+import { SSN } from '../ssn'
+import { ValidatedString } from '../validated-string'
+import { standardFailureDataMap } from './lib/standard-failure-data-map'
+
+const validInput = [
+  ['1,2,3', { elementType : Integer }, [1, 2, 3]],
+  [' 1 , 2 ', { elementType : Integer }, [1, 2]],
+  ['1;2', { elementType : Integer, separator : ';' }, [1, 2]],
+  ['1 | 2', { elementType : Integer, separator : ' | ' }, [1, 2]],
+  ['1,,2,', { elementType : Integer }, [1, 2]],
+  ['"a,b",c', { elementType : ValidatedString }, ['a,b', 'c']],
+  ['a\\,b,c', { elementType : ValidatedString }, ['a,b', 'c']],
+  ['a\\"b', { elementType : ValidatedString }, ['a"b']],
+  ["'a,b',c", { elementType : ValidatedString, quote : "'" }, ['a,b', 'c']],
+  ['"a,b"', { elementType : ValidatedString, quote : '' }, ['"a', 'b"']],
+  ['a\\,b', { elementType : ValidatedString, escape : '' }, ['a\\', 'b']],
+  ['1,1', { elementType : Integer }, [1, 1]],
+  ['1,2', { elementType : Integer, unique : true }, [1, 2]],
+  ['1,2', { elementType : Integer, minItems : 2, maxItems : 2 }, [1, 2]],
+  [
+    '1,2',
+    { elementType : Integer, validateValue : (value) => value.length === 2 },
+    [1, 2],
+  ],
+  ['', { elementType : Integer }, undefined],
+  ['', {}, undefined],
+]
+
+const failureInput = [
+  [
+    '1,a',
+    { elementType : Integer },
+    "argument 'foo\\[1\\]' with value 'a' does not appear to be an integer",
+    false,
+  ],
+  [
+    '1,5',
+    { elementType : Integer, elementOptions : { max : 4 } },
+    "argument 'foo\\[1\\]' constraint 'max'",
+    false,
+  ],
+  [
+    '1,,2',
+    { elementType : Integer, elementOptions : { required : true } },
+    "argument 'foo\\[1\\]' is required",
+    false,
+  ],
+  ['"a,b', { elementType : ValidatedString }, 'contains an unterminated quote'],
+  [
+    '1,2,3',
+    { elementType : Integer, maxItems : 2 },
+    'may contain no more than 2 items',
+  ],
+  ['1', { elementType : Integer, minItems : 2 }, 'must contain at least 2 items'],
+  [
+    '1,,2,1',
+    { elementType : Integer, unique : true },
+    'duplicate items at index 0 and 3',
+  ],
+  [
+    '1,2',
+    { elementType : Integer, validateValue : (value) => value.length === 3 },
+    'failed custom value validation',
+  ],
+  ['1', {}, "option 'elementType' type 'function'"],
+  [
+    '1,2',
+    { elementType : Integer, separator : '' },
+    "option 'separator' with value '' must not be empty",
+  ],
+  ['', { elementType : Integer, required : true }, 'is required\\.$'],
+].map(standardFailureDataMap)
+
+describe('List', () => {
+  test.each(validInput)(
+    '%s with options %p => %p',
+    (input, options, expected) => expect(List(input, options)).toEqual(expected)
+  )
+
+  test.each(failureInput)(
+    '%s and options %p throws error matching %s',
+    (input, options, errorMatch) =>
+      expect(() => List(input, options)).toThrow(new RegExp(errorMatch))
+  )
+
+  test.each(failureInput)(
+    '%s and context %p throws error matching %s',
+    (input, context, errorMatch) => {
+      context.type = List
+      expect(() => context.type(input)).toThrow(new RegExp(errorMatch))
+    }
+  )
+
+  test('parses a list of emails', () =>
+    expect(
+      List('a@x.com, b@y.com', { elementType : Email }).map(
+        ({ address }) => address
+      )
+    ).toEqual(['a@x.com', 'b@y.com']))
+
+  test('unique compares Day items by date', () =>
+    expect(() =>
+      List('2024-01-01;1/1/2024', {
+        name        : 'days',
+        elementType : Day,
+        separator   : ';',
+        unique      : true,
+      })).toThrow(/argument 'days'.*duplicate items at index 0 and 1/))
+
+  test('passes status to the element type', () => {
+    const { error } = List.safe('a', {
+      name        : 'foo',
+      elementType : Integer,
+      status      : 500,
+    })
+    expect(error.status).toBe(500)
+  })
+
+  test('masks list errors when the element type is sensitive', () => {
+    const { error } = List.safe('123-45-6789,234-56-7890', {
+      name        : 'ids',
+      elementType : SSN,
+      maxItems    : 1,
+    })
+    expect(error.message).toMatch(/may contain no more than 1 items/)
+    expect(error.message).not.toMatch(/123-45|234-56/)
+    expect(error.sensitive).toBe(true)
+  })
+})
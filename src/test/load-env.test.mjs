@@ -0,0 +1,122 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { BooleanString } from '../boolean-string'
+import { Integer } from '../integer'
+import { loadEnv } from '../load-env'
+import { ValidatedString } from '../validated-string'
+
+describe('loadEnv', () => {
+  const spec = {
+    PORT    : { type : Integer, min : 1, max : 65535, default : '8080' },
+    DEBUG   : { type : BooleanString, default : false },
+    DB_HOST : { type : ValidatedString, required : true },
+    DB_USER : ValidatedString,
+  }
+
+  test('loads and converts the environment variables', () => {
+    const config = loadEnv(spec, {
+      env : { PORT : '3000', DEBUG : 'yes', DB_HOST : 'localhost', OTHER : 'x' },
+    })
+    expect(config).toEqual({ PORT : 3000, DEBUG : true, DB_HOST : 'localhost' })
+  })
+
+  test('returns a frozen object', () =>
+    expect(Object.isFrozen(loadEnv(spec, { env : { DB_HOST : 'foo' } }))).toBe(
+      true
+    ))
+
+  test('applies string and value defaults', () =>
+    expect(loadEnv(spec, { env : { DB_HOST : 'foo', PORT : ' ' } })).toEqual({
+      PORT    : 8080,
+      DEBUG   : false,
+      DB_HOST : 'foo',
+    }))
+
+  test('strips the prefix', () =>
+    expect(
+      loadEnv(spec, {
+        env    : { APP_DB_HOST : 'foo', DB_USER : 'ignored', APP_DB_USER : 'bar' },
+        prefix : 'APP_',
+      })
+    ).toEqual({ PORT : 8080, DEBUG : false, DB_HOST : 'foo', DB_USER : 'bar' }))
+
+  test('reads from process.env by default', () => {
+    process.env.STRING_INPUT_TEST_VALUE = '12'
+    try {
+      expect(
+        loadEnv({ VALUE : Integer }, { prefix : 'STRING_INPUT_TEST_' })
+      ).toEqual({
+        VALUE : 12,
+      })
+    }
+    finally {
+      delete process.env.STRING_INPUT_TEST_VALUE
+    }
+  })
+
+  test('single issue is thrown as is with the variable name and status 500', () => {
+    expect.assertions(2)
+    try {
+      loadEnv(spec, {
+        env    : { APP_DB_HOST : 'foo', APP_PORT : 'x' },
+        prefix : 'APP_',
+      })
+    }
+    catch (error) {
+      expect(error.message).toMatch(
+        /argument 'APP_PORT' with value 'x' does not appear to be an integer/
+      )
+      expect(error.status).toBe(500)
+    }
+  })
+
+  test('names variables in cross-field constraints', () =>
+    expect(() =>
+      loadEnv(
+        {
+          TLS     : BooleanString,
+          TLS_KEY : {
+            type     : ValidatedString,
+            required : { field : 'TLS', equals : true },
+          },
+        },
+        { env : { APP_TLS : 'true' }, prefix : 'APP_' }
+      )).toThrow(/argument 'APP_TLS_KEY' is required when 'APP_TLS' is 'true'/))
+
+  test('reports all issues at once', () => {
+    expect.assertions(4)
+    try {
+      loadEnv(spec, { env : { PORT : '0', DEBUG : 'maybe' } })
+    }
+    catch (error) {
+      expect(error).toBeInstanceOf(ArgumentInvalidError)
+      expect(error.message).toMatch(/argument 'environment' has 3 issues/)
+      expect(error.errors.map(({ message }) => message)).toEqual([
+        expect.stringMatching(/argument 'PORT' constraint 'min'/),
+        expect.stringMatching(/argument 'DEBUG' with value 'maybe'/),
+        expect.stringMatching(/argument 'DB_HOST' is required/),
+      ])
+      expect(error.status).toBe(500)
+    }
+  })
+
+  test('field spec name and status override the defaults', () => {
+    const { error } = Integer.safe('x', { name : 'Port', status : 400 })
+    expect.assertions(2)
+    try {
+      loadEnv(
+        { PORT : { type : Integer, name : 'Port', status : 400 } },
+        { env : { PORT : 'x' } }
+      )
+    }
+    catch (loadError) {
+      expect(loadError.message).toBe(error.message)
+      expect(loadError.status).toBe(400)
+    }
+  })
+
+  test('throws when env is not an object', () =>
+    expect(() => loadEnv(spec, { env : 'foo' })).toThrow(
+      /argument 'env' type 'object'/
+    ))
+})
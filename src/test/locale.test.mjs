@@ -0,0 +1,111 @@
+import { BooleanString } from '../boolean-string'
+import { Day } from '../day'
+import { Integer } from '../integer'
+import { registerLocale, setDefaultLocale } from '../locale'
+import { ValidatedString } from '../validated-string'
+
+describe('localization', () => {
+  beforeAll(() => {
+    registerLocale('es', {
+      messages : {
+        DAY_AMBIGUOUS : {
+          issue : 'es ambiguo',
+          hint  : 'Use un año de cuatro dígitos.',
+        },
+        STRING_MAX_LENGTH : {
+          issue : 'no puede tener más de {maxLength} caracteres',
+        },
+        BOOLEAN_INVALID : {
+          issue : 'no es un valor booleano',
+          hint  : 'Use {possibleValues}.',
+        },
+        MISSING   : { issue : "es '{received}'" },
+        RANGE_MAX : {
+          issue : 'está fuera de rango',
+          hint  : "El valor debe ser menor o igual a '{max}'.",
+        },
+        REQUIRED     : { issue : 'es obligatorio' },
+        TYPE_INVALID : {
+          issue : 'es del tipo incorrecto',
+          hint  : "Se recibió el tipo '{receivedType}'.",
+        },
+      },
+      phrases : {
+        BOOLEAN_NUMERIC_VALUES : '0/número positivo',
+        LIST_OR                : ({ items }) =>
+          items.slice(0, -1).join(', ') + ' o ' + items[items.length - 1],
+      },
+    })
+    registerLocale('es-MX', {
+      messages : { REQUIRED : { issue : 'es requerido' } },
+    })
+  })
+
+  afterEach(() => setDefaultLocale('en'))
+
+  test.each([
+    [
+      Day,
+      '1/2/3',
+      { locale : 'es' },
+      /argument 'foo' with value '1\/2\/3' es ambiguo\. Use un año de cuatro dígitos\.$/,
+    ],
+    [
+      ValidatedString,
+      'abc',
+      { locale : 'es', maxLength : 2 },
+      /no puede tener más de 2 caracteres\.$/,
+    ],
+    [
+      BooleanString,
+      'bar',
+      { locale : 'es' },
+      /no es un valor booleano\. Use true\/false, t\/f, yes\/no, y\/n o 0\/número positivo\.$/,
+    ],
+    [
+      Integer,
+      '12',
+      { locale : 'es', max : 10 },
+      /está fuera de rango\. El valor debe ser menor o igual a '10'\.$/,
+    ],
+    [ValidatedString, null, { locale : 'es' }, /argument 'foo' es 'null'\.$/],
+    [
+      ValidatedString,
+      12,
+      { locale : 'es' },
+      /es del tipo incorrecto\. Se recibió el tipo 'number'\.$/,
+    ],
+    [Integer, '', { locale : 'es-MX', required : true }, /es requerido\.$/],
+    [Integer, '', { locale : 'es-AR', required : true }, /es obligatorio\.$/],
+    [Integer, 'abc', { locale : 'es' }, /does not appear to be an integer\.$/],
+    [Integer, '', { locale : 'de', required : true }, /is required\.$/],
+  ])(
+    '%s with input %p and options %p throws %s',
+    (type, input, options, errorMatch) =>
+      expect(() => type(input, { name : 'foo', ...options })).toThrow(errorMatch)
+  )
+
+  test('setDefaultLocale sets the locale used when none is specified', () => {
+    setDefaultLocale('es')
+    expect(() => Integer('', { required : true })).toThrow(/es obligatorio\.$/)
+    expect(() => Integer('', { locale : 'en', required : true })).toThrow(
+      /is required\.$/
+    )
+  })
+
+  test('registerLocale extends existing catalogs', () => {
+    registerLocale('es', {
+      messages : { INTEGER_INVALID : { issue : 'no es un entero' } },
+    })
+    expect(() => Integer('abc', { locale : 'es' })).toThrow(/no es un entero\.$/)
+    expect(() => Integer('', { locale : 'es', required : true })).toThrow(
+      /es obligatorio\.$/
+    )
+  })
+
+  test.each([
+    [12, /argument 'locale' type 'string'/],
+    ['', /argument 'locale' is the empty string/],
+  ])('setDefaultLocale(%p) throws %s', (locale, errorMatch) =>
+    expect(() => setDefaultLocale(locale)).toThrow(errorMatch))
+})
@@ -29,6 +29,7 @@ const failureInput = [
   ['1.6', { max : 1.5 }, "less than or equal to '1.5'"],
   ['1.4', { min : 1.5 }, "greater than or equal to '1.5'"],
   ['1.6', { divisibleBy : 1.5 }, "divisible by '1.5'"],
+  [' 1', { whitespace : 'preserve' }, 'leading or trailing space'],
   ['', { required : true }, 'is required\\.$'],
   ['', { required : true, message : 'bar' }, '^bar$', false],
   [123, { message : 'bar' }, '^bar$', false],
@@ -53,4 +54,17 @@ describe('Numeric', () => {
       expect(() => context.type(input)).toThrow(new RegExp(errorMatch))
     }
   )
+
+  test('collectAllIssues reports all issues together', () => {
+    const { error } = Numeric.safe('012', {
+      collectAllIssues : true,
+      min              : 13,
+      divisibleBy      : 5,
+    })
+    expect(error.errors.map(({ message }) => message)).toEqual([
+      expect.stringMatching(/contains disallowed leading zeros/),
+      expect.stringMatching(/must be greater than or equal to '13'/),
+      expect.stringMatching(/must be divisible by '5'/),
+    ])
+  })
 })
@@ -0,0 +1,222 @@
+import { PassThrough } from 'node:stream'
+
+import {
+  ArgumentInvalidError,
+  ArgumentTypeError,
+  EndOfStreamError
+} from 'standard-error-set'
+
+import { BooleanString } from '../boolean-string'
+import { Day } from '../day'
+import { defineType } from '../define-type'
+import { Email } from '../email'
+import { Integer } from '../integer'
+import { List } from '../list'
+import { prompt } from '../prompt'
+import { SSN } from '../ssn'
+import { Union } from '../union'
+
+const makeStreams = (answers, { tty = false } = {}) => {
+  const input = new PassThrough()
+  const output = new PassThrough()
+  output.isTTY = tty
+  let text = ''
+  output.on('data', (chunk) => {
+    text += chunk.toString()
+  })
+  input.end(answers.map((answer) => answer + '\n').join(''))
+
+  return { input, output, getText : () => text }
+}
+
+describe('prompt', () => {
+  test.each([
+    [Email, {}, 'john@foo.com', (value) => value.address, 'john@foo.com'],
+    [Day, {}, '2024-01-15', (value) => value.getDayOfMonth(), 15],
+    [BooleanString, {}, 'yes', (value) => value, true],
+    [Integer, { min : 1 }, '12', (value) => value, 12],
+  ])(
+    '%s answer %p resolves to the validated value',
+    async (type, options, answer, getResult, expected) => {
+      const { input, output } = makeStreams([answer])
+      const value = await prompt(type, { ...options, input, output })
+      expect(getResult(value)).toEqual(expected)
+    }
+  )
+
+  test('writes the question', async () => {
+    const { input, output, getText } = makeStreams(['1'])
+    await prompt(Integer, { question : 'How many', input, output })
+    expect(getText()).toBe('How many: ')
+  })
+
+  test('defaults the question to the name and then the type description', async () => {
+    let streams = makeStreams(['1'])
+    await prompt(Integer, { name : 'count', ...streams })
+    expect(streams.getText()).toBe('count: ')
+
+    streams = makeStreams(['1'])
+    await prompt(Integer, { min : 0, ...streams })
+    expect(streams.getText()).toBe('Integer at least 0: ')
+  })
+
+  test('re-asks and shows the issue and hint until the answer is valid', async () => {
+    const { input, output, getText } = makeStreams(['123', '078-05-1120'])
+    const value = await prompt(SSN, {
+      question : 'SSN',
+      mask     : false,
+      input,
+      output,
+    })
+    expect(value).toBe('078-05-1120')
+    expect(getText()).toBe(
+      "SSN: '123' is not a valid SSN. Ensure there are nine digits and a valid area code.\nSSN: "
+    )
+  })
+
+  test('shows the error message for errors other than ArgumentInvalidError', async () => {
+    const { input, output, getText } = makeStreams(['200', '20'])
+    const value = await prompt(Integer, {
+      name : 'age',
+      max  : 150,
+      input,
+      output,
+    })
+    expect(value).toBe(20)
+    expect(getText()).toMatch(
+      /^age: Command argument 'age'.*? is out of range. Value must be less than or equal to '150'.\nage: $/
+    )
+  })
+
+  test('throws the last error after maxAttempts', async () => {
+    const { input, output, getText } = makeStreams(['a', 'b', 'c'])
+    await expect(
+      prompt(Integer, { name : 'count', maxAttempts : 2, input, output })
+    ).rejects.toThrow(ArgumentInvalidError)
+    expect(getText().match(/count: /g)).toHaveLength(2)
+  })
+
+  test('throws configuration errors immediately', async () => {
+    const { input, output } = makeStreams(['1', '2'])
+    await expect(
+      prompt(Union, { name : 'size', input, output })
+    ).rejects.toThrow(/must define at least one type/)
+  })
+
+  test('throws EndOfStreamError when the input ends', async () => {
+    const { input, output } = makeStreams(['a'])
+    await expect(
+      prompt(Integer, { name : 'count', input, output })
+    ).rejects.toThrow(EndOfStreamError)
+  })
+
+  test('shows and uses a string default', async () => {
+    const { input, output, getText } = makeStreams([''])
+    const value = await prompt(Integer, {
+      question : 'Port',
+      default  : '8080',
+      input,
+      output,
+    })
+    expect(value).toBe(8080)
+    expect(getText()).toBe('Port [8080]: ')
+  })
+
+  test('returns a non-string default as is', async () => {
+    const { input, output } = makeStreams(['  '])
+    expect(
+      await prompt(BooleanString, {
+        name    : 'debug',
+        default : false,
+        input,
+        output,
+      })
+    ).toBe(false)
+  })
+
+  test('validates a string default', async () => {
+    const { input, output } = makeStreams([''])
+    await expect(
+      prompt(Integer, {
+        name        : 'port',
+        default     : 'foo',
+        maxAttempts : 1,
+        input,
+        output,
+      })
+    ).rejects.toThrow(ArgumentInvalidError)
+  })
+
+  describe('masking', () => {
+    test('echoes answers by default', async () => {
+      const { input, output, getText } = makeStreams(['12'], { tty : true })
+      await prompt(Integer, { name : 'count', input, output })
+      expect(getText()).toMatch(/12/)
+    })
+
+    test('does not echo SSN answers by default', async () => {
+      const { input, output, getText } = makeStreams(['123', '078051120'], {
+        tty : true,
+      })
+      const value = await prompt(SSN, { name : 'ssn', input, output })
+      expect(value).toBe('078-05-1120')
+      expect(getText()).toBe(
+        'ssn: \nThe value is not a valid SSN. Ensure there are nine digits and a valid area code.\nssn: \n'
+      )
+    })
+
+    test('does not echo answers for a List of SSNs', async () => {
+      const { input, output, getText } = makeStreams(['078051120'], {
+        tty : true,
+      })
+      const value = await prompt(List, {
+        name        : 'ssns',
+        elementType : SSN,
+        input,
+        output,
+      })
+      expect(value).toEqual(['078-05-1120'])
+      expect(getText()).toBe('ssns: \n')
+    })
+
+    test('does not echo answers for sensitive custom types', async () => {
+      const PIN = defineType({
+        convert     : (input) => input,
+        description : 'PIN',
+        sensitive   : true,
+      })
+      const { input, output, getText } = makeStreams(['1234'], { tty : true })
+      await prompt(PIN, { name : 'pin', input, output })
+      expect(getText()).toBe('pin: \n')
+    })
+
+    test("echoes sensitive types when 'sensitive' is false", async () => {
+      const { input, output, getText } = makeStreams(['078051120'], {
+        tty : true,
+      })
+      await prompt(SSN, { name : 'ssn', sensitive : false, input, output })
+      expect(getText()).toMatch(/078051120/)
+    })
+
+    test("does not echo answers when 'sensitive'", async () => {
+      const { input, output, getText } = makeStreams(['1234'], { tty : true })
+      await prompt(Integer, { name : 'pin', sensitive : true, input, output })
+      expect(getText()).toBe('pin: \n')
+    })
+
+    test('does not show the default when masked', async () => {
+      const { input, output, getText } = makeStreams([''])
+      await prompt(Integer, {
+        name    : 'pin',
+        default : '1234',
+        mask    : true,
+        input,
+        output,
+      })
+      expect(getText()).toBe('pin: \n')
+    })
+  })
+
+  test('throws ArgumentTypeError when type is not a function', async () =>
+    await expect(prompt('foo')).rejects.toThrow(ArgumentTypeError))
+})
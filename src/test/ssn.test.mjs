@@ -54,4 +54,31 @@ describe('SSN', () => {
       expect(() => context.type(input)).toThrow(new RegExp(errorMatch))
     }
   )
+
+  test('masks the input in errors by default', () => {
+    const { error } = SSN.safe('000-12-3456', { name : 'ssn' })
+    expect(error.message).toMatch(/with value '\*\*\*-\*\*-3456'/)
+    expect(error.argumentValue).toBe('***-**-3456')
+  })
+
+  test("shows the input in errors when 'sensitive' is false", () =>
+    expect(
+      SSN.safe('000-12-3456', { name : 'ssn', sensitive : false }).error
+        .argumentValue
+    ).toBe('000-12-3456'))
+
+  test('masks the input in errors from async validation functions', async () => {
+    expect.assertions(3)
+    try {
+      await SSN.async('123-45-6789', {
+        name          : 'ssn',
+        validateInput : async () => false,
+      })
+    }
+    catch (error) {
+      expect(error.argumentValue).toBe('***-**-6789')
+      expect(error.message).not.toMatch(/123-45/)
+      expect(error.sensitive).toBe(true)
+    }
+  })
 })
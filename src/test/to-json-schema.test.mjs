@@ -0,0 +1,219 @@
+import { BooleanString } from '../boolean-string'
+import { CardNumber } from '../card-number'
+import { DateTime } from '../date-time'
+import { Day } from '../day'
+import { defineType } from '../define-type'
+import { EIN } from '../ein'
+import { Email } from '../email'
+import { Enum } from '../enum'
+import { Integer } from '../integer'
+import { KeyValueMap } from '../key-value-map'
+import { List } from '../list'
+import { Numeric } from '../numeric'
+import { SSN } from '../ssn'
+import { TimeOfDay } from '../time-of-day'
+import { recordToJSONSchema, toJSONSchema } from '../to-json-schema'
+import { Union } from '../union'
+import { ValidatedString } from '../validated-string'
+
+describe('toJSONSchema', () => {
+  test.each([
+    [BooleanString, {}, { type : 'boolean' }],
+    [
+      CardNumber,
+      { lengths : [15, 16] },
+      { type : 'string', pattern : '^\\d+$', minLength : 15, maxLength : 16 },
+    ],
+    [DateTime, {}, { type : 'string', format : 'date-time' }],
+    [Day, { min : '2024-01-01' }, { type : 'string', format : 'date' }],
+    [EIN, {}, { type : 'string', pattern : '^\\d{2}-\\d{7}$' }],
+    [Email, { noPlusEmails : true }, { type : 'string', format : 'email' }],
+    [
+      Enum,
+      { values : { production : { aliases : ['prod'] }, staging : {} } },
+      {
+        type : 'string',
+        pattern :
+          '^(?:[pP][rR][oO][dD][uU][cC][tT][iI][oO][nN]|[pP][rR][oO][dD]|[sS][tT][aA][gG][iI][nN][gG])$',
+      },
+    ],
+    [
+      Enum,
+      {
+        values        : { production : { aliases : ['prod'] }, staging : {} },
+        caseSensitive : true,
+      },
+      { type : 'string', enum : ['production', 'prod', 'staging'] },
+    ],
+    [
+      Enum,
+      { values : ['v1.0', 'Ärger'] },
+      { type : 'string', pattern : '^(?:[vV]1\\.0|[äÄ][rR][gG][eE][rR])$' },
+    ],
+    [
+      Integer,
+      { min : 1, max : 100, divisibleBy : 5 },
+      { type : 'integer', minimum : 1, maximum : 100, multipleOf : 5 },
+    ],
+    [Integer, {}, { type : 'integer' }],
+    [Numeric, { min : 0.5 }, { type : 'number', minimum : 0.5 }],
+    [
+      Integer,
+      { min : '5', max : '10', divisibleBy : '5' },
+      { type : 'integer', minimum : 5, maximum : 10, multipleOf : 5 },
+    ],
+    [Numeric, { max : '2.5' }, { type : 'number', maximum : 2.5 }],
+    [SSN, {}, { type : 'string', pattern : '^\\d{3}-\\d{2}-\\d{4}$' }],
+    [TimeOfDay, {}, { type : 'string', format : 'time' }],
+    [
+      ValidatedString,
+      { minLength : 2, maxLength : 8, matchRe : /^[a-z]+$/, oneOf : 'ab, cd' },
+      {
+        type      : 'string',
+        minLength : 2,
+        maxLength : 8,
+        pattern   : '^[a-z]+$',
+        enum      : ['ab', 'cd'],
+      },
+    ],
+    [ValidatedString, { matchRe : /^a/gu }, { type : 'string', pattern : '^a' }],
+    [ValidatedString, { matchRe : '^a' }, { type : 'string', pattern : '^a' }],
+    [
+      ValidatedString,
+      { startsWith : 'a.', endsWith : 'z' },
+      { type : 'string', allOf : [{ pattern : '^a\\.' }, { pattern : 'z$' }] },
+    ],
+    [
+      List,
+      {
+        elementType    : Integer,
+        elementOptions : { min : 0 },
+        maxItems       : 3,
+        unique         : true,
+      },
+      {
+        type        : 'array',
+        items       : { type : 'integer', minimum : 0 },
+        maxItems    : 3,
+        uniqueItems : true,
+      },
+    ],
+    [
+      KeyValueMap,
+      { valueType : Integer, requiredKeys : 'cpu,mem' },
+      {
+        type                 : 'object',
+        propertyNames        : { type : 'string' },
+        additionalProperties : { type : 'integer' },
+        required             : ['cpu', 'mem'],
+      },
+    ],
+    [
+      Union,
+      { types : [Integer, { type : ValidatedString, oneOf : ['auto'] }] },
+      { anyOf : [{ type : 'integer' }, { type : 'string', enum : ['auto'] }] },
+    ],
+    [(input) => input, {}, {}],
+  ])('%p with options %p => %p', (type, options, expected) =>
+    expect(toJSONSchema(type, options)).toEqual(expected))
+
+  test('uses the defineType jsonSchema', () => {
+    const AccountID = defineType({
+      convert     : (input) => input,
+      description : 'Account ID',
+      jsonSchema  : { type : 'string', pattern : '^AC-\\d{6}$' },
+    })
+    expect(toJSONSchema(AccountID)).toEqual({
+      type    : 'string',
+      pattern : '^AC-\\d{6}$',
+    })
+  })
+
+  test('uses the defineType jsonSchema function', () => {
+    const Code = defineType({
+      convert     : (input) => input,
+      description : 'Code',
+      jsonSchema  : ({ maxLength }) => ({ type : 'string', maxLength }),
+    })
+    expect(toJSONSchema(Code)).toEqual({ type : 'string' })
+    expect(toJSONSchema(Code, { maxLength : 4 })).toEqual({
+      type      : 'string',
+      maxLength : 4,
+    })
+  })
+
+  test.each([
+    [
+      ValidatedString,
+      { matchRe : /^a/i },
+      /argument 'matchRe' with value '\/\^a\/i' uses flags 'i'/,
+    ],
+    [
+      ValidatedString,
+      { matchRe : /^a$/im, name : 'code' },
+      /argument 'code' option 'matchRe' .+ uses flags 'im'/,
+    ],
+    [
+      Integer,
+      { max : 'ten' },
+      /argument 'max' .+ does not appear to be an integer/,
+    ],
+    [
+      Integer,
+      { min : '1.5', name : 'count' },
+      /argument 'count' constraint 'min' with value '1\.5'/,
+    ],
+  ])('%p with options %p throws %s', (type, options, errorMatch) => {
+    expect(() => toJSONSchema(type, options)).toThrow(errorMatch)
+    expect(() => toJSONSchema(type, options)).toThrow(
+      expect.objectContaining({ status : 500 })
+    )
+  })
+
+  test('the Enum pattern accepts the case variants and aliases Enum accepts', () => {
+    const values = { production : { aliases : ['prod', 'live'] }, staging : {} }
+    const patternRe = new RegExp(toJSONSchema(Enum, { values }).pattern)
+    for (const input of [
+      'production',
+      'PROD',
+      'Live',
+      'sTaGiNg',
+      'qa',
+      'prod2',
+    ]) {
+      expect(patternRe.test(input)).toBe(Enum.safe(input, { values }).ok)
+    }
+  })
+
+  test('throws when type is not a function', () =>
+    expect(() => toJSONSchema('Integer')).toThrow(
+      /argument 'type' type 'function'/
+    ))
+})
+
+describe('recordToJSONSchema', () => {
+  test('generates an object schema', () =>
+    expect(
+      recordToJSONSchema({
+        email    : { type : Email, required : true },
+        age      : { type : Integer, min : 0 },
+        nickname : ValidatedString,
+      })
+    ).toEqual({
+      type       : 'object',
+      properties : {
+        email    : { type : 'string', format : 'email' },
+        age      : { type : 'integer', minimum : 0 },
+        nickname : { type : 'string' },
+      },
+      required : ['email'],
+    }))
+
+  test('accepts array specs', () =>
+    expect(
+      recordToJSONSchema([{ name : 'age', type : Integer, max : 150 }])
+    ).toEqual({
+      type       : 'object',
+      properties : { age : { type : 'integer', maximum : 150 } },
+    }))
+})
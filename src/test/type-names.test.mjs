@@ -1,11 +1,34 @@
 import * as types from '../index'
 
+const nonTypeExports = [
+  'csvValidator',
+  'defineType',
+  'getLatestTLDs',
+  'loadDotEnv',
+  'loadEnv',
+  'parseDotEnv',
+  'prompt',
+  'recordToJSONSchema',
+  'registerLocale',
+  'requestValidator',
+  'setDefaultLocale',
+  'toCommanderArgParser',
+  'toCommanderOption',
+  'toJSONSchema',
+  'toYargsCoerce',
+  'toYargsOption',
+  'validateRecord',
+  'validateRequest',
+]
+
 const typeList = Object.entries(types).filter(
-  ([name]) => name !== 'getLatestTLDs'
+  ([name]) => !nonTypeExports.includes(name)
 )
 
 test('all exported type functions define description', () =>
-  expect(typeList).toHaveLength(Object.keys(types).length - 1))
+  expect(typeList).toHaveLength(
+    Object.keys(types).length - nonTypeExports.length
+  ))
 
 test.each(typeList)('%s has a defined description', (name, type) =>
   expect(type.description).not.toBe(undefined))
@@ -13,3 +36,33 @@ test.each(typeList)('%s defines toString', (name, type) =>
   expect(type.toString).not.toBe(undefined))
 test.each(typeList)('%s toString is equal to descripion', (name, type) =>
   expect('' + type).toBe(type.description))
+test.each(typeList)('%s defines safe', (name, type) =>
+  expect(type.safe('').ok).toBe(true))
+test.each(typeList)('%s defines async', async (name, type) =>
+  expect(await type.async('')).toBe(undefined))
+test.each(typeList)('%s defines describe', (name, type) =>
+  expect(type.describe().startsWith(type.description)).toBe(true))
+test.each(typeList)('%s supports default', (name, type) => {
+  const defaultValue = {}
+  expect(type(' ', { default : defaultValue })).toBe(defaultValue)
+})
+test.each(typeList)('%s supports the whitespace policy', (name, type) =>
+  expect(() => type(' x', { name : 'foo', whitespace : 'reject' })).toThrow(
+    /leading or trailing space/
+  ))
+test.each(typeList)('%s errors define a code', (name, type) => {
+  expect(type.safe(undefined).error).toMatchObject({ code : 'MISSING' })
+  expect(type.safe(12).error).toMatchObject({
+    code   : 'TYPE_INVALID',
+    params : { argumentType : 'string', receivedType : 'number' },
+  })
+})
+test.each(typeList)('%s supports sensitive', (name, type) => {
+  const { error } = type.safe(' x', {
+    name       : 'foo',
+    sensitive  : true,
+    whitespace : 'reject',
+  })
+  expect(error.argumentValue).toBe(' *')
+  expect(error.message).not.toMatch(/x/)
+})
@@ -0,0 +1,178 @@
+import { ArgumentInvalidError } from 'standard-error-set'
+
+import { DateTime } from '../date-time'
+import { Day } from '../day'
+import { EIN } from '../ein'
+import { Integer } from '../integer'
+import { SSN } from '../ssn'
+import { Union } from '../union'
+import { ValidatedString } from '../validated-string'
+import { standardFailureDataMap } from './lib/standard-failure-data-map'
+
+const intOrAuto = [Integer, { type : ValidatedString, oneOf : ['auto'] }]
+
+const validInput = [
+  ['12', { types : intOrAuto }, 12],
+  [' auto ', { types : intOrAuto }, 'auto'],
+  ['12', { types : [ValidatedString, Integer] }, '12'],
+  ['5', { types : [{ type : Integer, max : 4 }, ValidatedString] }, '5'],
+  ['12', { types : intOrAuto, validateValue : (value) => value > 10 }, 12],
+  ['', { types : intOrAuto }, undefined],
+  ['', {}, undefined],
+]
+
+const failureInput = [
+  [
+    'foo',
+    { types : intOrAuto },
+    "with value 'foo' does not match any accepted type; expected Integer or Validated string",
+  ],
+  [
+    'foo',
+    { types : [Integer, Day, DateTime] },
+    'expected Integer, Day, or Date-time',
+  ],
+  ['foo', { types : intOrAuto }, "\\(2\\) Validated string: .* must be 'auto'"],
+  ['12', {}, "option 'types' must define at least one type"],
+  ['12', { types : [] }, "option 'types' must define at least one type"],
+  ['12', { types : [{ max : 2 }] }, "option 'types' does not define a type"],
+  [
+    '12',
+    { types : intOrAuto, validateValue : (value) => value > 20 },
+    'failed custom value validation',
+  ],
+  ['', { types : intOrAuto, required : true }, 'is required\\.$'],
+].map(standardFailureDataMap)
+
+describe('Union', () => {
+  test.each(validInput)(
+    '%s with options %p => %p',
+    (input, options, expected) => expect(Union(input, options)).toBe(expected)
+  )
+
+  test.each(failureInput)(
+    '%s and options %p throws error matching %s',
+    (input, options, errorMatch) =>
+      expect(() => Union(input, options)).toThrow(new RegExp(errorMatch))
+  )
+
+  test.each(failureInput)(
+    '%s and context %p throws error matching %s',
+    (input, context, errorMatch) => {
+      context.type = Union
+      expect(() => context.type(input)).toThrow(new RegExp(errorMatch))
+    }
+  )
+
+  test('holds the error from each type', () => {
+    const { error } = Union.safe('foo', { name : 'size', types : intOrAuto })
+    expect(error).toBeInstanceOf(ArgumentInvalidError)
+    expect(error.errors).toHaveLength(2)
+    expect(error.errors[0].message).toMatch(/does not appear to be an integer/)
+  })
+
+  test('passes name and status to each type', () => {
+    const { error } = Union.safe('foo', {
+      name   : 'size',
+      status : 500,
+      types  : intOrAuto,
+    })
+    expect(error.status).toBe(500)
+    expect(error.errors[0].message).toMatch(/argument 'size'/)
+    expect(error.errors[0].status).toBe(500)
+  })
+
+  test('masks the input when any of the types are sensitive', () => {
+    const { error } = Union.safe('123-45-6789', {
+      name  : 'id',
+      types : [Integer, EIN],
+    })
+    expect(error.argumentValue).toBe('***-**-6789')
+    expect(error.message).not.toMatch(/123-45/)
+    expect(error.sensitive).toBe(true)
+    expect(
+      Union.safe('123-45-6789', { name : 'id', types : [Integer, SSN] }).value
+    ).toBe('123-45-6789')
+    expect(
+      Union.safe('x', { name : 'id', types : [SSN], sensitive : false }).error
+        .argumentValue
+    ).toBe('x')
+  })
+
+  describe('async()', () => {
+    const isTaken = async (input) => input === 'taken'
+    const usernameOrId = [
+      { type : Integer, validateValue : async (value) => value > 100 },
+      {
+        type          : ValidatedString,
+        validateInput : async (input) =>
+          (await isTaken(input)) ? 'is already taken' : true,
+      },
+    ]
+
+    test.each([
+      ['123', 123],
+      ['12', '12'],
+      ['free', 'free'],
+      ['', undefined],
+    ])('%p -> %p', async (input, expected) =>
+      expect(
+        await Union.async(input, { name : 'user', types : usernameOrId })
+      ).toBe(expected))
+
+    test('tries the next type when an async validation function rejects the input', async () => {
+      const { error } = await Union.async('taken', {
+        name  : 'user',
+        types : usernameOrId,
+      }).then(
+        (value) => ({ value }),
+        (error) => ({ error })
+      )
+      expect(error.code).toBe('UNION_NO_MATCH')
+      expect(error.errors).toHaveLength(2)
+      expect(error.errors[1].message).toMatch(/is already taken/)
+    })
+
+    test('awaits the union validation functions', async () =>
+      await expect(
+        Union.async('123', {
+          name          : 'user',
+          types         : usernameOrId,
+          validateValue : async (value) => value > 200,
+        })
+      ).rejects.toThrow(/failed custom value validation/))
+
+    test('uses string defaults', async () =>
+      expect(
+        await Union.async(' ', {
+          name    : 'user',
+          default : '150',
+          types   : usernameOrId,
+        })
+      ).toBe(150))
+
+    test('masks the input when any of the types are sensitive', async () => {
+      const { error } = await Union.async('123-45-6789', {
+        name  : 'id',
+        types : [{ type : Integer, validateValue : async () => true }, EIN],
+      }).then(
+        (value) => ({ value }),
+        (error) => ({ error })
+      )
+      expect(error.argumentValue).toBe('***-**-6789')
+      expect(error.message).not.toMatch(/123-45/)
+    })
+
+    test.each([
+      [{ types : [] }, /must define at least one type/],
+      [{ types : [{ type : 'Integer' }] }, /option 'types'/],
+      [{ types : intOrAuto, required : true }, /is required/],
+    ])(
+      'with options %p rejects with %s',
+      async (options, errorMatch) =>
+        await expect(
+          Union.async(options.required ? '' : 'x', { name : 'id', ...options })
+        ).rejects.toThrow(errorMatch)
+    )
+  })
+})
@@ -0,0 +1,213 @@
+import { CardNumber } from '../card-number'
+import { Day } from '../day'
+import { Email } from '../email'
+import { Integer } from '../integer'
+import { ValidatedString } from '../validated-string'
+import { validateRecord } from '../validate-record'
+
+describe('validateRecord', () => {
+  const spec = {
+    email    : { type : Email, required : true },
+    birthday : { type : Day, min : '1900-01-01' },
+    age      : { type : Integer, min : 0 },
+    nickname : ValidatedString,
+  }
+
+  test('converts each field according to the spec', () => {
+    const result = validateRecord(spec, {
+      email    : 'john@foo.com',
+      birthday : '1990-02-03',
+      age      : '34',
+      nickname : 'Johnny',
+    })
+
+    expect(result.email.address).toBe('john@foo.com')
+    expect(result.birthday.toString()).toBe('1990-02-03')
+    expect(result.age).toBe(34)
+    expect(result.nickname).toBe('Johnny')
+  })
+
+  test('accepts a command-line-args style array spec', () => {
+    const arraySpec = [
+      { name : 'age', type : Integer, max : 150 },
+      { name : 'nickname', type : ValidatedString },
+    ]
+    expect(
+      validateRecord(arraySpec, { age : '34', nickname : 'Johnny' })
+    ).toEqual({
+      age      : 34,
+      nickname : 'Johnny',
+    })
+  })
+
+  test('omits empty and missing fields and ignores extra fields', () =>
+    expect(
+      validateRecord(spec, {
+        email    : 'john@foo.com',
+        birthday : '',
+        extra    : 'foo',
+      })
+    ).toEqual({ email : expect.any(Object) }))
+
+  test.each([
+    [{ email : 'john@foo.com', age : '-1' }, /argument 'age' constraint 'min'/],
+    [{ email : 'not an email' }, /argument 'email' with value 'not an email'/],
+    [{ age : '12' }, /argument 'email' is required/],
+    [
+      { email : 'john@foo.com', nickname : 12 },
+      /argument 'nickname' type 'string'/,
+    ],
+  ])('record %p throws error matching %s', (record, errorMatch) =>
+    expect(() => validateRecord(spec, record)).toThrow(errorMatch))
+
+  test('field spec name overrides the field key in error messages', () =>
+    expect(() =>
+      validateRecord({ age : { type : Integer, name : 'Age' } }, { age : 'x' })).toThrow(/argument 'Age'/))
+
+  test.each([
+    [
+      { age : { min : 1 } },
+      { age : '1' },
+      /'spec' field 'age' does not define a type function/,
+    ],
+    [[{ type : Integer }], {}, /'spec' contains an entry with no name/],
+    ['foo', {}, /argument 'spec' type 'object'/],
+    [spec, null, /argument 'record' type 'object'/],
+  ])(
+    'spec %p and record %p throws error matching %s',
+    (badSpec, record, errorMatch) =>
+      expect(() => validateRecord(badSpec, record)).toThrow(errorMatch)
+  )
+
+  test('safe returns the error rather than throwing', () => {
+    const { ok, error } = validateRecord.safe(spec, { age : '12' })
+    expect(ok).toBe(false)
+    expect(error.message).toMatch(/argument 'email' is required/)
+  })
+
+  test('async awaits async custom validation functions', async () => {
+    const asyncSpec = {
+      ...spec,
+      nickname : {
+        type          : ValidatedString,
+        validateInput : async (input) =>
+          input === 'taken' ? 'is already taken' : true,
+      },
+    }
+    expect(
+      await validateRecord.async(asyncSpec, {
+        email    : 'john@foo.com',
+        nickname : 'Johnny',
+      })
+    ).toEqual({ email : expect.any(Object), nickname : 'Johnny' })
+    await expect(
+      validateRecord.async(asyncSpec, {
+        email    : 'john@foo.com',
+        nickname : 'taken',
+      })
+    ).rejects.toThrow(
+      /argument 'nickname' type 'string' with value 'taken' is already taken/
+    )
+  })
+
+  test('async falls back to the synchronous type function', async () =>
+    expect(
+      await validateRecord.async(
+        { upper : (input) => input.toUpperCase() },
+        {
+          upper : 'foo',
+        }
+      )
+    ).toEqual({ upper : 'FOO' }))
+
+  describe('cross-field constraints', () => {
+    const rangeSpec = {
+      min : Integer,
+      max : { type : Integer, min : { field : 'min' } },
+    }
+    const paymentSpec = {
+      paymentMethod : { type : ValidatedString, oneOf : ['card', 'invoice'] },
+      cardNumber    : {
+        type     : CardNumber,
+        required : { field : 'paymentMethod', equals : 'card' },
+      },
+    }
+
+    test.each([
+      [
+        { min : '1', max : '2' },
+        { min : 1, max : 2 },
+      ],
+      [
+        { min : '2', max : '2' },
+        { min : 2, max : 2 },
+      ],
+      [{ max : '2' }, { max : 2 }],
+    ])('%p is valid', (record, expected) =>
+      expect(validateRecord(rangeSpec, record)).toEqual(expected))
+
+    test('rejects a value less than the referenced field', () => {
+      const { error } = validateRecord.safe(rangeSpec, { min : '3', max : '2' })
+      expect(error.message).toBe(
+        "Command argument 'max' with value '2' must be greater than or equal to field 'min'."
+      )
+      expect(error).toMatchObject({
+        code   : 'RECORD_FIELD_MIN',
+        params : { field : 'min' },
+      })
+    })
+
+    test('rejects a value greater than the referenced field', () =>
+      expect(() =>
+        validateRecord(
+          {
+            start : Day,
+            end   : Day,
+            due   : { type : Day, max : { field : 'end' } },
+          },
+          { start : '2024-01-01', end : '2024-01-31', due : '2024-02-01' }
+        )).toThrow(/argument 'due' .*less than or equal to field 'end'/))
+
+    test.each([
+      [{ paymentMethod : 'invoice' }, { paymentMethod : 'invoice' }],
+      [{}, {}],
+      [
+        { paymentMethod : 'card', cardNumber : '4111111111111111' },
+        { paymentMethod : 'card', cardNumber : '4111111111111111' },
+      ],
+    ])('conditionally required %p is valid', (record, expected) =>
+      expect(validateRecord(paymentSpec, record)).toEqual(expected))
+
+    test.each([
+      [{ field : 'paymentMethod', equals : 'card' }, "is 'card'"],
+      [
+        { field : 'paymentMethod', oneOf : ['card', 'debit'] },
+        "is one of 'card', 'debit'",
+      ],
+      [{ field : 'paymentMethod' }, 'is set'],
+    ])('required %p rejects missing field', (required, condition) =>
+      expect(() =>
+        validateRecord(
+          { ...paymentSpec, cardNumber : { type : CardNumber, required } },
+          { paymentMethod : 'card' }
+        )).toThrow(
+        `Command argument 'cardNumber' is required when 'paymentMethod' ${condition}.`
+      ))
+
+    test('async checks cross-field constraints', async () =>
+      await expect(
+        validateRecord.async(rangeSpec, { min : '3', max : '2' })
+      ).rejects.toThrow(/greater than or equal to field 'min'/))
+
+    test.each([
+      [{ max : { type : Integer, min : { field : 'min' } }, min : Integer }],
+      [{ max : { type : Integer, min : { field : 'foo' } } }],
+    ])('rejects references to later or unknown fields', (badSpec) => {
+      const { error } = validateRecord.safe(badSpec, {})
+      expect(error.status).toBe(500)
+      expect(error.message).toMatch(
+        /argument 'max' option 'min' with value '(min|foo)' must name a field which comes earlier/
+      )
+    })
+  })
+})
@@ -0,0 +1,178 @@
+import { IncomingMessage } from 'node:http'
+import { Socket } from 'node:net'
+import { URLSearchParams } from 'node:url'
+
+import { Integer } from '../integer'
+import { List } from '../list'
+import { Union } from '../union'
+import { ValidatedString } from '../validated-string'
+import { requestValidator, validateRequest } from '../validate-request'
+
+const makeRequest = (url) => {
+  const req = new IncomingMessage(new Socket())
+  req.url = url
+
+  return req
+}
+
+const makeResponse = () => {
+  const res = { headers : {} }
+  res.setHeader = (name, value) => {
+    res.headers[name] = value
+  }
+  res.end = (body) => {
+    res.body = body
+  }
+
+  return res
+}
+
+describe('validateRequest', () => {
+  const spec = {
+    page : { type : Integer, min : 1, default : '1' },
+    q    : { type : ValidatedString, required : true },
+    tags : { type : List, elementType : ValidatedString },
+  }
+
+  test.each([
+    ['query string', 'q=foo&page=2'],
+    ['URLSearchParams', new URLSearchParams('q=foo&page=2')],
+    ['plain object', { q : 'foo', page : '2' }],
+    ['IncomingMessage', makeRequest('/search?q=foo&page=2')],
+    [
+      'Express request',
+      Object.assign(makeRequest('/search'), { query : { q : 'foo', page : '2' } }),
+    ],
+  ])('validates a %s', (description, params) =>
+    expect(validateRequest(spec, params)).toEqual({
+      ok      : true,
+      value   : { page : 2, q : 'foo' },
+      error   : undefined,
+      problem : undefined,
+    }))
+
+  test('applies defaults', () =>
+    expect(validateRequest(spec, 'q=foo').value).toEqual({ page : 1, q : 'foo' }))
+
+  test.each([['tags=a&tags=b&q=foo'], [{ q : 'foo', tags : ['a', 'b'] }]])(
+    'repeated params in %p are joined',
+    (params) =>
+      expect(validateRequest(spec, params).value.tags).toEqual(['a', 'b'])
+  )
+
+  test('produces a problem listing each invalid parameter', () => {
+    const { ok, error, problem } = validateRequest(spec, 'page=0')
+    expect(ok).toBe(false)
+    expect(error.errors).toHaveLength(2)
+    expect(problem).toEqual({
+      type          : 'about:blank',
+      title         : 'Bad Request',
+      status        : 400,
+      detail        : error.message,
+      invalidParams : [
+        {
+          name   : 'page',
+          reason : expect.stringMatching(
+            /^HTTP argument 'page' constraint 'min'/
+          ),
+        },
+        {
+          name   : 'q',
+          reason : expect.stringMatching(/^HTTP argument 'q' is required/),
+        },
+      ],
+    })
+  })
+
+  test('uses the highest status and keeps server errors out of the problem', () => {
+    const { error, problem } = validateRequest(
+      { a : Integer, b : { type : Integer, status : 500 } },
+      'a=x&b=y'
+    )
+    expect(error.message).toMatch(/argument 'b'/)
+    expect(problem).toEqual({
+      type   : 'about:blank',
+      title  : 'Internal Server Error',
+      status : 500,
+      detail :
+        'The request could not be validated because of a server configuration error.',
+      invalidParams : [
+        {
+          name   : 'a',
+          reason : expect.stringMatching(/^HTTP argument 'a' with value 'x'/),
+        },
+      ],
+    })
+  })
+
+  test('keeps spec errors out of the problem', () => {
+    const { error, problem } = validateRequest(
+      { size : { type : Union, types : [] } },
+      'size=1'
+    )
+    expect(error.message).toMatch(/option 'types'/)
+    expect(problem.status).toBe(500)
+    expect(problem.invalidParams).toEqual([])
+    expect(JSON.stringify(problem)).not.toMatch(/option 'types'/)
+  })
+
+  test('names nested parameters as HTTP arguments', () => {
+    const { problem } = validateRequest(
+      { ids : { type : List, elementType : Integer } },
+      'ids=1&ids=x'
+    )
+    expect(problem.invalidParams).toEqual([
+      {
+        name   : 'ids',
+        reason : expect.stringMatching(
+          /^HTTP argument 'ids\[1\]' with value 'x'/
+        ),
+      },
+    ])
+  })
+
+  test('throws on invalid params', () =>
+    expect(() => validateRequest(spec, 12)).toThrow(
+      /argument 'params' type 'object'/
+    ))
+})
+
+describe('requestValidator', () => {
+  const spec = { q : { type : ValidatedString, required : true } }
+
+  test('sets the validated params and calls next', () => {
+    const req = makeRequest('/?q=foo')
+    const next = jest.fn()
+    requestValidator(spec)(req, makeResponse(), next)
+    expect(req.validated).toEqual({ q : 'foo' })
+    expect(next).toHaveBeenCalled()
+  })
+
+  test('validates the body and sets the target', () => {
+    const req = Object.assign(makeRequest('/'), { body : { q : 'foo' } })
+    const next = jest.fn()
+    requestValidator(spec, { source : 'body', target : 'form' })(
+      req,
+      makeResponse(),
+      next
+    )
+    expect(req.form).toEqual({ q : 'foo' })
+  })
+
+  test('sends the problem details', () => {
+    const res = makeResponse()
+    const next = jest.fn()
+    requestValidator(spec)(makeRequest('/'), res, next)
+    expect(next).not.toHaveBeenCalled()
+    expect(res.statusCode).toBe(400)
+    expect(res.headers['Content-Type']).toBe('application/problem+json')
+    expect(JSON.parse(res.body).invalidParams).toEqual([
+      { name : 'q', reason : expect.stringMatching(/is required/) },
+    ])
+  })
+
+  test('throws on an invalid source', () =>
+    expect(() => requestValidator(spec, { source : 'headers' })).toThrow(
+      /argument 'source' with value 'headers' must be one of 'body', 'query'/
+    ))
+})
@@ -18,6 +18,7 @@ const validInput = [
   ['foo', { validateValue : (value) => value.startsWith('f') }],
   ['', {}], // this is a special case in the test since the output 'value' is different than the 'input'
   ['foo', { required : true }],
+  [' foo ', { whitespace : 'preserve' }],
 ]
 
 const failureInput = [
@@ -30,7 +31,12 @@ const failureInput = [
   ['foo', { minLength : 4 }, 'must be at least 4 characters long'],
   ['foo', { oneOf : ['a'] }, "must be 'a'"],
   ['foo', { oneOf : ['a', 'b'] }, "must be one of 'a', 'b'"],
-  ['foo', { oneOf : 'a, b' }, "must be one of 'a', 'b'"],
+  ['foo', { oneOf : 'a, b' }, "must be one of 'a', 'b'\\.$"],
+  [
+    'stagign',
+    { oneOf : ['production', 'staging'] },
+    "must be one of 'production', 'staging'\\. Did you mean 'staging'\\?$",
+  ],
   [
     'foo',
     { validateInput : (input) => input.startsWith('a') },
@@ -41,6 +47,12 @@ const failureInput = [
     { validateValue : (value) => value.startsWith('a') },
     'failed custom value validation',
   ],
+  [
+    'foo',
+    { validateValue : async () => true },
+    "option 'validateValue' returned a Promise when called synchronously",
+  ],
+  [' foo', { whitespace : 'reject' }, 'leading or trailing space'],
   ['', { required : true }, 'is required\\.$'],
   ['', { required : true, message : 'bar' }, '^bar$', false],
   [123, { message : 'bar' }, '^bar$', false],
@@ -67,4 +79,53 @@ describe('ValidatedString', () => {
       expect(() => context.type(input)).toThrow(new RegExp(errorMatch))
     }
   )
+
+  describe('with collectAllIssues', () => {
+    test('reports every issue together', () => {
+      try {
+        ValidatedString('foobar', {
+          name             : 'foo',
+          collectAllIssues : true,
+          startsWith       : 'a',
+          maxLength        : 3,
+          oneOf            : ['a', 'b'],
+        })
+        throw new Error('did not throw')
+      }
+      catch (e) {
+        expect(e.message).toMatch(
+          /^Command argument 'foo' with value 'foobar' has 3 issues\./
+        )
+        expect(e.errors.map(({ issue }) => issue)).toEqual([
+          "must start with 'a'",
+          'may be no more than 3 characters long',
+          "must be one of 'a', 'b'",
+        ])
+      }
+    })
+
+    test('throws a single issue as is', () =>
+      expect(() =>
+        ValidatedString('foo', {
+          name             : 'foo',
+          collectAllIssues : true,
+          startsWith       : 'a',
+        })).toThrow(
+        /^Command argument 'foo' with value 'foo' must start with 'a'\.$/
+      ))
+
+    test('includes custom validation issues', () => {
+      const { error } = ValidatedString.safe('foo', {
+        collectAllIssues : true,
+        endsWith         : 'a',
+        validateInput    : () => 'is bad input',
+        validateValue    : () => 'is bad value',
+      })
+      expect(error.errors.map(({ issue }) => issue)).toEqual([
+        "must end with 'a'",
+        'is bad input',
+        'is bad value',
+      ])
+    })
+  })
 })
@@ -1,9 +1,15 @@
 import { militaryTimeRe, timeRe, twentyFourHourTimeRe } from 'regex-repo'
 import { ArgumentInvalidError } from 'standard-error-set'
 
+import { applyDefault, usesDefault } from './lib/apply-default'
 import { checkMaxMin } from './lib/check-max-min'
 import { checkValidateInput } from './lib/check-validate-input'
 import { checkValidateValue } from './lib/check-validate-value'
+import { describeConstraints, describeIf, describeRange } from './lib/describe'
+import { makeAsync } from './lib/make-async'
+import { makeSafe } from './lib/make-safe'
+import { getMessage } from './lib/messages/get-message'
+import { redactErrors, usesRedaction } from './lib/redact-errors'
 import { sanitizeOptions } from './lib/sanitize-options'
 import { standardChecks } from './lib/standard-checks'
 
@@ -29,6 +35,22 @@ import { standardChecks } from './lib/standard-checks'
  * @param {string} options.name - The 'name' by which to refer to the input when generating error messages for the user.
  * @param {number} [options.status = 400] - The HTTP status to use when throwing `ArgumentInvalidError` errors.
  *   This can be used to mark arguments specified by in code or configurations without user input.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {*} [options.default = undefined] - The value to use when the input is empty. A string default is parsed
+ *   and validated just like the input, while any other default is checked against any `min`/`max` constraints and the
+ *   `validateValue` function. See [default values](#default-values).
+ * @param {string} [options.whitespace = 'trim'] - How to handle leading and trailing whitespace; 'trim' removes it,
+ *   'reject' rejects input containing it, and 'preserve' keeps it. See
+ *   [whitespace and normalization](#whitespace-and-normalization).
+ * @param {string} [options.normalize = undefined] - The Unicode normalization form applied to the input; 'NFC',
+ *   'NFD', 'NFKC', or 'NFKD'.
+ * @param {boolean} [options.collapseWhitespace = false] - If true, each run of whitespace within the input is
+ *   replaced by a single space.
+ * @param {boolean} [options.stripInvisible = false] - If true, zero-width and bidirectional control characters are
+ *   removed from the input.
+ * @param {boolean} [options.sensitive = false] - If true, the input is masked in any error messages and properties. See
+ *   [sensitive values](#sensitive-values).
  * @param {string} options.max - A string, parseable by this function, representing the latest valid time.
  * @param {string} options.min - A string, parseable by this function, representing the earliest valid time.
  * @param {boolean} options.noEod - Disallows the special times '24:00:00', which represents the last moment of the day.
@@ -41,6 +63,13 @@ import { standardChecks } from './lib/standard-checks'
  * @returns {TimeData} The parsed time data.
  */
 const TimeOfDay = function (input, options = this || {}) {
+  if (usesRedaction(options)) {
+    return redactErrors(TimeOfDay, input, options)
+  }
+  if (usesDefault(input, options)) {
+    return applyDefault(TimeOfDay, options)
+  }
+
   const { name, noEod, status } = options
   let { min, max } = options
 
@@ -63,7 +92,7 @@ const TimeOfDay = function (input, options = this || {}) {
     throw new ArgumentInvalidError({
       argumentName  : name,
       argumentValue : input,
-      issue         : 'not recognized as either military, standard, or 24-hour time',
+      ...getMessage('TIME_UNRECOGNIZED', {}, options),
       ...options,
     })
   }
@@ -74,7 +103,7 @@ const TimeOfDay = function (input, options = this || {}) {
   if (noEod === true) {
     throw new ArgumentInvalidError({
       argumentName : name,
-      issue        : "special 'end-of-day' time disallowed",
+      ...getMessage('TIME_EOD_DISALLOWED', {}, options),
       ...options,
     })
   }
@@ -162,5 +191,15 @@ const getValue = ({
 
 TimeOfDay.description = 'Time of day'
 TimeOfDay.toString = () => TimeOfDay.description
+TimeOfDay.safe = makeSafe(TimeOfDay)
+TimeOfDay.async = makeAsync(TimeOfDay)
+TimeOfDay.describe = (options = {}) =>
+  describeConstraints(TimeOfDay.description, [
+    describeRange(options, {
+      maxKey : 'DESCRIBE_ON_OR_BEFORE',
+      minKey : 'DESCRIBE_ON_OR_AFTER',
+    }),
+    describeIf(options.noEod === true, 'DESCRIBE_NO_EOD', {}, options),
+  ])
 
 export { TimeOfDay }
@@ -0,0 +1,306 @@
+import { ArgumentInvalidError, ArgumentTypeError } from 'standard-error-set'
+
+import { BooleanString } from './boolean-string'
+import { CardNumber } from './card-number'
+import { DateTime } from './date-time'
+import { Day } from './day'
+import { EIN } from './ein'
+import { Email } from './email'
+import { Enum } from './enum'
+import { Integer } from './integer'
+import { KeyValueMap } from './key-value-map'
+import { omitFieldRefs } from './lib/field-refs'
+import { getEnumValues } from './lib/get-enum-values'
+import { getFields } from './lib/get-fields'
+import { getMessage } from './lib/messages/get-message'
+import { List } from './list'
+import { Numeric } from './numeric'
+import { SSN } from './ssn'
+import { TimeOfDay } from './time-of-day'
+import { Union } from './union'
+import { ValidatedString } from './validated-string'
+
+/**
+ * Generates a [JSON Schema](https://json-schema.org/) fragment describing the values accepted by a type function with
+ * the given options. The schema describes the accepted input (as it would appear in a JSON document) rather than the
+ * value returned by the type function, so `Integer` maps to an 'integer' while `Email`, `Day`, `DateTime`, and
+ * `TimeOfDay` map to a 'string' with the appropriate `format` even though those types return objects. The following
+ * options are mapped:
+ * - `ValidatedString`: `minLength`, `maxLength`, `matchRe`/`startsWith`/`endsWith` (as `pattern`), and `oneOf` (as
+ *   `enum`),
+ * - `Enum`: `values` (as an `enum` of the canonical values and aliases when `caseSensitive` and otherwise as a
+ *   case-insensitive `pattern` matching the values and aliases),
+ * - `Integer` and `Numeric`: `min`/`max` (as `minimum`/`maximum`) and `divisibleBy` (as `multipleOf`),
+ * - `CardNumber`: `lengths` (as `minLength`/`maxLength`),
+ * - `List`: `elementType`/`elementOptions` (as `items`), `minItems`, `maxItems`, and `unique` (as `uniqueItems`),
+ * - `KeyValueMap`: `keyType`/`keyOptions` (as `propertyNames`), `valueType`/`valueOptions` (as
+ *   `additionalProperties`), and `requiredKeys` (as `required`), and
+ * - `Union`: `types` (as `anyOf`).
+ *
+ * String `min`, `max`, and `divisibleBy` limits are converted to numbers by the type function. Since JSON Schema
+ * patterns have no flags, a `matchRe` regular expression with flags which change the match (like 'i' or 'm') results
+ * in an `ArgumentInvalidError` with code 'JSON_SCHEMA_PATTERN_FLAGS' rather than a pattern which would accept
+ * different input. The 'd', 'g', and 'u' flags don't change what's matched and are allowed.
+ *
+ * Options which cannot be expressed in JSON Schema, such as the custom validation functions, are ignored. Custom types
+ * created with [defineType](#defineType) use the `jsonSchema` from the type definition. Any other function results in
+ * the empty schema, which accepts any value.
+ * @param {Function} type - The type function.
+ * @param {object} [options = {}] - The type options.
+ * @returns {object} The JSON Schema fragment.
+ * @example
+ * toJSONSchema(Integer, { min : 1, max : 100, divisibleBy : 5 })
+ * // { type : 'integer', minimum : 1, maximum : 100, multipleOf : 5 }
+ * @category JSON Schema
+ */
+const toJSONSchema = (type, options = {}) => {
+  if (typeof type !== 'function') {
+    throw new ArgumentTypeError({
+      argumentName : 'type',
+      argumentType : 'function',
+      receivedType : typeof type,
+      status       : 500,
+    })
+  }
+
+  const builder = schemaBuilders.get(type)
+  if (builder !== undefined) {
+    return compact(builder(options))
+  }
+  else if (typeof type.jsonSchema === 'function') {
+    return compact(type.jsonSchema(options))
+  }
+  else if (type.jsonSchema !== undefined) {
+    return JSON.parse(JSON.stringify(type.jsonSchema))
+  }
+  // else
+
+  return {}
+}
+
+/**
+ * Generates a [JSON Schema](https://json-schema.org/) describing the records accepted by a
+ * [validateRecord](#validateRecord) field specification. The result is an 'object' schema with each field in the
+ * `properties` (see [toJSONSchema](#toJSONSchema)) and each field with the `required` option listed in `required`.
+ * @param {object|Array.<object>} spec - The field specification.
+ * @returns {object} The JSON Schema.
+ * @example
+ * recordToJSONSchema({ email : { type : Email, required : true }, age : { type : Integer, min : 0 } })
+ * // {
+ * //   type       : 'object',
+ * //   properties : { email : { type : 'string', format : 'email' }, age : { type : 'integer', minimum : 0 } },
+ * //   required   : ['email'],
+ * // }
+ * @category JSON Schema
+ */
+const recordToJSONSchema = (spec) => {
+  const properties = {}
+  const required = []
+  for (const [field, type, { required: isRequired, ...options }] of getFields(
+    spec
+  )) {
+    properties[field] = toJSONSchema(type, omitFieldRefs(options))
+    if (isRequired === true) {
+      required.push(field)
+    }
+  }
+
+  return compact({
+    type     : 'object',
+    properties,
+    required : required.length > 0 ? required : undefined,
+  })
+}
+
+const escapeRe = (string) => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// JSON Schema patterns have no 'i' flag, so each letter is matched by a character class like '[aA]'
+const toCaseInsensitivePattern = (matches) =>
+  '^(?:'
+  + matches
+    .map((match) =>
+      [...match]
+        .map((char) => {
+          const lower = char.toLowerCase()
+          const upper = char.toUpperCase()
+
+          return lower !== upper && lower.length === 1 && upper.length === 1
+            ? `[${lower}${upper}]`
+            : escapeRe(char)
+        })
+        .join(''))
+    .join('|')
+  + ')$'
+
+const toArray = (value) =>
+  typeof value === 'string' ? value.split(/\s*,\s*/) : value
+
+// removes undefined fields so the schema only includes the constraints in force
+const compact = (schema) => {
+  for (const [key, value] of Object.entries(schema)) {
+    if (value === undefined) {
+      delete schema[key]
+    }
+  }
+
+  return schema
+}
+
+// the regular expression flags which don't change what's matched
+const patternSafeFlags = ['d', 'g', 'u']
+
+// converts the 'matchRe' option to a JSON Schema pattern, which has no flags
+const toPattern = (matchRe, { locale, name }) => {
+  if (typeof matchRe === 'string') {
+    return matchRe
+  }
+
+  const flags = [...matchRe.flags]
+    .filter((flag) => !patternSafeFlags.includes(flag))
+    .join('')
+  if (flags !== '') {
+    throw new ArgumentInvalidError({
+      argumentName  : name === undefined ? 'matchRe' : `${name}' option 'matchRe`,
+      argumentValue : String(matchRe),
+      ...getMessage('JSON_SCHEMA_PATTERN_FLAGS', { flags }, { locale }),
+      status        : 500,
+    })
+  }
+
+  return matchRe.source
+}
+
+// string limits are converted by the type function, as for the limits checked against non-string defaults
+const numberSchema =
+  (schemaType, type) =>
+    ({ divisibleBy, locale, max, min, name }) => {
+      const convertLimit = (limit, limitName) =>
+        typeof limit === 'string'
+          ? type(limit, {
+            locale,
+            name :
+              name === undefined
+                ? limitName
+                : `${name}' constraint '${limitName}`,
+            status : 500,
+          })
+          : limit
+
+      return {
+        type       : schemaType,
+        minimum    : convertLimit(min, 'min'),
+        maximum    : convertLimit(max, 'max'),
+        multipleOf : convertLimit(divisibleBy, 'divisibleBy'),
+      }
+    }
+
+const schemaBuilders = new Map([
+  [BooleanString, () => ({ type : 'boolean' })],
+  [
+    CardNumber,
+    ({ lengths = [12, 13, 14, 15, 16, 17, 18, 19] }) => ({
+      type      : 'string',
+      pattern   : '^\\d+$',
+      minLength : Math.min(...lengths),
+      maxLength : Math.max(...lengths),
+    }),
+  ],
+  [DateTime, () => ({ type : 'string', format : 'date-time' })],
+  [Day, () => ({ type : 'string', format : 'date' })],
+  [EIN, () => ({ type : 'string', pattern : '^\\d{2}-\\d{7}$' })],
+  [Email, () => ({ type : 'string', format : 'email' })],
+  [
+    Enum,
+    ({ caseSensitive, values }) => {
+      const matches = getEnumValues(values).flatMap(({ aliases, value }) => [
+        value,
+        ...aliases,
+      ])
+
+      return caseSensitive === true
+        ? { type : 'string', enum : matches }
+        : { type : 'string', pattern : toCaseInsensitivePattern(matches) }
+    },
+  ],
+  [Integer, numberSchema('integer', Integer)],
+  [
+    KeyValueMap,
+    ({
+      keyOptions,
+      keyType = ValidatedString,
+      requiredKeys,
+      valueOptions,
+      valueType = ValidatedString,
+    }) => ({
+      type                 : 'object',
+      propertyNames        : toJSONSchema(keyType, keyOptions),
+      additionalProperties : toJSONSchema(valueType, valueOptions),
+      required             : toArray(requiredKeys),
+    }),
+  ],
+  [
+    List,
+    ({ elementOptions, elementType, maxItems, minItems, unique }) => ({
+      type : 'array',
+      items :
+        elementType === undefined
+          ? undefined
+          : toJSONSchema(elementType, elementOptions),
+      minItems,
+      maxItems,
+      uniqueItems : unique === true ? true : undefined,
+    }),
+  ],
+  [Numeric, numberSchema('number', Numeric)],
+  [SSN, () => ({ type : 'string', pattern : '^\\d{3}-\\d{2}-\\d{4}$' })],
+  [TimeOfDay, () => ({ type : 'string', format : 'time' })],
+  [
+    Union,
+    ({ types = [] }) => ({
+      anyOf : types.map((typeSpec) => {
+        const { type, ...typeOptions } =
+          typeof typeSpec === 'function' ? { type : typeSpec } : typeSpec
+
+        return toJSONSchema(type, typeOptions)
+      }),
+    }),
+  ],
+  [
+    ValidatedString,
+    ({
+      endsWith,
+      locale,
+      matchRe,
+      maxLength,
+      minLength,
+      name,
+      oneOf,
+      startsWith,
+    }) => {
+      const patterns = []
+      if (matchRe !== undefined) {
+        patterns.push(toPattern(matchRe, { locale, name }))
+      }
+      if (startsWith !== undefined) {
+        patterns.push('^' + escapeRe(startsWith))
+      }
+      if (endsWith !== undefined) {
+        patterns.push(escapeRe(endsWith) + '$')
+      }
+
+      return {
+        type    : 'string',
+        minLength,
+        maxLength,
+        pattern : patterns.length === 1 ? patterns[0] : undefined,
+        allOf :
+          patterns.length > 1
+            ? patterns.map((pattern) => ({ pattern }))
+            : undefined,
+        enum : toArray(oneOf),
+      }
+    },
+  ],
+])
+
+export { recordToJSONSchema, toJSONSchema }
@@ -0,0 +1,266 @@
+import { ArgumentInvalidError, CommonError } from 'standard-error-set'
+
+import { applyDefault, usesDefault } from './lib/apply-default'
+import { checkValidateInput } from './lib/check-validate-input'
+import { checkValidateValue } from './lib/check-validate-value'
+import { describeType } from './lib/describe'
+import { makeAsync } from './lib/make-async'
+import { makeSafe } from './lib/make-safe'
+import { getMessage, getPhrase } from './lib/messages/get-message'
+import { isSensitiveType, redactErrors } from './lib/redact-errors'
+import { sanitizeOptions } from './lib/sanitize-options'
+import { standardChecks } from './lib/standard-checks'
+
+/**
+ * Parses and validates the input with each of the `types`, in order, and returns the value from the first type which
+ * accepts the input. E.g., to accept "an integer or 'auto'":
+ * ```javascript
+ * Union('auto', {
+ *   name  : 'size',
+ *   types : [Integer, { type : ValidatedString, oneOf : ['auto'] }],
+ * }) // 'auto'
+ * ```
+ *
+ * Each entry in `types` is either a type function or a type spec object with a `type` field holding the type function;
+ * the remaining fields are passed to the type function as options (just like a [validateRecord](#validateRecord) field
+ * spec). Unless specified in the type spec, the `name`, `endpointType`, `locale`, and `status` options are passed to
+ * each type.
+ *
+ * If none of the types accept the input, then an `ArgumentInvalidError` is thrown which lists the expected types by
+ * their `description` (e.g., "expected Integer or Validated string"). The `hint` gives the reason each type rejected
+ * the input and the individual errors are available in the `errors` property.
+ *
+ * `Union.async()` tries each type with its `async()` variant, so asynchronous validation functions in the type specs
+ * are awaited and a rejection moves on to the next type, just like a failed synchronous validation.
+ * @param {string} input - The input string.
+ * @param {object} options - The validation options.
+ * @param {string} options.name - The 'name' by which to refer to the input when generating error messages for the user.
+ * @param {number} [options.status = 400] - The HTTP status to use when throwing `ArgumentInvalidError` errors.
+ *   This can be used to mark arguments specified by in code or configurations without user input.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {*} [options.default = undefined] - The value to use when the input is empty. A string default is parsed
+ *   and validated just like the input, while any other default is checked against any `min`/`max` constraints and the
+ *   `validateValue` function. See [default values](#default-values).
+ * @param {string} [options.whitespace = 'trim'] - How to handle leading and trailing whitespace; 'trim' removes it,
+ *   'reject' rejects input containing it, and 'preserve' keeps it. See
+ *   [whitespace and normalization](#whitespace-and-normalization).
+ * @param {string} [options.normalize = undefined] - The Unicode normalization form applied to the input; 'NFC',
+ *   'NFD', 'NFKC', or 'NFKD'.
+ * @param {boolean} [options.collapseWhitespace = false] - If true, each run of whitespace within the input is
+ *   replaced by a single space.
+ * @param {boolean} [options.stripInvisible = false] - If true, zero-width and bidirectional control characters are
+ *   removed from the input.
+ * @param {boolean} [options.sensitive = false] - If true, the input is masked in any error messages and properties.
+ *   Defaults to true when any of the types are sensitive. See [sensitive values](#sensitive-values).
+ * @param {boolean} [options.required = false] - If true, then the empty string is rejected and `ArgumentMissingError`
+ *   is thrown.
+ * @param {Array.<Function|object>} options.types - The type functions or type specs to try.
+ * @param {Function} [options.validateInput = undefined] - A custom validation function which looks at the original
+ *   input string. See the [custom validation functions](#custom-validation-functions) section for details on input and
+ *   return values.
+ * @param {Function} [options.validateValue = undefined] - A custom validation function which looks at the transformed
+ *   value. See the [custom validation functions](#custom-validation-functions) section for details on input and return
+ *   values.
+ * @returns {*} The value returned by the first type which accepts the input.
+ */
+const Union = function (input, options = this || {}) {
+  if (isSensitiveType(Union, options)) {
+    return redactErrors(Union, input, options)
+  }
+  if (usesDefault(input, options)) {
+    return applyDefault(Union, options)
+  }
+
+  const { name, types } = options
+
+  options = sanitizeOptions(options)
+
+  input = standardChecks({ ...options, input, name })
+  if (input === '') {
+    return undefined
+  }
+
+  if (!Array.isArray(types) || types.length === 0) {
+    throw new ArgumentInvalidError({
+      argumentName : `${name}' option 'types`,
+      ...getMessage('UNION_NO_TYPES', {}, options),
+      status       : 500,
+    })
+  }
+
+  const { endpointType, locale, redacting, status } = options
+  const errors = []
+  const descriptions = []
+  let value
+  let matched = false
+  for (const typeSpec of types) {
+    const { type, ...typeOptions } =
+      typeof typeSpec === 'function' ? { type : typeSpec } : typeSpec
+    if (typeof type !== 'function') {
+      throw new ArgumentInvalidError({
+        argumentName : `${name}' option 'types`,
+        ...getMessage('RECORD_SPEC_NO_TYPE', {}, options),
+        status       : 500,
+      })
+    }
+
+    try {
+      value = type(input, {
+        endpointType,
+        name,
+        locale,
+        redacting,
+        status,
+        ...typeOptions,
+      })
+      matched = true
+      break
+    }
+    catch (error) {
+      // an async validation function is a mistake in the spec rather than a reason to try the next type
+      if (
+        !(error instanceof CommonError)
+        || error.code === 'CUSTOM_VALIDATION_ASYNC'
+      ) {
+        throw error
+      }
+      errors.push(error)
+      descriptions.push(type.description || type.name)
+    }
+  }
+
+  if (matched === false) {
+    throw new ArgumentInvalidError({
+      argumentName  : name,
+      argumentValue : input,
+      ...getMessage(
+        'UNION_NO_MATCH',
+        {
+          expected : getPhrase('TYPE_LIST_OR', { items : descriptions }, options),
+        },
+        options
+      ),
+      hint : errors
+        .map(
+          (error, index) =>
+            `(${index + 1}) ${descriptions[index]}: ${error.message}`
+        )
+        .join(' '),
+      errors,
+      ...options,
+    })
+  }
+
+  const validationOptions = Object.assign(
+    { input, name, type : 'union' },
+    options
+  )
+  checkValidateInput(input, validationOptions)
+  checkValidateValue(value, validationOptions)
+
+  return value
+}
+
+Union.description = 'Union'
+Union.toString = () => Union.description
+// sensitive by default when any of the types are
+Union.sensitive = ({ types } = {}) =>
+  Array.isArray(types)
+  && types.some((typeSpec) => {
+    const { type, ...typeOptions } =
+      typeof typeSpec === 'function' ? { type : typeSpec } : typeSpec || {}
+
+    return isSensitiveType(type, typeOptions)
+  })
+Union.safe = makeSafe(Union)
+Union.async = async (input, options = {}) => {
+  const { types } = options
+  if (!Array.isArray(types)) {
+    return unionAsync(input, options) // 'Union()' will complain
+  }
+
+  // 'Union()' is first run with stand-in types which record how each type is called
+  const sensitive = options.sensitive ?? Union.sensitive(options)
+  const calls = []
+  const recorders = types.map((typeSpec) =>
+    withStandInType(typeSpec, (...args) => {
+      calls.push(args)
+      throw new CommonError()
+    }))
+  try {
+    Union(input, { ...options, sensitive, types : recorders })
+  }
+  catch {
+    // the stand-ins reject everything
+  }
+  if (calls.length === 0) {
+    // the input was empty, missing, or otherwise rejected before trying the types
+    return unionAsync(input, options)
+  }
+
+  // then the real types are tried in order until one accepts the input
+  const results = []
+  for (const [index, [typeInput, typeOptions]] of calls.entries()) {
+    const { type } = toTypeSpec(types[index])
+    try {
+      results.push({
+        value : await (type.async || type)(typeInput, typeOptions),
+      })
+      break
+    }
+    catch (error) {
+      results.push({ error })
+      if (!(error instanceof CommonError)) {
+        break
+      }
+    }
+  }
+
+  // and finally 'Union()' is run with stand-ins which replay the results so the union checks and errors are the same
+  const replayers = types.map((typeSpec, index) =>
+    withStandInType(typeSpec, () => {
+      const { error, value } = results[index]
+      if (error !== undefined) {
+        throw error
+      }
+
+      return value
+    }))
+
+  return unionAsync(input, { ...options, sensitive, types : replayers })
+}
+Union.describe = (options = {}) => {
+  const { types = [] } = options
+  if (types.length === 0) {
+    return Union.description
+  }
+
+  const descriptions = types.map((typeSpec) => {
+    const { type, ...typeOptions } =
+      typeof typeSpec === 'function' ? { type : typeSpec } : typeSpec
+
+    return describeType(type, typeOptions)
+  })
+
+  return getPhrase('TYPE_LIST_OR', { items : descriptions }, options)
+}
+
+// awaits the union 'validateInput' and 'validateValue' functions
+const unionAsync = makeAsync(Union)
+
+const toTypeSpec = (typeSpec) =>
+  typeof typeSpec === 'function' ? { type : typeSpec } : typeSpec || {}
+
+// replaces the type in the spec with a stand-in function with the same description; bad specs are left for 'Union()'
+const withStandInType = (typeSpec, standIn) => {
+  const { type, ...typeOptions } = toTypeSpec(typeSpec)
+  if (typeof type !== 'function') {
+    return typeSpec
+  }
+  standIn.description = type.description || type.name
+
+  return { ...typeOptions, type : standIn }
+}
+
+export { Union }
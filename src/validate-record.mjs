@@ -0,0 +1,90 @@
+import { ArgumentTypeError } from 'standard-error-set'
+
+import { makeFieldRefResolver } from './lib/field-refs'
+import { getFields } from './lib/get-fields'
+import { makeSafe } from './lib/make-safe'
+
+/**
+ * Validates and converts the fields of a record (e.g., a CSV row, configuration object, or request body) according to
+ * a field specification. The specification may be either an object mapping field names to field specs or an array of
+ * field specs (just like a [command-line-args](https://github.com/75lb/command-line-args#readme) option spec) where
+ * each entry defines the field `name`. A field spec is an object with a `type` field holding the type function; the
+ * remaining fields are passed to the type function as options. A bare type function may also be used as the field spec
+ * when no options are needed.
+ *
+ * The field key is used as the default `name` in any error messages. Fields which are missing from the record (
+ * `undefined` or `null`) are treated as the empty string, so `required` works just as it does for the individual type
+ * functions. Record fields not included in the specification are ignored.
+ *
+ * The fields are parsed in spec order and the `min`, `max`, and `required` options may reference an earlier field
+ * to express cross-field constraints. E.g., `min : { field : 'start' }` requires the value be greater than or equal
+ * to the parsed 'start' value and `required : { field : 'paymentMethod', equals : 'card' }` makes the field required
+ * when the parsed 'paymentMethod' is 'card'. See [cross-field constraints](#cross-field-constraints).
+ *
+ * `validateRecord.async()` returns a Promise and validates each field with the `async()` variant of its type function
+ * (when defined), so that Promise-returning [custom validation functions](#custom-validation-functions) are awaited.
+ * @param {object|Array.<object>} spec - The field specification.
+ * @param {object} record - The record to validate.
+ * @returns {object} An object mapping field names to their converted values. Fields which are empty are not included.
+ * @example
+ * const spec = {
+ *   email    : { type : Email, required : true },
+ *   birthday : { type : Day, min : '1900-01-01' },
+ *   nickname : ValidatedString,
+ * }
+ * const { email, birthday } = validateRecord(spec, { email : 'john@foo.com', birthday : '1990-02-03' })
+ * @category Records
+ */
+const validateRecord = (spec, record) => {
+  checkRecord(record)
+
+  const fields = getFields(spec)
+  const resolveFieldRefs = makeFieldRefResolver(fields)
+  const result = {}
+  for (const [field, type, fieldOptions] of fields) {
+    const input = record[field] ?? ''
+    const { options, check } = resolveFieldRefs(fieldOptions, result)
+    const value = type(input, options)
+    check(value, input)
+    if (value !== undefined) {
+      result[field] = value
+    }
+  }
+
+  return result
+}
+
+const validateRecordAsync = async (spec, record) => {
+  checkRecord(record)
+
+  const fields = getFields(spec)
+  const resolveFieldRefs = makeFieldRefResolver(fields)
+  const result = {}
+  for (const [field, type, fieldOptions] of fields) {
+    const input = record[field] ?? ''
+    const { options, check } = resolveFieldRefs(fieldOptions, result)
+    const value = await (type.async || type)(input, options)
+    check(value, input)
+    if (value !== undefined) {
+      result[field] = value
+    }
+  }
+
+  return result
+}
+
+const checkRecord = (record) => {
+  if (record === undefined || record === null || typeof record !== 'object') {
+    throw new ArgumentTypeError({
+      argumentName : 'record',
+      argumentType : 'object',
+      receivedType : record === null ? 'null' : typeof record,
+      status       : 500,
+    })
+  }
+}
+
+validateRecord.safe = makeSafe(validateRecord)
+validateRecord.async = validateRecordAsync
+
+export { validateRecord }
@@ -0,0 +1,189 @@
+import { STATUS_CODES } from 'node:http'
+import { URL, URLSearchParams } from 'node:url'
+
+import {
+  ArgumentInvalidError,
+  ArgumentTypeError,
+  CommonError
+} from 'standard-error-set'
+
+import { loadVariables } from './lib/load-variables'
+import { getMessage, getPhrase } from './lib/messages/get-message'
+
+/**
+ * Validates HTTP query or form parameters according to a [validateRecord](#validateRecord) style spec. The parameters
+ * may be given as a `URLSearchParams`, a query string, a plain object (like an Express `req.query` or `req.body`), or
+ * a Node `IncomingMessage` (in which case the parameters are taken from `req.query`, if defined, or else from the
+ * request URL). Repeated parameters (e.g., 'tag=a&tag=b') are joined with commas, which works well with the `List`
+ * type. Each field spec may define a `default` which is used when the parameter is missing or empty.
+ *
+ * Every parameter is checked and the result has the form `{ ok, value, error, problem }`. When `ok` is `false`,
+ * `error` is the error which [loadEnv](#loadEnv) would throw and `problem` is an [RFC 9457](https://www.rfc-editor.org/
+ * rfc/rfc9457) problem details object suitable for use as a JSON response body. The errors name the parameters as
+ * "HTTP argument 'page'" and so on. The problem `status` is the highest `status` among the errors, so problems with
+ * the spec itself (which use status 500) are not reported as client errors. Each parameter with a client error (a
+ * `status` below 500) is listed in the `invalidParams` field with its `name` and the `reason` it's invalid. Since
+ * errors with a `status` of 500 or more describe the spec or configuration, their messages are left out of the
+ * problem and the `detail` is a generic message instead.
+ * @param {object|Array.<object>} spec - The parameter specification.
+ * @param {URLSearchParams|string|object} params - The parameters or request.
+ * @returns {{ ok: boolean, value: object, error: Error, problem: object }} The validation result.
+ * @example
+ * const { ok, value, problem } = validateRequest(
+ *   { page : { type : Integer, min : 1, default : '1' }, q : ValidatedString },
+ *   new URLSearchParams('page=0&q=foo')
+ * )
+ * // problem = {
+ * //   type          : 'about:blank',
+ * //   title         : 'Bad Request',
+ * //   status        : 400,
+ * //   detail        : "HTTP argument 'page' constraint 'min' ...",
+ * //   invalidParams : [{ name : 'page', reason : "HTTP argument 'page' constraint 'min' ..." }],
+ * // }
+ * @category HTTP
+ */
+const validateRequest = (spec, params) => {
+  const variables = getParams(params)
+  const paramNames = new Map()
+  try {
+    const value = loadVariables({
+      endpointType : 'HTTP',
+      locate       : (error, param) => paramNames.set(error, param),
+      name         : 'request',
+      spec,
+      variables,
+    })
+
+    return { ok : true, value, error : undefined, problem : undefined }
+  }
+  catch (error) {
+    if (!(error instanceof CommonError)) {
+      throw error
+    }
+
+    return {
+      ok      : false,
+      value   : undefined,
+      error,
+      problem : makeProblem(error, paramNames),
+    }
+  }
+}
+
+/**
+ * Creates an Express style `(req, res, next)` middleware function which validates the request parameters with
+ * [validateRequest](#validateRequest). On success, the validated parameters are set on the request (as `req.validated`
+ * by default) and `next()` is called. Otherwise, the problem details are sent as an 'application/problem+json'
+ * response. The response is sent using the basic Node `ServerResponse` methods, so the middleware works with Express,
+ * Connect, and plain Node HTTP servers.
+ * @param {object|Array.<object>} spec - The parameter specification.
+ * @param {object} [options = {}] - The middleware options.
+ * @param {string} [options.source = 'query'] - Where to find the parameters; either 'query' or 'body'. To validate
+ *   the body, the body must already be parsed (e.g., by `express.urlencoded()`) into `req.body`.
+ * @param {string} [options.target = 'validated'] - The request field to set the validated parameters on.
+ * @returns {Function} The middleware function.
+ * @example
+ * app.get('/search', requestValidator({ q : { type : ValidatedString, required : true } }), (req, res) => {
+ *   res.json(search(req.validated.q))
+ * })
+ * @category HTTP
+ */
+const requestValidator = (
+  spec,
+  { source = 'query', target = 'validated' } = {}
+) => {
+  if (source !== 'body' && source !== 'query') {
+    throw new ArgumentInvalidError({
+      argumentName  : 'source',
+      argumentValue : source,
+      ...getMessage('STRING_ONE_OF', { oneOf : ['body', 'query'] }),
+      status        : 500,
+    })
+  }
+
+  return (req, res, next) => {
+    const { ok, value, problem } = validateRequest(
+      spec,
+      source === 'body' ? (req.body ?? {}) : req
+    )
+    if (ok === true) {
+      req[target] = value
+      next()
+    }
+    else {
+      res.statusCode = problem.status
+      res.setHeader('Content-Type', 'application/problem+json')
+      res.end(JSON.stringify(problem))
+    }
+  }
+}
+
+const getParams = (params) => {
+  if (typeof params === 'string') {
+    params = new URLSearchParams(params)
+  }
+  else if (
+    typeof params?.url === 'string'
+    && typeof params?.headers === 'object'
+  ) {
+    // then it's a request
+    params =
+      params.query !== undefined && params.query !== null
+        ? params.query
+        : new URL(params.url, 'http://localhost').searchParams
+  }
+
+  if (params instanceof URLSearchParams) {
+    const result = {}
+    for (const key of params.keys()) {
+      result[key] = params.getAll(key).join(',')
+    }
+
+    return result
+  }
+  else if (
+    params === undefined
+    || params === null
+    || typeof params !== 'object'
+  ) {
+    throw new ArgumentTypeError({
+      argumentName : 'params',
+      argumentType : 'object',
+      receivedType : params === null ? 'null' : typeof params,
+      status       : 500,
+    })
+  }
+  // else, it's a plain object
+
+  const result = {}
+  for (const [key, value] of Object.entries(params)) {
+    result[key] = Array.isArray(value) ? value.join(',') : value
+  }
+
+  return result
+}
+
+// Server errors (with a 'status' of 500 or more) describe the spec or configuration, so their messages are kept out of
+// the problem, which is sent to the client.
+const makeProblem = (error, paramNames) => {
+  const errors = error.errors || [error]
+  const getStatus = ({ status }) => status || 400
+  const status = Math.max(...errors.map(getStatus))
+  const clientErrors = errors.filter(
+    (paramError) => getStatus(paramError) < 500
+  )
+
+  return {
+    type  : 'about:blank',
+    title : STATUS_CODES[status],
+    status,
+    detail :
+      status >= 500 ? getPhrase('REQUEST_PROBLEM_INTERNAL') : error.message,
+    invalidParams : clientErrors.map((paramError) => ({
+      name   : paramNames.get(paramError),
+      reason : paramError.message,
+    })),
+  }
+}
+
+export { requestValidator, validateRequest }
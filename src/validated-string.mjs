@@ -1,7 +1,15 @@
 import { ArgumentInvalidError } from 'standard-error-set'
 
+import { applyDefault, usesDefault } from './lib/apply-default'
 import { checkValidateInput } from './lib/check-validate-input'
 import { checkValidateValue } from './lib/check-validate-value'
+import { describeConstraints, describeIf, describeRange } from './lib/describe'
+import { getSuggestions } from './lib/get-suggestions'
+import { makeAsync } from './lib/make-async'
+import { makeIssueCollector } from './lib/make-issue-collector'
+import { makeSafe } from './lib/make-safe'
+import { getMessage } from './lib/messages/get-message'
+import { isRedacting, redactErrors, usesRedaction } from './lib/redact-errors'
 import { sanitizeOptions } from './lib/sanitize-options'
 import { standardChecks } from './lib/standard-checks'
 
@@ -12,8 +20,26 @@ import { standardChecks } from './lib/standard-checks'
  * @param {string} options.name - The 'name' by which to refer to the input when generating error messages for the user.
  * @param {number} [options.status = 400] - The HTTP status to use when throwing `ArgumentInvalidError` errors.
  *   This can be used to mark arguments specified by in code or configurations without user input.
+ * @param {string} [options.locale = undefined] - The locale used for error messages. Defaults to the
+ *   [default locale](#setDefaultLocale). See [localization](#localization).
+ * @param {*} [options.default = undefined] - The value to use when the input is empty. A string default is parsed
+ *   and validated just like the input, while any other default is checked against any `min`/`max` constraints and the
+ *   `validateValue` function. See [default values](#default-values).
+ * @param {string} [options.whitespace = 'trim'] - How to handle leading and trailing whitespace; 'trim' removes it,
+ *   'reject' rejects input containing it, and 'preserve' keeps it. See
+ *   [whitespace and normalization](#whitespace-and-normalization).
+ * @param {string} [options.normalize = undefined] - The Unicode normalization form applied to the input; 'NFC',
+ *   'NFD', 'NFKC', or 'NFKD'.
+ * @param {boolean} [options.collapseWhitespace = false] - If true, each run of whitespace within the input is
+ *   replaced by a single space.
+ * @param {boolean} [options.stripInvisible = false] - If true, zero-width and bidirectional control characters are
+ *   removed from the input.
+ * @param {boolean} [options.sensitive = false] - If true, the input is masked in any error messages and properties. See
+ *   [sensitive values](#sensitive-values).
  * @param {boolean} [options.required = false] - If true, then the empty string is rejected and `ArgumentMissingError`
  *   is thrown.
+ * @param {boolean} [options.collectAllIssues = false] - If true, then all issues with the input are collected and
+ *   reported together rather than failing on the first issue. See [collecting all issues](#collecting-all-issues).
  * @param {string} [options.after = undefined] - The input must be or lexicographically sort after this string.
  * @param {string} [options.before = undefined] - The input must be or lexicographically sort before this string.
  * @param {string} [options.endsWith = undefined] - The input string must end with the indicated string.
@@ -22,7 +48,8 @@ import { standardChecks } from './lib/standard-checks'
  *   Specifying a string which is an invalid regular expression will cause an exception to be thrown.
  * @param {number} [options.minLength = undefined] - The shortest valid input string in terms of characters.
  * @param {Array.<string>} [options.oneOf = undefined] - The input string must be exactly one of the members of this
- *   array.
+ *   array. When it's not, the closest members (if any) are suggested in the error `hint`, like "Did you mean
+ *   'staging'?". Use [Enum](#Enum) for case-insensitive matching and aliases.
  * @param {string} [options.startsWith = undefined] - The input string must start with the indicated string.
  * @param {Function} [options.validateInput = undefined] - A custom validation function which looks at the original
  *   input string. See the [custom validation functions](#custom-validation-functions) section for details on input and
@@ -33,6 +60,13 @@ import { standardChecks } from './lib/standard-checks'
  * @returns {string} Returns the input.
  */
 const ValidatedString = function (input, options = this || {}) {
+  if (usesRedaction(options)) {
+    return redactErrors(ValidatedString, input, options)
+  }
+  if (usesDefault(input, options)) {
+    return applyDefault(ValidatedString, options)
+  }
+
   const {
     after,
     before,
@@ -52,38 +86,48 @@ const ValidatedString = function (input, options = this || {}) {
     return undefined
   }
 
+  const issues = makeIssueCollector({ ...options, input, name })
+
   if (after !== undefined && [after, input].sort()[0] !== after) {
-    throw new ArgumentInvalidError({
-      argumentName  : name,
-      argumentValue : input,
-      issue         : `must be lexicographically after '${after}'`,
-      ...options,
-    })
+    issues.add(
+      new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        ...getMessage('STRING_AFTER', { after }, options),
+        ...options,
+      })
+    )
   }
   if (before !== undefined && [input, before].sort()[1] !== before) {
-    throw new ArgumentInvalidError({
-      argumentName  : name,
-      argumentValue : input,
-      issue         : `must be lexicographically before '${before}'`,
-      ...options,
-    })
+    issues.add(
+      new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        ...getMessage('STRING_BEFORE', { before }, options),
+        ...options,
+      })
+    )
   }
 
   if (endsWith !== undefined && !input.endsWith(endsWith)) {
-    throw new ArgumentInvalidError({
-      argumentName  : name,
-      argumentValue : input,
-      issue         : `must end with '${endsWith}'`,
-      ...options,
-    })
+    issues.add(
+      new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        ...getMessage('STRING_ENDS_WITH', { endsWith }, options),
+        ...options,
+      })
+    )
   }
   if (startsWith !== undefined && !input.startsWith(startsWith)) {
-    throw new ArgumentInvalidError({
-      argumentName  : name,
-      argumentValue : input,
-      issue         : `must start with '${startsWith}'`,
-      ...options,
-    })
+    issues.add(
+      new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        ...getMessage('STRING_STARTS_WITH', { startsWith }, options),
+        ...options,
+      })
+    )
   }
 
   if (matchRe !== undefined) {
@@ -91,47 +135,59 @@ const ValidatedString = function (input, options = this || {}) {
       matchRe = new RegExp(matchRe)
     }
     if (matchRe.test(input) !== true) {
-      throw new ArgumentInvalidError({
-        argumentName  : name,
-        argumentValue : input,
-        issue         : `must match ${matchRe.toString()}`,
-        ...options,
-      })
+      issues.add(
+        new ArgumentInvalidError({
+          argumentName  : name,
+          argumentValue : input,
+          ...getMessage('STRING_MATCH_RE', { matchRe }, options),
+          ...options,
+        })
+      )
     }
   }
 
   if (maxLength !== undefined && input.length > maxLength) {
-    throw new ArgumentInvalidError({
-      argumentName  : name,
-      argumentValue : input,
-      issue         : `may be no more than ${maxLength} characters long`,
-      ...options,
-    })
+    issues.add(
+      new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        ...getMessage('STRING_MAX_LENGTH', { maxLength }, options),
+        ...options,
+      })
+    )
   }
   if (minLength !== undefined && input.length < minLength) {
-    throw new ArgumentInvalidError({
-      argumentName  : name,
-      argumentValue : input,
-      issue         : `must be at least ${minLength} characters long`,
-      ...options,
-    })
+    issues.add(
+      new ArgumentInvalidError({
+        argumentName  : name,
+        argumentValue : input,
+        ...getMessage('STRING_MIN_LENGTH', { minLength }, options),
+        ...options,
+      })
+    )
   }
 
   if (oneOf !== undefined) {
     const testGroup = typeof oneOf === 'string' ? oneOf.split(/\s*,\s*/) : oneOf
 
     if (!testGroup.includes(input)) {
-      const issue =
-        'must be '
-        + (testGroup.length === 1
-          ? `'${testGroup[0]}'`
-          : `one of '${testGroup.join("', '")}'`)
-      throw new ArgumentInvalidError({
-        argumentName  : name,
-        argumentValue : input,
-        issue,
-        ...options,
-      })
+      issues.add(
+        new ArgumentInvalidError({
+          argumentName  : name,
+          argumentValue : input,
+          ...getMessage(
+            'STRING_ONE_OF',
+            {
+              oneOf       : testGroup,
+              suggestions : isRedacting(options)
+                ? []
+                : getSuggestions(input, testGroup),
+            },
+            options
+          ),
+          ...options,
+        })
+      )
     }
   }
 
@@ -139,13 +195,54 @@ const ValidatedString = function (input, options = this || {}) {
     { input, name, type : 'string' },
     options
   )
-  checkValidateInput(input, validationOptions)
-  checkValidateValue(input, validationOptions)
+  issues.check(() => checkValidateInput(input, validationOptions))
+  issues.check(() => checkValidateValue(input, validationOptions))
+  issues.throwIfAny()
 
   return input
 }
 
 ValidatedString.description = 'Validated string'
 ValidatedString.toString = () => ValidatedString.description
+ValidatedString.safe = makeSafe(ValidatedString)
+ValidatedString.async = makeAsync(ValidatedString)
+ValidatedString.describe = (options = {}) => {
+  const {
+    after,
+    before,
+    endsWith,
+    locale,
+    matchRe,
+    maxLength,
+    minLength,
+    startsWith,
+  } = options
+  let { oneOf } = options
+  if (typeof oneOf === 'string') {
+    oneOf = oneOf.split(/\s*,\s*/)
+  }
+
+  return describeConstraints(ValidatedString.description, [
+    describeRange(
+      { locale, max : maxLength, min : minLength },
+      {
+        betweenKey : 'DESCRIBE_LENGTH_BETWEEN',
+        maxKey     : 'DESCRIBE_MAX_LENGTH',
+        minKey     : 'DESCRIBE_MIN_LENGTH',
+      }
+    ),
+    describeIf(
+      startsWith !== undefined,
+      'DESCRIBE_STARTS_WITH',
+      options,
+      options
+    ),
+    describeIf(endsWith !== undefined, 'DESCRIBE_ENDS_WITH', options, options),
+    describeIf(matchRe !== undefined, 'DESCRIBE_MATCHING', options, options),
+    describeIf(after !== undefined, 'DESCRIBE_AFTER', options, options),
+    describeIf(before !== undefined, 'DESCRIBE_BEFORE', options, options),
+    describeIf(oneOf !== undefined, 'DESCRIBE_ONE_OF', { oneOf }, options),
+  ])
+}
 
 export { ValidatedString }